@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('./lib/cli/args');
+const { getCommand, getCommandOptions } = require('./lib/cli/commands');
+const { runCommand } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/cli/exit-codes');
+
+/**
+ * Classe principal do CLI para conversão de imagens em CBZ
+ * Segue o padrão dos demais scripts: delega ao subcomando `images-batch cbz`.
+ */
+class ImageToCbzConverter {
+  constructor() {
+    this.command = getCommand('cbz');
+  }
+
+  /**
+   * Valida os argumentos da linha de comando
+   * @param {string[]} args - Argumentos da linha de comando
+   * @returns {{options: Object, positionals: string[]}} Argumentos no formato do subcomando
+   */
+  validateArguments(args) {
+    // As opções (--flag) são separadas antes de contar os argumentos posicionais
+    const { options, positionals } = parseArgs(args.slice(2), getCommandOptions(this.command));
+
+    if (positionals.length < 1) {
+      throw new Error('Uso: node gen-cbz.js <caminho-da-pasta> <nome-do-arquivo-cbz> OU node gen-cbz.js <arquivo-csv>');
+    }
+
+    // Por padrão os CBZs são salvos na pasta 'cbz/'
+    const cbzOptions = { outDir: 'cbz', ...options };
+
+    // Se há apenas um argumento, assume que é um arquivo CSV
+    if (positionals.length === 1) {
+      return { options: { ...cbzOptions, csv: positionals[0] }, positionals: [] };
+    }
+
+    // Se há dois argumentos, assume modo pasta + nome
+    const [folderPath, outputName] = positionals;
+    return { options: { ...cbzOptions, output: outputName }, positionals: [folderPath] };
+  }
+
+  /**
+   * Função principal que executa todo o processo
+   * @param {string[]} args - Argumentos da linha de comando
+   */
+  async run(args) {
+    let parsed;
+    try {
+      parsed = this.validateArguments(args);
+    } catch (error) {
+      console.error('\n❌ Erro:', error.message);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    process.exitCode = await runCommand(this.command, parsed);
+  }
+}
+
+/**
+ * Função de ajuda
+ */
+function showHelp() {
+  console.log(`
+📦 Conversor de Imagens para CBZ (quadrinhos)
+
+Uso:
+  node gen-cbz.js <caminho-da-pasta> <nome-do-arquivo-cbz>
+  node gen-cbz.js <arquivo-csv>
+
+Argumentos:
+  caminho-da-pasta     Caminho para a pasta contendo as imagens
+  nome-do-arquivo-cbz  Nome do arquivo CBZ de saída (com ou sem extensão .cbz)
+  arquivo-csv          Caminho para arquivo CSV com múltiplas conversões
+
+Formato do CSV:
+  O arquivo CSV deve ter duas colunas: nome;caminho
+  - nome: Nome do arquivo CBZ a ser gerado
+  - caminho: Caminho da pasta contendo as imagens
+  
+  Exemplo do CSV:
+  nome;caminho
+  volume-01;/pasta/imagens1
+  "Volume 02";/pasta/imagens2
+
+Exemplos:
+  # Modo individual - uma pasta
+  node gen-cbz.js ./imagens volume-01
+  node gen-cbz.js /home/user/scans/cap-10 cap-10.cbz
+
+  # Modo lote - múltiplas pastas via CSV
+  node gen-cbz.js ./conversoes.csv
+
+Formatos suportados:
+  JPG, JPEG, PNG, GIF, BMP, WEBP
+
+Observações:
+  - As páginas são renomeadas em ordem com zeros à esquerda (001.jpg, 002.png, ...)
+  - As imagens são copiadas sem recompressão
+  - Um ComicInfo.xml é gerado com título, total de páginas e sentido de leitura
+  - Use --direction rtl para mangás (lidos da direita para a esquerda)
+  - No modo CSV, se um erro ocorrer em uma conversão, as outras continuam
+  - Os arquivos são salvos na pasta 'cbz/' do projeto
+
+Sobre CBZ:
+  - CBZ é um arquivo ZIP de imagens, padrão para quadrinhos digitais
+  - Compatível com Komga, Kavita, CDisplayEx e aplicativos de leitura
+  `);
+}
+
+// Execução do script
+if (require.main === module) {
+  const args = process.argv;
+  
+  // Verifica se é pedido de ajuda
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  const converter = new ImageToCbzConverter();
+  converter.run(args);
+}
+
+module.exports = ImageToCbzConverter;
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('./lib/cli/args');
+const { getCommand, getCommandOptions } = require('./lib/cli/commands');
+const { runCommand } = require('./lib/cli');
+const { EXIT_CODES } = require('./lib/cli/exit-codes');
+
+/**
+ * Classe para conversão de múltiplas pastas de imagens em um único CBZ
+ * Segue o padrão dos demais scripts: delega ao subcomando `images-batch merge-cbz`.
+ */
+class MergeCbzConverter {
+  constructor() {
+    this.command = getCommand('merge-cbz');
+  }
+
+  /**
+   * Valida os argumentos da linha de comando
+   * @param {string[]} args - Argumentos da linha de comando
+   * @returns {{options: Object, positionals: string[]}} Argumentos no formato do subcomando
+   */
+  validateArguments(args) {
+    // As opções (--flag) são separadas antes de contar os argumentos posicionais
+    const { options, positionals } = parseArgs(args.slice(2), getCommandOptions(this.command));
+
+    if (positionals.length < 2) {
+      throw new Error('Uso: node gen-lote-cbz.js <arquivo-csv> <nome-do-arquivo-cbz>');
+    }
+
+    const [csvFile, outputName] = positionals;
+    return { options: { ...options, output: outputName }, positionals: [csvFile] };
+  }
+
+  /**
+   * Função principal que executa todo o processo
+   * @param {string[]} args - Argumentos da linha de comando
+   */
+  async run(args) {
+    let parsed;
+    try {
+      parsed = this.validateArguments(args);
+    } catch (error) {
+      console.error('\n❌ Erro:', error.message);
+      process.exit(EXIT_CODES.USAGE);
+    }
+
+    process.exitCode = await runCommand(this.command, parsed);
+  }
+}
+
+/**
+ * Função de ajuda
+ */
+function showHelp() {
+  console.log(`
+📦 Conversor de Múltiplas Pastas para CBZ Único
+
+Descrição:
+  Este script lê um arquivo CSV contendo múltiplas pastas com imagens
+  e gera um único arquivo CBZ com todas as imagens organizadas em sequência.
+
+Uso:
+  node gen-lote-cbz.js <arquivo-csv> <nome-do-arquivo-cbz>
+
+Argumentos:
+  arquivo-csv          Caminho para arquivo CSV com as pastas (formato do analizer.js)
+  nome-do-arquivo-cbz  Nome do arquivo CBZ único de saída (com ou sem extensão .cbz)
+
+Formato do CSV:
+  O arquivo CSV deve estar no formato gerado pelo analizer.js:
+  nome;caminho
+  
+  Exemplo:
+  nome;caminho
+  Capítulo 1;/caminho/para/capitulo1
+  Capítulo 2;/caminho/para/capitulo2
+
+Exemplos:
+  # Usando CSV gerado pelo analizer
+  node gen-lote-cbz.js csv/aa96cdc2-f222-4b49-9b68-c6e5f311e364.csv volume-completo
+  
+  # Especificando nome com extensão
+  node gen-lote-cbz.js meu-arquivo.csv colecao.cbz
+
+Funcionamento:
+  1. Lê o arquivo CSV especificado
+  2. Coleta as imagens de todas as pastas, ordenadas numericamente
+  3. Grava as páginas em sequência (0001.jpg, 0002.png, ...)
+  4. Gera um ComicInfo.xml com o total de páginas e um marcador no início de cada pasta
+
+Observações:
+  - Se uma pasta não contém imagens, ela é ignorada
+  - O arquivo é salvo na pasta 'cbz/' do projeto
+  - Exibe estatísticas detalhadas ao final do processamento
+  `);
+}
+
+// Execução do script
+if (require.main === module) {
+  const args = process.argv;
+  
+  // Verifica se é pedido de ajuda
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+  
+  const converter = new MergeCbzConverter();
+  converter.run(args);
+}
+
+module.exports = MergeCbzConverter;
@@ -0,0 +1,163 @@
+/**
+ * API programática do images-batch-pdf.
+ *
+ * Todas as funções retornam Promises com resultados estruturados e lançam
+ * erros tipados (ver lib/errors.js) em vez de encerrar o processo.
+ * Por padrão nada é escrito no console; passe `{ logger: console }` para
+ * acompanhar o progresso.
+ *
+ * @example
+ * const { convertFolderToPdf } = require('images-batch-pdf');
+ * const result = await convertFolderToPdf('./scans/cap1', './out/cap1.pdf');
+ * console.log(result.pageCount);
+ */
+
+const { convertFolder, convertCsv, mergeFolders } = require('./lib/convert');
+const { analyzeFolder } = require('./lib/analyzer');
+const { readCsvFile, parseCsvLine } = require('./lib/csv');
+const {
+  SUPPORTED_EXTENSIONS,
+  validateFolder,
+  readImageFiles,
+  sortFilesNumerically,
+  loadFolderImages,
+  loadFolderContent,
+  collectAllImages
+} = require('./lib/folders');
+const { readSidecar } = require('./lib/sidecar');
+const { ARCHIVE_EXTENSIONS, readSourceFile } = require('./lib/archive');
+const { SORT_STRATEGIES, sortImages } = require('./lib/sort');
+const { createPdf, createMergedPdf } = require('./lib/pdf');
+const { createEpub, createMergedEpub } = require('./lib/epub');
+const { createCbz, createMergedCbz } = require('./lib/cbz');
+const errors = require('./lib/errors');
+
+/**
+ * Converte as imagens de uma pasta em um PDF
+ * @param {string} folderPath - Pasta com as imagens
+ * @param {string} outputPath - Arquivo PDF de saída (extensão opcional)
+ * @param {Object} [options] - Opções (logger, title)
+ * @returns {Promise<Object>} { input, outputPath, pageCount, images, failedImages, warnings }
+ */
+function convertFolderToPdf(folderPath, outputPath, options) {
+  return convertFolder('pdf', folderPath, outputPath, options);
+}
+
+/**
+ * Converte as imagens de uma pasta em um EPUB
+ * @param {string} folderPath - Pasta com as imagens
+ * @param {string} outputPath - Arquivo EPUB de saída (extensão opcional)
+ * @param {Object} [options] - Opções (logger, title)
+ * @returns {Promise<Object>} { input, outputPath, pageCount, images, failedImages, warnings }
+ */
+function convertFolderToEpub(folderPath, outputPath, options) {
+  return convertFolder('epub', folderPath, outputPath, options);
+}
+
+/**
+ * Converte as imagens de uma pasta em um CBZ
+ * @param {string} folderPath - Pasta com as imagens
+ * @param {string} outputPath - Arquivo CBZ de saída (extensão opcional)
+ * @param {Object} [options] - Opções (logger, title)
+ * @returns {Promise<Object>} { input, outputPath, pageCount, images, failedImages, warnings }
+ */
+function convertFolderToCbz(folderPath, outputPath, options) {
+  return convertFolder('cbz', folderPath, outputPath, options);
+}
+
+/**
+ * Gera um PDF por linha do CSV
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {Object} [options] - Opções (logger, outputDir)
+ * @returns {Promise<Object>} { total, succeeded, failed, rows }
+ */
+function convertCsvToPdf(source, options) {
+  return convertCsv('pdf', source, options);
+}
+
+/**
+ * Gera um EPUB por linha do CSV
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {Object} [options] - Opções (logger, outputDir)
+ * @returns {Promise<Object>} { total, succeeded, failed, rows }
+ */
+function convertCsvToEpub(source, options) {
+  return convertCsv('epub', source, options);
+}
+
+/**
+ * Gera um CBZ por linha do CSV
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {Object} [options] - Opções (logger, outputDir)
+ * @returns {Promise<Object>} { total, succeeded, failed, rows }
+ */
+function convertCsvToCbz(source, options) {
+  return convertCsv('cbz', source, options);
+}
+
+/**
+ * Junta as imagens de todas as pastas do CSV em um único PDF
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {string} outputName - Nome ou caminho do PDF de saída
+ * @param {Object} [options] - Opções (logger, outputDir, title)
+ * @returns {Promise<Object>} { outputPath, pageCount, images, folders, failedImages }
+ */
+function mergeFoldersToPdf(source, outputName, options) {
+  return mergeFolders('pdf', source, outputName, options);
+}
+
+/**
+ * Junta as imagens de todas as pastas do CSV em um único EPUB
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {string} outputName - Nome ou caminho do EPUB de saída
+ * @param {Object} [options] - Opções (logger, outputDir, title)
+ * @returns {Promise<Object>} { outputPath, pageCount, images, folders, failedImages }
+ */
+function mergeFoldersToEpub(source, outputName, options) {
+  return mergeFolders('epub', source, outputName, options);
+}
+
+/**
+ * Junta as imagens de todas as pastas do CSV em um único CBZ
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {string} outputName - Nome ou caminho do CBZ de saída
+ * @param {Object} [options] - Opções (logger, outputDir, title)
+ * @returns {Promise<Object>} { outputPath, pageCount, images, folders, failedImages }
+ */
+function mergeFoldersToCbz(source, outputName, options) {
+  return mergeFolders('cbz', source, outputName, options);
+}
+
+module.exports = {
+  analyzeFolder,
+  convertFolderToPdf,
+  convertFolderToEpub,
+  convertFolderToCbz,
+  convertCsvToPdf,
+  convertCsvToEpub,
+  convertCsvToCbz,
+  mergeFoldersToPdf,
+  mergeFoldersToEpub,
+  mergeFoldersToCbz,
+  readCsvFile,
+  parseCsvLine,
+  SUPPORTED_EXTENSIONS,
+  ARCHIVE_EXTENSIONS,
+  validateFolder,
+  readImageFiles,
+  sortFilesNumerically,
+  loadFolderImages,
+  loadFolderContent,
+  collectAllImages,
+  SORT_STRATEGIES,
+  sortImages,
+  readSidecar,
+  readSourceFile,
+  createPdf,
+  createMergedPdf,
+  createEpub,
+  createMergedEpub,
+  createCbz,
+  createMergedCbz,
+  ...errors
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SourceNotFoundError, InvalidSourceError, InvalidArgumentError, ImagesBatchError } = require('./errors');
+const { isArchivePath, getSourceName, openArchive, listArchiveEntries } = require('./archive');
+const { SUPPORTED_EXTENSIONS, checkNumbering, describeNumbering } = require('./folders');
+const { SIDECAR_FILES } = require('./sidecar');
+const { ORDER_FILE } = require('./sort');
+const { REPORT_COLUMNS } = require('./csv');
+
+/**
+ * Gera um UUID baseado no timestamp atual e no caminho da pasta
+ * @param {string} folderPath - Caminho da pasta
+ * @returns {string} UUID gerado
+ */
+function generateUUID(folderPath) {
+  const timestamp = Date.now().toString();
+  const pathHash = crypto.createHash('md5').update(folderPath).digest('hex');
+  const combined = timestamp + pathHash;
+  const hash = crypto.createHash('sha1').update(combined).digest('hex');
+
+  // Formata como UUID v4
+  return [
+    hash.substr(0, 8),
+    hash.substr(8, 4),
+    '4' + hash.substr(13, 3),
+    ((parseInt(hash.substr(16, 1), 16) & 0x3) | 0x8).toString(16) + hash.substr(17, 3),
+    hash.substr(20, 12)
+  ].join('-');
+}
+
+/**
+ * Valida a profundidade máxima da análise
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Profundidade (1 = apenas as pastas filhas imediatas)
+ */
+function parseDepth(value) {
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 1) {
+    throw new InvalidArgumentError(`Profundidade inválida: "${value}" (esperado um inteiro maior ou igual a 1)`);
+  }
+  return depth;
+}
+
+/**
+ * Nome legível de uma pasta a partir do caminho relativo ao diretório analisado
+ * (ex.: Series/Vol 02/Cap 013 -> "Series - Vol 02 - Cap 013")
+ * @param {string} relativePath - Caminho relativo
+ * @returns {string} Nome
+ */
+function getFolderName(relativePath) {
+  return relativePath
+    .split(path.sep)
+    .map(getSourceName)
+    .join(' - ');
+}
+
+/**
+ * Verifica se a pasta tem imagens diretamente dentro dela
+ * @param {fs.Dirent[]} items - Itens da pasta
+ * @returns {boolean} true se houver ao menos uma imagem
+ */
+function hasImages(items) {
+  return items.some(item => !item.isDirectory() && SUPPORTED_EXTENSIONS.includes(path.extname(item.name).toLowerCase()));
+}
+
+/**
+ * Percorre um diretório e lista as pastas e os arquivos ZIP/CBZ encontrados.
+ * Links simbólicos para pastas são seguidos; loops e pastas ilegíveis são
+ * registrados em `warnings` sem interromper a análise.
+ * @param {string} targetPath - Caminho do diretório a ser analisado
+ * @param {Object} [options] - Opções
+ * @param {number} [options.depth] - Profundidade máxima (padrão: 1, ou ilimitada com leaves)
+ * @param {boolean} [options.leaves] - Lista apenas as pastas que têm imagens (e os arquivos ZIP/CBZ)
+ * @returns {{folders: Array, warnings: Array<{caminho: string, message: string}>}} Pastas encontradas e avisos
+ */
+function listFolders(targetPath, options = {}) {
+  const { leaves = false } = options;
+  const maxDepth = options.depth !== undefined ? parseDepth(options.depth) : (leaves ? Infinity : 1);
+
+  if (!fs.existsSync(targetPath)) {
+    throw new SourceNotFoundError(`Caminho não encontrado: ${targetPath}`);
+  }
+
+  const stats = fs.statSync(targetPath);
+  if (!stats.isDirectory()) {
+    throw new InvalidSourceError(`O caminho informado não é um diretório: ${targetPath}`);
+  }
+
+  const folders = [];
+  const warnings = [];
+
+  // Itens da pasta em ordem natural, ou null se a pasta não puder ser lida
+  const readItems = (folderPath) => {
+    try {
+      return fs.readdirSync(folderPath, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    } catch (error) {
+      if (folderPath === targetPath) {
+        throw new InvalidSourceError(`Erro ao listar pastas: ${error.message}`, { cause: error });
+      }
+      warnings.push({ caminho: folderPath, message: `Pasta ilegível ignorada: ${error.message}` });
+      return null;
+    }
+  };
+
+  const walk = (folderPath, depth, ancestors) => {
+    const items = readItems(folderPath);
+    if (!items) return;
+
+    // No modo leaves, o próprio diretório analisado também entra se tiver imagens soltas
+    if (leaves && hasImages(items)) {
+      folders.push({
+        nome: depth === 0 ? getSourceName(targetPath) : getFolderName(path.relative(targetPath, folderPath)),
+        caminho: folderPath
+      });
+    }
+    if (depth >= maxDepth) return;
+
+    for (const item of items) {
+      const fullPath = path.join(folderPath, item.name);
+
+      let itemStats;
+      try {
+        // stat segue links simbólicos
+        itemStats = fs.statSync(fullPath);
+      } catch (error) {
+        warnings.push({ caminho: fullPath, message: `Item inacessível ignorado: ${error.message}` });
+        continue;
+      }
+
+      if (itemStats.isFile() && isArchivePath(item.name)) {
+        folders.push({
+          nome: getFolderName(path.relative(targetPath, fullPath)),
+          caminho: fullPath
+        });
+        continue;
+      }
+      // Ignora os demais arquivos
+      if (!itemStats.isDirectory()) continue;
+
+      let realPath;
+      try {
+        realPath = fs.realpathSync(fullPath);
+      } catch (error) {
+        warnings.push({ caminho: fullPath, message: `Pasta ilegível ignorada: ${error.message}` });
+        continue;
+      }
+
+      if (ancestors.includes(realPath)) {
+        warnings.push({ caminho: fullPath, message: `Link simbólico em loop ignorado (aponta para ${realPath})` });
+        continue;
+      }
+
+      if (!leaves) {
+        folders.push({
+          nome: getFolderName(path.relative(targetPath, fullPath)),
+          caminho: fullPath
+        });
+      }
+      // Sem leaves, o conteúdo das pastas do último nível não precisa ser lido
+      if (leaves || depth + 1 < maxDepth) {
+        walk(fullPath, depth + 1, [...ancestors, realPath]);
+      }
+    }
+  };
+
+  walk(targetPath, 0, [fs.realpathSync(targetPath)]);
+
+  return { folders, warnings };
+}
+
+/**
+ * Lista apenas as pastas filhas imediatas de um diretório e os arquivos ZIP/CBZ,
+ * que podem ser convertidos diretamente como se fossem pastas
+ * @param {string} targetPath - Caminho do diretório a ser analisado
+ * @returns {Array} Array de objetos com nome e caminho das pastas e arquivos (nome sem a extensão .zip/.cbz)
+ */
+function listImmediateFolders(targetPath) {
+  return listFolders(targetPath, { depth: 1 }).folders;
+}
+
+/**
+ * Resume o que foi encontrado na análise
+ * @param {Array} folders - Pastas e arquivos listados (ver listImmediateFolders)
+ * @returns {string} Mensagem como "Encontradas 3 pasta(s) e 2 arquivo(s) ZIP/CBZ"
+ */
+function describeFolders(folders) {
+  const archives = folders.filter(folder => isArchivePath(folder.caminho)).length;
+  const message = `Encontradas ${folders.length - archives} pasta(s)`;
+  return archives > 0 ? `${message} e ${archives} arquivo(s) ZIP/CBZ` : message;
+}
+
+/**
+ * Formato de uma imagem pela extensão (jpeg é contado como jpg)
+ * @param {string} file - Nome do arquivo
+ * @returns {string} Formato
+ */
+function getFormat(file) {
+  const format = path.extname(file).slice(1).toLowerCase();
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
+/**
+ * Lista os arquivos de uma pasta (ou as entradas de um ZIP/CBZ) com seus tamanhos.
+ * Subpastas não entram; nos ZIP/CBZ as entradas de subpastas internas entram.
+ * @param {string} sourcePath - Caminho da pasta ou do ZIP/CBZ
+ * @returns {Promise<Array<{name: string, size: number}>>} Arquivos
+ */
+async function listSourceFiles(sourcePath) {
+  if (isArchivePath(sourcePath)) {
+    const archive = await openArchive(sourcePath);
+    const names = await listArchiveEntries(sourcePath);
+    return names.map(name => ({ name, size: archive.getEntry(name).size }));
+  }
+
+  const items = await fs.promises.readdir(sourcePath, { withFileTypes: true });
+  const files = [];
+  for (const item of items) {
+    const stats = await fs.promises.stat(path.join(sourcePath, item.name)).catch(() => null);
+    if (stats && stats.isFile()) {
+      files.push({ name: item.name, size: stats.size });
+    }
+  }
+  return files;
+}
+
+/**
+ * Levanta o conteúdo de uma pasta (ou ZIP/CBZ) antes da conversão: quantidade e
+ * tamanho das imagens, formatos, arquivos que não são imagens e anomalias de
+ * numeração (lacunas e números repetidos, como 1.jpg e 01.png)
+ * @param {string} sourcePath - Caminho da pasta ou do ZIP/CBZ
+ * @returns {Promise<Object>} { imageCount, bytes, formats, otherFiles, anomalies, error, ok }
+ */
+async function inspectSource(sourcePath) {
+  let files;
+  try {
+    files = await listSourceFiles(sourcePath);
+  } catch (error) {
+    return { imageCount: 0, bytes: 0, formats: [], otherFiles: [], anomalies: [], error: error.message, ok: false };
+  }
+
+  const isImage = file => SUPPORTED_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+  const isSidecar = file => [...SIDECAR_FILES, ORDER_FILE].some(name => name.toLowerCase() === path.posix.basename(file.name).toLowerCase());
+
+  const images = files.filter(isImage);
+  // Os arquivos de metadados e o order.txt são esperados e não contam como arquivos estranhos
+  const otherFiles = files.filter(file => !isImage(file) && !isSidecar(file)).map(file => file.name);
+  // Arquivos sem número não são anomalias aqui: costumam ser capas (cover.jpg).
+  // A pasta vazia entra como anomalia para aparecer também na coluna do CSV
+  const anomalies = images.length === 0
+    ? ['sem imagens']
+    : describeNumbering(checkNumbering(images.map(file => file.name)), { unnumbered: false });
+
+  return {
+    imageCount: images.length,
+    bytes: images.reduce((total, file) => total + file.size, 0),
+    formats: [...new Set(images.map(file => getFormat(file.name)))].sort(),
+    otherFiles,
+    anomalies,
+    error: null,
+    ok: images.length > 0 && anomalies.length === 0
+  };
+}
+
+/**
+ * Formata um tamanho em bytes para leitura (ex.: 12,4 MB)
+ * @param {number} bytes - Tamanho em bytes
+ * @returns {string} Tamanho formatado
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1).replace('.', ',')} ${units[unit]}`;
+}
+
+/**
+ * Situação de uma pasta analisada, em poucas palavras
+ * @param {Object} report - Resultado de inspectSource
+ * @returns {string} Situação
+ */
+function describeReport(report) {
+  if (report.error) return `❌ erro: ${report.error}`;
+  if (report.imageCount === 0) return '❌ sem imagens';
+  if (report.anomalies.length > 0) return `⚠️ ${report.anomalies.join('; ')}`;
+  return '✅ ok';
+}
+
+/**
+ * Monta a tabela de resumo da análise
+ * @param {Array} folders - Pastas analisadas (com report)
+ * @returns {string} Tabela em texto
+ */
+function renderAnalysisTable(folders) {
+  const header = ['Nome', 'Imagens', 'Tamanho', 'Formatos', 'Outros', 'Situação'];
+  const rows = folders.map(({ nome, report }) => [
+    nome,
+    String(report.imageCount),
+    formatBytes(report.bytes),
+    report.formats.join(',') || '-',
+    String(report.otherFiles.length),
+    describeReport(report)
+  ]);
+
+  // A última coluna fica sem preenchimento, para não alargar a tabela
+  const widths = header.slice(0, -1).map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row
+    .map((cell, column) => (column < widths.length ? cell.padEnd(widths[column]) : cell))
+    .join('  ');
+
+  return [
+    formatRow(header),
+    formatRow(widths.map(width => '-'.repeat(width)).concat('--------')),
+    ...rows.map(formatRow)
+  ].join('\n');
+}
+
+/**
+ * Escapa um valor para uma célula do CSV (o leitor não aceita ; nem aspas dentro das células)
+ * @param {*} value - Valor
+ * @returns {string} Valor seguro para o CSV
+ */
+function toCsvCell(value) {
+  return String(value).replace(/;/g, ',').replace(/"/g, "'");
+}
+
+/**
+ * Gera arquivo CSV com a lista de pastas.
+ * Se as pastas tiverem o levantamento de inspectSource, inclui as colunas do relatório.
+ * @param {Array} folders - Array de pastas
+ * @param {string} outputPath - Caminho onde salvar o CSV
+ * @returns {string} Caminho completo do arquivo gerado
+ */
+function generateCSV(folders, outputPath) {
+  try {
+    const withReport = folders.length > 0 && folders.every(folder => folder.report);
+
+    // Cabeçalho do CSV
+    let csvContent = withReport ? `nome;caminho;${REPORT_COLUMNS.join(';')}\n` : 'nome;caminho\n';
+
+    // Adiciona cada pasta ao CSV
+    for (const folder of folders) {
+      // Escapa ponto e vírgula nos dados se necessário
+      const nome = toCsvCell(folder.nome);
+      const caminho = toCsvCell(folder.caminho);
+
+      if (!withReport) {
+        csvContent += `${nome};${caminho}\n`;
+        continue;
+      }
+
+      const { report } = folder;
+      const anomalies = report.error ? [`erro: ${report.error}`, ...report.anomalies] : report.anomalies;
+      const cells = [
+        report.imageCount,
+        report.bytes,
+        report.formats.join(','),
+        report.otherFiles.join(', '),
+        anomalies.join(' | ')
+      ].map(toCsvCell);
+      csvContent += `${nome};${caminho};${cells.join(';')}\n`;
+    }
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, csvContent, 'utf8');
+    return path.resolve(outputPath);
+  } catch (error) {
+    throw new ImagesBatchError(`Erro ao gerar CSV: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Analisa um diretório e gera o CSV com suas pastas e o levantamento de cada uma
+ * @param {string} targetPath - Caminho do diretório a ser analisado
+ * @param {Object} [options] - Opções
+ * @param {string} [options.csvPath] - Caminho do CSV de saída (padrão: csv/<uuid>.csv)
+ * @param {boolean} [options.writeCsv=true] - Se false, apenas lista as pastas
+ * @param {boolean} [options.dryRun] - Não grava o CSV, mas informa em csvPath onde ele seria gravado
+ * @param {number} [options.depth] - Profundidade máxima (ver listFolders)
+ * @param {boolean} [options.leaves] - Lista apenas as pastas que têm imagens
+ * @returns {Promise<{folders: Array, warnings: Array, problems: number, uuid: string, csvPath: (string|null)}>} Resultado da análise;
+ *   cada pasta traz `report` (ver inspectSource) e `problems` conta pastas com problema mais os avisos
+ */
+async function analyzeFolder(targetPath, options = {}) {
+  const { folders: found, warnings } = listFolders(targetPath, options);
+  const uuid = generateUUID(targetPath);
+
+  const folders = [];
+  for (const folder of found) {
+    folders.push({ ...folder, report: await inspectSource(folder.caminho) });
+  }
+  const problems = folders.filter(folder => !folder.report.ok).length + warnings.length;
+
+  if (options.writeCsv === false) {
+    return { folders, warnings, problems, uuid, csvPath: null };
+  }
+
+  const csvPath = options.csvPath || path.join(process.cwd(), 'csv', `${uuid}.csv`);
+  if (options.dryRun) {
+    // Caminho em que o CSV seria gravado
+    return { folders, warnings, problems, uuid, csvPath: path.resolve(csvPath) };
+  }
+  return { folders, warnings, problems, uuid, csvPath: generateCSV(folders, csvPath) };
+}
+
+module.exports = {
+  analyzeFolder,
+  listFolders,
+  listImmediateFolders,
+  inspectSource,
+  parseDepth,
+  describeFolders,
+  renderAnalysisTable,
+  formatBytes,
+  generateCSV,
+  generateUUID
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { ZipReader } = require('./zip');
+const { ConversionError } = require('./errors');
+
+/**
+ * Extensões de arquivos compactados aceitos no lugar de uma pasta de imagens
+ */
+const ARCHIVE_EXTENSIONS = ['.zip', '.cbz'];
+
+/**
+ * Trecho de um caminho que indica uma entrada dentro de um arquivo compactado
+ * (ex.: /mangas/vol-01.cbz/001.jpg)
+ */
+const ARCHIVE_SEGMENT = /\.(?:zip|cbz)(?=[\\/])/gi;
+
+/**
+ * Arquivos abertos, por caminho; o diretório central é lido uma única vez
+ * e relido se o arquivo mudar (tamanho ou data de modificação)
+ */
+const openArchives = new Map();
+
+/**
+ * Verifica pela extensão se o caminho é de um arquivo compactado (ZIP/CBZ)
+ * @param {string} filePath - Caminho
+ * @returns {boolean} true para .zip e .cbz
+ */
+function isArchivePath(filePath) {
+  return ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Nome de uma pasta ou arquivo compactado usado como origem, sem a extensão do arquivo
+ * @param {string} sourcePath - Caminho da pasta ou do ZIP/CBZ
+ * @returns {string} Nome (ex.: "vol-01" para /mangas/vol-01.cbz)
+ */
+function getSourceName(sourcePath) {
+  const name = path.basename(path.resolve(sourcePath));
+  return isArchivePath(name) ? name.slice(0, -path.extname(name).length) : name;
+}
+
+/**
+ * Monta o caminho de uma entrada dentro do arquivo compactado
+ * @param {string} archivePath - Caminho do ZIP/CBZ
+ * @param {string} entryName - Nome da entrada (separada por "/")
+ * @returns {string} Caminho da entrada
+ */
+function getArchiveEntryPath(archivePath, entryName) {
+  return `${archivePath}/${entryName}`;
+}
+
+/**
+ * Abre um arquivo compactado (reaproveitando o diretório central já lido)
+ * @param {string} archivePath - Caminho do ZIP/CBZ
+ * @returns {Promise<ZipReader>} Leitor do arquivo
+ */
+async function openArchive(archivePath) {
+  const key = path.resolve(archivePath);
+  const stats = await fsPromises.stat(key);
+  const version = `${stats.size}:${stats.mtimeMs}`;
+
+  const cached = openArchives.get(key);
+  if (cached && cached.version === version) {
+    return cached.reader;
+  }
+
+  const reader = ZipReader.open(archivePath);
+  openArchives.set(key, { version, reader });
+  // Falhas não ficam no cache, para que uma nova tentativa releia o arquivo
+  reader.catch(() => openArchives.delete(key));
+  return reader;
+}
+
+/**
+ * Lista as entradas de imagem (ou de qualquer tipo) de um arquivo compactado,
+ * ignorando metadados do macOS (__MACOSX/, ._*) e caminhos fora do arquivo
+ * @param {string} archivePath - Caminho do ZIP/CBZ
+ * @returns {Promise<string[]>} Nomes das entradas
+ */
+async function listArchiveEntries(archivePath) {
+  const archive = await openArchive(archivePath);
+  return archive.entries
+    .map(entry => entry.name)
+    .filter(name => {
+      const segments = name.split('/');
+      return !name.startsWith('/') &&
+        !segments.includes('..') &&
+        segments[0] !== '__MACOSX' &&
+        !segments[segments.length - 1].startsWith('._');
+    });
+}
+
+/**
+ * Identifica se o caminho aponta para uma entrada dentro de um arquivo compactado
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<({archive: ZipReader, entry: Object}|null)>} Arquivo e entrada, ou null para arquivos comuns
+ */
+async function resolveArchiveEntry(filePath) {
+  for (const match of filePath.matchAll(ARCHIVE_SEGMENT)) {
+    const archivePath = filePath.slice(0, match.index + match[0].length);
+
+    let stats;
+    try {
+      stats = await fsPromises.stat(archivePath);
+    } catch (error) {
+      continue;
+    }
+    // Uma pasta chamada "algo.zip" não é um arquivo compactado
+    if (!stats.isFile()) continue;
+
+    const archive = await openArchive(archivePath);
+    const entryName = filePath.slice(archivePath.length + 1);
+    const entry = archive.getEntry(entryName);
+    if (!entry) {
+      throw new ConversionError(`Entrada ${entryName} não encontrada em ${archivePath}`);
+    }
+    return { archive, entry };
+  }
+
+  return null;
+}
+
+/**
+ * Lê um arquivo do disco ou uma entrada de arquivo compactado
+ * @param {string} filePath - Caminho do arquivo ou da entrada
+ * @param {Object} [options] - Opções
+ * @param {number} [options.maxBytes] - Lê apenas o início do arquivo
+ * @returns {Promise<Buffer>} Conteúdo
+ */
+async function readSourceFile(filePath, options = {}) {
+  const { maxBytes } = options;
+  const source = await resolveArchiveEntry(filePath);
+  if (source) {
+    return source.archive.readEntry(source.entry, maxBytes);
+  }
+
+  if (!maxBytes) {
+    return fsPromises.readFile(filePath);
+  }
+
+  const handle = await fsPromises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(size, maxBytes));
+    await handle.read(buffer, 0, buffer.length, 0);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Tamanho e data de modificação de um arquivo do disco ou de uma entrada de arquivo compactado
+ * @param {string} filePath - Caminho do arquivo ou da entrada
+ * @returns {Promise<{size: number, mtime: number}>} Tamanho em bytes e data em milissegundos
+ */
+async function getSourceStats(filePath) {
+  const source = await resolveArchiveEntry(filePath);
+  if (!source) {
+    const stats = await fsPromises.stat(filePath);
+    return { size: stats.size, mtime: stats.mtimeMs };
+  }
+
+  // Formato MS-DOS: resolução de 2 segundos, horário local
+  const { time, date } = source.entry.dosTime;
+  const mtime = new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  ).getTime();
+  return { size: source.entry.size, mtime };
+}
+
+/**
+ * Data de modificação de um arquivo do disco ou de uma entrada de arquivo compactado
+ * @param {string} filePath - Caminho do arquivo ou da entrada
+ * @returns {Promise<number>} Data em milissegundos
+ */
+async function getSourceModifiedTime(filePath) {
+  return (await getSourceStats(filePath)).mtime;
+}
+
+/**
+ * Abre um arquivo do disco ou uma entrada de arquivo compactado como stream
+ * @param {string} filePath - Caminho do arquivo ou da entrada
+ * @returns {Promise<stream.Readable>} Conteúdo
+ */
+async function openSourceStream(filePath) {
+  const source = await resolveArchiveEntry(filePath);
+  return source ? source.archive.createReadStream(source.entry) : fs.createReadStream(filePath);
+}
+
+module.exports = {
+  ARCHIVE_EXTENSIONS,
+  isArchivePath,
+  getSourceName,
+  getArchiveEntryPath,
+  openArchive,
+  listArchiveEntries,
+  resolveArchiveEntry,
+  readSourceFile,
+  getSourceStats,
+  getSourceModifiedTime,
+  openSourceStream
+};
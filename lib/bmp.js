@@ -0,0 +1,161 @@
+const { ConversionError } = require('./errors');
+
+/**
+ * Métodos de compressão BMP suportados
+ */
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+/**
+ * Extrai um canal de um pixel usando a máscara de bits do cabeçalho
+ * @param {number} value - Pixel bruto
+ * @param {number} mask - Máscara do canal
+ * @returns {number} Valor do canal entre 0 e 255
+ */
+function readMasked(value, mask) {
+  if (!mask) return 0;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) * 255) / max);
+}
+
+/**
+ * Decodifica um arquivo BMP (1, 4, 8, 16, 24 ou 32 bits, sem compressão RLE)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{width: number, height: number, channels: number, data: Buffer}} Pixels RGB ou RGBA
+ */
+function decodeBmp(buffer) {
+  if (buffer.length < 26 || buffer.toString('latin1', 0, 2) !== 'BM') {
+    throw new ConversionError('Arquivo BMP inválido');
+  }
+
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+
+  let width;
+  let rawHeight;
+  let bitCount;
+  let compression = BI_RGB;
+  let colorsUsed = 0;
+
+  if (headerSize === 12) {
+    // Cabeçalho OS/2 BITMAPCOREHEADER
+    width = buffer.readUInt16LE(18);
+    rawHeight = buffer.readInt16LE(20);
+    bitCount = buffer.readUInt16LE(24);
+  } else {
+    width = buffer.readInt32LE(18);
+    rawHeight = buffer.readInt32LE(22);
+    bitCount = buffer.readUInt16LE(28);
+    compression = buffer.readUInt32LE(30);
+    colorsUsed = buffer.readUInt32LE(46);
+  }
+
+  if (compression !== BI_RGB && compression !== BI_BITFIELDS && compression !== BI_ALPHABITFIELDS) {
+    throw new ConversionError(`Compressão BMP não suportada (tipo ${compression})`);
+  }
+
+  // Altura negativa indica linhas gravadas de cima para baixo
+  const topDown = rawHeight < 0;
+  const height = Math.abs(rawHeight);
+
+  if (width <= 0 || height === 0) {
+    throw new ConversionError('Dimensões BMP inválidas');
+  }
+
+  // Máscaras de cor: explícitas (BITFIELDS) ou padrão do formato
+  let masks = null;
+  if (bitCount === 16 || bitCount === 32) {
+    if (compression === BI_RGB) {
+      masks = bitCount === 16
+        ? { r: 0x7c00, g: 0x03e0, b: 0x001f, a: 0 }
+        : { r: 0x00ff0000, g: 0x0000ff00, b: 0x000000ff, a: 0 };
+    } else {
+      // Em cabeçalhos de 40 bytes as máscaras vêm logo após o cabeçalho
+      const maskOffset = 14 + 40;
+      masks = {
+        r: buffer.readUInt32LE(maskOffset),
+        g: buffer.readUInt32LE(maskOffset + 4),
+        b: buffer.readUInt32LE(maskOffset + 8),
+        a: headerSize >= 56 || compression === BI_ALPHABITFIELDS ? buffer.readUInt32LE(maskOffset + 12) : 0
+      };
+    }
+  }
+
+  // Paleta para imagens indexadas
+  let palette = null;
+  if (bitCount <= 8) {
+    const entrySize = headerSize === 12 ? 3 : 4;
+    const count = colorsUsed || 1 << bitCount;
+    const paletteOffset = 14 + headerSize + (compression === BI_BITFIELDS && headerSize === 40 ? 12 : 0);
+    palette = [];
+    for (let i = 0; i < count; i++) {
+      const offset = paletteOffset + i * entrySize;
+      palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+    }
+  }
+
+  if (![1, 4, 8, 16, 24, 32].includes(bitCount)) {
+    throw new ConversionError(`Profundidade de cor BMP não suportada: ${bitCount} bits`);
+  }
+
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  if (dataOffset + stride * height > buffer.length) {
+    throw new ConversionError('Arquivo BMP truncado');
+  }
+
+  const hasAlpha = Boolean(masks && masks.a);
+  const channels = hasAlpha ? 4 : 3;
+  const data = Buffer.alloc(width * height * channels);
+
+  for (let y = 0; y < height; y++) {
+    const sourceRow = topDown ? y : height - 1 - y;
+    const rowOffset = dataOffset + sourceRow * stride;
+
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * channels;
+      let r;
+      let g;
+      let b;
+      let a = 255;
+
+      if (palette) {
+        let index;
+        if (bitCount === 8) {
+          index = buffer[rowOffset + x];
+        } else if (bitCount === 4) {
+          const byte = buffer[rowOffset + (x >> 1)];
+          index = x & 1 ? byte & 0x0f : byte >> 4;
+        } else {
+          const byte = buffer[rowOffset + (x >> 3)];
+          index = (byte >> (7 - (x & 7))) & 1;
+        }
+        [r, g, b] = palette[index] || [0, 0, 0];
+      } else if (bitCount === 24) {
+        const offset = rowOffset + x * 3;
+        b = buffer[offset];
+        g = buffer[offset + 1];
+        r = buffer[offset + 2];
+      } else {
+        const value = bitCount === 16
+          ? buffer.readUInt16LE(rowOffset + x * 2)
+          : buffer.readUInt32LE(rowOffset + x * 4);
+        r = readMasked(value, masks.r);
+        g = readMasked(value, masks.g);
+        b = readMasked(value, masks.b);
+        if (hasAlpha) a = readMasked(value, masks.a);
+      }
+
+      data[target] = r;
+      data[target + 1] = g;
+      data[target + 2] = b;
+      if (hasAlpha) data[target + 3] = a;
+    }
+  }
+
+  return { width, height, channels, data };
+}
+
+module.exports = { decodeBmp };
@@ -0,0 +1,175 @@
+const path = require('path');
+const { ConversionError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { ZipWriter } = require('./zip');
+const { escapeXml } = require('./epub');
+const { openSourceStream } = require('./archive');
+const { parseDirection } = require('./layout');
+const { resolveMetadata } = require('./metadata');
+
+/**
+ * Nome da página dentro do CBZ: posição com zeros à esquerda e a extensão original
+ * (ex.: 001.jpg), para que qualquer leitor ordene as páginas corretamente
+ * @param {number} index - Posição da página (a partir de 0)
+ * @param {number} total - Total de páginas
+ * @param {string} imagePath - Caminho da imagem de origem
+ * @returns {string} Nome da entrada no arquivo
+ */
+function getPageName(index, total, imagePath) {
+  const width = Math.max(3, String(total).length);
+  const ext = path.extname(imagePath).toLowerCase();
+  return `${String(index + 1).padStart(width, '0')}${ext}`;
+}
+
+/**
+ * Monta o ComicInfo.xml (formato do ComicRack) com título, metadados,
+ * total de páginas, sentido de leitura e a lista de páginas
+ * @param {Array} images - Imagens na ordem das páginas
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @param {string} direction - Sentido de leitura (ltr, rtl)
+ * @param {boolean} merged - Se o arquivo reúne várias pastas (marca o início de cada uma)
+ * @returns {string} Conteúdo do ComicInfo.xml
+ */
+function renderComicInfo(images, metadata, direction, merged) {
+  const fields = [
+    ['Title', metadata.title],
+    ['Series', metadata.series],
+    ['Volume', metadata.seriesIndex],
+    ['Summary', metadata.description],
+    ['Writer', metadata.authors.length > 0 ? metadata.authors.join(', ') : undefined],
+    ['Publisher', metadata.publisher],
+    ['Genre', metadata.subject],
+    ['Tags', metadata.keywords.length > 0 ? metadata.keywords.join(', ') : undefined],
+    ['LanguageISO', metadata.language],
+    ['PageCount', images.length],
+    ['Manga', direction === 'rtl' ? 'YesAndRightToLeft' : undefined]
+  ];
+
+  if (metadata.date) {
+    const [year, month, day] = metadata.date.split('-');
+    fields.push(['Year', Number(year)], ['Month', month && Number(month)], ['Day', day && Number(day)]);
+  }
+
+  const elements = fields
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([name, value]) => `  <${name}>${escapeXml(value)}</${name}>`)
+    .join('\n');
+
+  let previousFolder = null;
+  const pages = images.map((image, index) => {
+    const attributes = [`Image="${index}"`];
+
+    if (index === 0) {
+      attributes.push('Type="FrontCover"');
+    }
+    if (image.doublePage) {
+      attributes.push('DoublePage="True"');
+    }
+
+    // No arquivo unificado, a primeira página de cada pasta recebe o rótulo da pasta
+    let bookmark = image.bookmark;
+    if (merged && image.folderIndex !== previousFolder) {
+      previousFolder = image.folderIndex;
+      bookmark = bookmark || image.folderLabel || image.folderName;
+    }
+    if (bookmark) {
+      attributes.push(`Bookmark="${escapeXml(bookmark)}"`);
+    }
+
+    return `    <Page ${attributes.join(' ')}/>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+${elements}
+  <Pages>
+${pages}
+  </Pages>
+</ComicInfo>
+`;
+}
+
+/**
+ * Grava um CBZ: as imagens sem recompressão, em ordem, seguidas do ComicInfo.xml
+ * @param {Array<{path: string}>} images - Imagens na ordem das páginas
+ * @param {string} outputPath - Caminho de saída do CBZ
+ * @param {string} title - Título
+ * @param {Object} options - Opções
+ * @param {Object} options.logger - Logger
+ * @param {boolean} options.merged - Se o CBZ reúne várias pastas
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @returns {Promise<{pageCount: number}>} Resultado da geração
+ */
+async function buildCbz(images, outputPath, title, options) {
+  const { logger, merged } = options;
+  // Valida antes de criar o arquivo de saída
+  const direction = parseDirection(options.direction);
+  const metadata = resolveMetadata({ ...options, title: title || options.title });
+  const zip = new ZipWriter(outputPath);
+
+  try {
+    logger.log('   🖼️ Copiando imagens...');
+    for (let i = 0; i < images.length; i++) {
+      // JPEG, PNG e WebP já são comprimidos: são apenas armazenados
+      const imagePath = images[i].path;
+      await zip.addStream(getPageName(i, images.length, imagePath), () => openSourceStream(imagePath), { store: true }, imagePath);
+
+      if (merged && ((i + 1) % 25 === 0 || i === images.length - 1)) {
+        logger.log(`   📄 Copiadas ${i + 1}/${images.length} imagens`);
+      }
+    }
+
+    logger.log('   📋 Criando ComicInfo.xml...');
+    await zip.addBuffer('ComicInfo.xml', renderComicInfo(images, metadata, direction, merged));
+
+    logger.log('   📦 Compactando CBZ...');
+    await zip.close();
+
+    return { pageCount: images.length };
+  } catch (error) {
+    // Remove o arquivo incompleto
+    await zip.abort();
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(`Erro ao criar arquivo CBZ: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Cria um arquivo CBZ com as imagens
+ * @param {string[]} imagePaths - Lista de caminhos completos das imagens
+ * @param {string} outputPath - Caminho de saída do CBZ
+ * @param {string} title - Título
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @param {Map<string, Object>} [options.pageOverrides] - Ajustes por caminho de imagem (bookmark, doublePage)
+ * @returns {Promise<{pageCount: number}>} Resultado da geração
+ */
+function createCbz(imagePaths, outputPath, title, options = {}) {
+  const { pageOverrides } = options;
+  const images = imagePaths.map(imagePath => ({
+    path: imagePath,
+    ...(pageOverrides && pageOverrides.get(imagePath))
+  }));
+  return buildCbz(images, outputPath, title, { ...options, logger: resolveLogger(options), merged: false });
+}
+
+/**
+ * Cria um arquivo CBZ unificado com todas as imagens coletadas
+ * @param {Array} allImages - Array com informações de todas as imagens (ver collectAllImages)
+ * @param {string} outputPath - Caminho de saída do CBZ
+ * @param {string} title - Título
+ * @param {Object} [options] - Opções (logger, direction e metadados)
+ * @returns {Promise<{pageCount: number}>} Resultado da geração
+ */
+function createMergedCbz(allImages, outputPath, title, options = {}) {
+  const logger = resolveLogger(options);
+  logger.log('\n📦 Criando CBZ unificado...');
+  return buildCbz(allImages, outputPath, title, { ...options, logger, merged: true });
+}
+
+module.exports = {
+  renderComicInfo,
+  createCbz,
+  createMergedCbz
+};
@@ -0,0 +1,132 @@
+const { InvalidArgumentError } = require('../errors');
+const { toCamelCase } = require('../options');
+
+/**
+ * Converte o valor bruto de uma opção conforme o tipo declarado
+ * @param {Object} spec - Definição da opção
+ * @param {string} raw - Valor informado
+ * @returns {*} Valor convertido
+ */
+function coerceValue(spec, raw) {
+  if (spec.parse) {
+    return spec.parse(raw);
+  }
+
+  if (spec.type === 'number') {
+    const value = Number(raw);
+    if (raw === '' || Number.isNaN(value)) {
+      throw new InvalidArgumentError(`Valor inválido para --${spec.name}: "${raw}" (esperado um número)`);
+    }
+    return value;
+  }
+
+  return raw;
+}
+
+/**
+ * Interpreta uma lista de argumentos no formato --opcao valor, --opcao=valor,
+ * -o valor, --flag e --no-flag
+ * @param {string[]} argv - Argumentos (sem o executável e o script)
+ * @param {Array<Object>} specs - Definições das opções aceitas
+ * @returns {{options: Object, positionals: string[]}} Opções e argumentos posicionais
+ */
+function parseArgs(argv, specs) {
+  const byName = new Map();
+  const byAlias = new Map();
+  const options = {};
+  const positionals = [];
+
+  for (const spec of specs) {
+    byName.set(spec.name, spec);
+    if (spec.alias) {
+      byAlias.set(spec.alias, spec);
+    }
+    if (spec.default !== undefined) {
+      options[toCamelCase(spec.name)] = spec.default;
+    }
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Tudo após "--" é posicional
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    let spec;
+    let inlineValue;
+
+    if (arg.startsWith('--')) {
+      const [rawName, ...rest] = arg.slice(2).split('=');
+      inlineValue = rest.length > 0 ? rest.join('=') : undefined;
+      spec = byName.get(rawName);
+
+      // --no-flag desativa uma opção booleana
+      if (!spec && rawName.startsWith('no-')) {
+        const negated = byName.get(rawName.slice(3));
+        if (negated && negated.type === 'boolean') {
+          options[toCamelCase(negated.name)] = false;
+          continue;
+        }
+      }
+    } else {
+      spec = byAlias.get(arg.slice(1));
+    }
+
+    if (!spec) {
+      throw new InvalidArgumentError(`Opção desconhecida: ${arg}`);
+    }
+
+    const key = toCamelCase(spec.name);
+
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new InvalidArgumentError(`A opção --${spec.name} não aceita valor`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    let raw = inlineValue;
+    if (raw === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new InvalidArgumentError(`A opção --${spec.name} exige um valor`);
+      }
+      raw = argv[++i];
+    }
+
+    const value = coerceValue(spec, raw);
+    // Opções repetíveis acumulam os valores em uma lista
+    options[key] = spec.multiple ? [...(options[key] || []), ...[].concat(value)] : value;
+  }
+
+  return { options, positionals };
+}
+
+/**
+ * Formata a lista de opções para exibição na ajuda
+ * @param {Array<Object>} specs - Definições das opções
+ * @returns {string} Texto alinhado com uma opção por linha
+ */
+function formatOptions(specs) {
+  const rows = specs.map(spec => {
+    const flag = spec.alias ? `-${spec.alias}, --${spec.name}` : `    --${spec.name}`;
+    const value = spec.type === 'boolean' ? '' : ` <${spec.valueName || 'valor'}>`;
+    return [`${flag}${value}`, spec.description];
+  });
+
+  const width = Math.max(...rows.map(([left]) => left.length));
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}  ${right}`).join('\n');
+}
+
+module.exports = {
+  parseArgs,
+  formatOptions
+};
@@ -0,0 +1,607 @@
+const path = require('path');
+const { analyzeFolder, describeFolders, renderAnalysisTable, parseDepth, formatBytes } = require('../analyzer');
+const { getSourceName } = require('../archive');
+const { convertFolder, convertCsv, mergeFolders, FORMATS } = require('../convert');
+const { InvalidArgumentError } = require('../errors');
+const {
+  PDF_LAYOUT_OPTIONS,
+  PDF_MERGE_OPTIONS,
+  READING_OPTIONS,
+  METADATA_OPTIONS,
+  EPUB_OPTIONS,
+  COMPRESSION_OPTIONS,
+  PDF_COMPRESSION_OPTIONS,
+  COLOR_OPTIONS,
+  TRIM_OPTIONS,
+  SORT_OPTIONS,
+  COVER_OPTIONS,
+  TITLE_PAGE_OPTIONS,
+  CHAPTER_PAGE_OPTIONS,
+  VALIDATION_OPTIONS,
+  BATCH_OPTIONS,
+  BUILD_OPTIONS,
+  REPORT_OPTIONS
+} = require('../options');
+const { createReport, writeReport } = require('../report');
+const { EXIT_CODES, getErrorExitCode, getOutcomeExitCode } = require('./exit-codes');
+
+/**
+ * Opções aceitas por todos os subcomandos
+ */
+const COMMON_OPTIONS = [
+  { name: 'help', alias: 'h', type: 'boolean', description: 'Exibe a ajuda do comando' },
+  { name: 'quiet', alias: 'q', type: 'boolean', description: 'Oculta mensagens de progresso (erros e avisos continuam visíveis)' },
+  { name: 'dry-run', type: 'boolean', description: 'Simula a execução: mostra as pastas, as imagens em ordem, os arquivos de saída e as páginas, sem gravar nada' }
+];
+
+/**
+ * Opções específicas de cada formato de saída
+ */
+const FORMAT_OPTIONS = {
+  pdf: [...PDF_LAYOUT_OPTIONS, ...READING_OPTIONS, ...COVER_OPTIONS, ...TITLE_PAGE_OPTIONS, ...COMPRESSION_OPTIONS, ...PDF_COMPRESSION_OPTIONS, ...COLOR_OPTIONS, ...TRIM_OPTIONS],
+  epub: [...EPUB_OPTIONS, ...READING_OPTIONS, ...COVER_OPTIONS, ...TITLE_PAGE_OPTIONS, ...COMPRESSION_OPTIONS, ...COLOR_OPTIONS, ...TRIM_OPTIONS],
+  cbz: [...READING_OPTIONS, ...COVER_OPTIONS]
+};
+
+/**
+ * Opções adicionais das fusões em arquivo único, por formato
+ */
+const MERGE_OPTIONS = {
+  pdf: [...PDF_MERGE_OPTIONS, ...CHAPTER_PAGE_OPTIONS],
+  epub: CHAPTER_PAGE_OPTIONS,
+  cbz: []
+};
+
+/**
+ * Logger usado com --quiet: descarta o progresso, mantém avisos e erros
+ */
+const quietLogger = {
+  log() {},
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args)
+};
+
+/**
+ * Retorna o logger adequado às opções da linha de comando
+ * @param {Object} options - Opções interpretadas
+ * @returns {Object} Logger
+ */
+function createLogger(options) {
+  return options.quiet ? quietLogger : console;
+}
+
+/**
+ * Garante que não foram informados argumentos posicionais além do esperado
+ * @param {string[]} positionals - Argumentos posicionais
+ * @param {number} max - Quantidade máxima aceita
+ */
+function assertPositionals(positionals, max) {
+  if (positionals.length > max) {
+    throw new InvalidArgumentError(`Argumento inesperado: ${positionals[max]}`);
+  }
+}
+
+/**
+ * Situação da execução no relatório, pelo código de saída
+ */
+const REPORT_STATUS = {
+  [EXIT_CODES.SUCCESS]: 'success',
+  [EXIT_CODES.PARTIAL]: 'partial',
+  [EXIT_CODES.ISSUES]: 'issues'
+};
+
+/**
+ * Executa um subcomando e, com --report, grava o relatório JSON da execução,
+ * inclusive quando ela é interrompida por um erro ou é uma simulação. Uma
+ * falha ao gravar o relatório vira aviso: o resultado e o código de saída
+ * continuam sendo os da execução.
+ * @param {string} commandName - Nome do subcomando
+ * @param {Object} options - Opções interpretadas
+ * @param {Function} task - Recebe o objeto a preencher com os dados do relatório (ver createReport) e retorna o código de saída
+ * @returns {Promise<number>} Código de saída
+ */
+async function runWithReport(commandName, options, task) {
+  const startedAt = Date.now();
+  const details = {};
+  let exitCode = EXIT_CODES.FAILURE;
+  let failure = null;
+
+  try {
+    exitCode = await task(details);
+    return exitCode;
+  } catch (error) {
+    exitCode = getErrorExitCode(error);
+    failure = error;
+    throw error;
+  } finally {
+    if (options.report) {
+      const logger = createLogger(options);
+      try {
+        const reportPath = await writeReport(options.report, createReport({
+          ...details,
+          command: commandName,
+          status: REPORT_STATUS[exitCode] || 'failure',
+          exitCode,
+          startedAt,
+          dryRun: options.dryRun,
+          error: failure
+        }));
+        logger.log(`\n🧾 Relatório salvo em: ${reportPath}`);
+      } catch (error) {
+        logger.warn(`\n⚠️ ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Lista os avisos de numeração de cada pasta convertida. Usa warn para
+ * continuar visível com --quiet.
+ * @param {Array<{nome: string, warnings: string[]}>} items - Pastas ou linhas com avisos
+ * @param {Object} logger - Logger
+ */
+function displayNumberingWarnings(items, logger) {
+  const withWarnings = items.filter(item => item.warnings && item.warnings.length > 0);
+  if (withWarnings.length === 0) return;
+
+  logger.warn(`\n⚠️ Numeração irregular em ${withWarnings.length} pasta(s) (use --strict para interromper):`);
+  for (const item of withWarnings) {
+    logger.warn(`   • ${item.nome}: ${item.warnings.join('; ')}`);
+  }
+}
+
+/**
+ * Exibe as estatísticas de uma fusão de pastas
+ * @param {Object} result - Resultado de mergeFolders
+ * @param {Object} format - Definição do formato de saída
+ * @param {Object} logger - Logger
+ */
+function displayMergeStatistics(result, format, logger) {
+  logger.log('\n📊 Estatísticas do processamento:');
+  logger.log(`   📂 Pastas processadas: ${result.folders.length}`);
+  logger.log(`   🖼️ Total de imagens: ${result.images.length}`);
+
+  logger.log('\n   📈 Imagens por pasta:');
+  for (const folder of result.folders) {
+    if (folder.imageCount > 0) {
+      logger.log(`     • ${folder.nome}: ${folder.imageCount} imagem(ns)`);
+    }
+  }
+
+  logger.log(`\n   ${format.icon} Arquivo de saída: ${result.outputPath}`);
+  logger.log(`   📄 Total de páginas no ${format.label}: ${result.pageCount}`);
+  displayCompression(result.compression, logger);
+  displayTrim(result.trimmedImages, result.dryRun, logger);
+  if (result.skipped) {
+    logger.log(result.dryRun
+      ? '   ⏭️ Já está atualizado; não seria refeito (use --force para gerar de novo)'
+      : '   ⏭️ Já estava atualizado; nada foi refeito (use --force para gerar de novo)');
+  } else if (result.dryRun) {
+    logger.log(`   🔁 Seria gerado: ${result.rebuildReason}`);
+  }
+
+  const leftOut = result.folders.filter(folder => folder.status !== 'success');
+  if (result.dryRun && leftOut.length > 0) {
+    logger.warn(`\n❌ ${leftOut.length} pasta(s) ficariam de fora:`);
+    for (const folder of leftOut) {
+      logger.warn(`   • ${folder.nome}: ${folder.error.message}`);
+    }
+  }
+
+  displayNumberingWarnings(result.folders, logger);
+}
+
+/**
+ * Exibe quanto a redução, a recompressão e o modo de cor das imagens economizaram
+ * @param {(Object|null)} compression - Totais (ver sumCompression); null quando desativada
+ * @param {Object} logger - Logger
+ * @param {string} [indent] - Recuo da linha
+ */
+function displayCompression(compression, logger, indent = '   ') {
+  if (!compression || compression.images === 0) return;
+
+  const { images, recompressed, originalBytes, outputBytes } = compression;
+  const saved = originalBytes > 0 ? Math.round((1 - outputBytes / originalBytes) * 100) : 0;
+  logger.log(`${indent}💾 Imagens: ${formatBytes(originalBytes)} → ${formatBytes(outputBytes)} (economia de ${saved}%, ${recompressed} de ${images} alterada(s))`);
+}
+
+/**
+ * Exibe quantas imagens tiveram as bordas aparadas (--auto-trim); o recorte
+ * de cada uma aparece no progresso
+ * @param {Array} trimmedImages - Recorte de cada imagem aparada (ver toTrimEntry)
+ * @param {boolean} dryRun - Se foi uma simulação
+ * @param {Object} logger - Logger
+ * @param {string} [indent] - Recuo da linha
+ */
+function displayTrim(trimmedImages, dryRun, logger, indent = '   ') {
+  if (trimmedImages.length === 0) return;
+  logger.log(`${indent}✂️ Bordas ${dryRun ? 'que seriam aparadas' : 'aparadas'}: ${trimmedImages.length} imagem(ns)`);
+}
+
+/**
+ * Formata uma duração para exibição (ex.: 8,4 s ou 2 min 05 s)
+ * @param {number} ms - Duração em milissegundos
+ * @returns {string} Duração formatada
+ */
+function formatDuration(ms) {
+  const seconds = ms / 1000;
+  if (seconds < 60) {
+    return `${seconds.toFixed(1).replace('.', ',')} s`;
+  }
+
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${String(Math.round(seconds % 60)).padStart(2, '0')} s`;
+}
+
+/**
+ * Lista os arquivos gerados agrupados pelo motivo da geração (registro de
+ * gerações); motivos com muitas linhas mostram apenas as primeiras
+ * @param {Array<{nome: string, status: string, rebuildReason: string}>} rows - Linhas convertidas
+ * @param {Object} logger - Logger
+ */
+function displayRebuildReasons(rows, logger) {
+  const byReason = new Map();
+  for (const row of rows.filter(item => item.status === 'success')) {
+    byReason.set(row.rebuildReason, [...(byReason.get(row.rebuildReason) || []), row.nome]);
+  }
+  if (byReason.size === 0) return;
+
+  logger.log('\n🔁 Motivos da geração:');
+  for (const [reason, names] of byReason) {
+    const shown = names.slice(0, 5).join(', ');
+    const more = names.length > 5 ? ` e mais ${names.length - 5}` : '';
+    logger.log(`   • ${reason} (${names.length}): ${shown}${more}`);
+  }
+}
+
+/**
+ * Exibe o resultado da simulação de um CSV (--dry-run): o que seria gerado,
+ * com quantas páginas, e as linhas que falhariam
+ * @param {Object} summary - Resultado de convertCsv com dryRun
+ * @param {Object} format - Definição do formato de saída
+ * @param {Object} logger - Logger
+ */
+function displayCsvDryRun(summary, format, logger) {
+  logger.log('\n🔎 Simulação concluída; nenhum arquivo foi gravado:');
+  logger.log(`   ${format.icon} Arquivos que seriam gerados: ${summary.succeeded}/${summary.total}`);
+  if (summary.skipped > 0) {
+    logger.log(`   ⏭️ Já atualizados (não seriam refeitos): ${summary.skipped}`);
+  }
+  logger.log(`   📄 Total de páginas previsto: ${summary.pageCount}`);
+  displayTrim(summary.trimmedImages, true, logger);
+
+  displayRebuildReasons(summary.rows, logger);
+
+  if (summary.failed > 0) {
+    logger.warn(`\n❌ ${summary.failed} linha(s) falhariam:`);
+    for (const row of summary.rows.filter(item => item.status === 'failed')) {
+      logger.warn(`   • ${row.nome}: ${row.error.message}`);
+    }
+  }
+  displayNumberingWarnings(summary.rows, logger);
+}
+
+/**
+ * Exibe o resumo da conversão de um CSV: arquivos gerados, páginas, tempo
+ * total e o erro de cada linha que falhou
+ * @param {Object} summary - Resultado de convertCsv
+ * @param {Object} format - Definição do formato de saída
+ * @param {number} elapsed - Tempo total em milissegundos
+ * @param {Object} logger - Logger
+ */
+function displayCsvSummary(summary, format, elapsed, logger) {
+  if (summary.dryRun) {
+    displayCsvDryRun(summary, format, logger);
+    return;
+  }
+
+  const failedImages = summary.rows.reduce((total, row) => total + row.failedImages.length, 0);
+
+  logger.log('\n📊 Resumo do processamento:');
+  logger.log(`   ${format.icon} Arquivos gerados: ${summary.succeeded}/${summary.total}`);
+  if (summary.skipped > 0) {
+    logger.log(`   ⏭️ Já atualizados (não refeitos): ${summary.skipped}`);
+  }
+  logger.log(`   📄 Total de páginas: ${summary.pageCount}`);
+  displayCompression(summary.compression, logger);
+  displayTrim(summary.trimmedImages, false, logger);
+  if (failedImages > 0) {
+    logger.log(`   ⚠️ Imagens ignoradas por erro: ${failedImages}`);
+  }
+  logger.log(`   ⏱️ Tempo total: ${formatDuration(elapsed)}`);
+
+  displayRebuildReasons(summary.rows, logger);
+
+  if (summary.failed > 0) {
+    logger.warn(`\n❌ ${summary.failed} linha(s) com erro:`);
+    for (const row of summary.rows.filter(item => item.status === 'failed')) {
+      logger.warn(`   • ${row.nome}: ${row.error.message}`);
+    }
+  }
+
+  const skipped = summary.skipped > 0 ? `, ${summary.skipped} já atualizado(s)` : '';
+  logger.log(`\n🎉 Processamento do CSV concluído! ${summary.succeeded}/${summary.total} arquivo(s) gerado(s)${skipped}`);
+  displayNumberingWarnings(summary.rows, logger);
+}
+
+/**
+ * Cria o subcomando de conversão (uma pasta ou um arquivo por linha do CSV)
+ * @param {string} formatName - Formato de saída (pdf, epub, cbz)
+ * @returns {Object} Definição do subcomando
+ */
+function createConvertCommand(formatName) {
+  const format = FORMATS[formatName];
+
+  return {
+    name: formatName,
+    summary: `Converte uma pasta (ou cada linha de um CSV) em ${format.label}`,
+    usage: [
+      `images-batch ${formatName} <pasta|arquivo.zip|arquivo.cbz> [-o <arquivo>] [opções]`,
+      `images-batch ${formatName} --csv <arquivo-csv> [--out-dir <pasta>] [opções]`
+    ],
+    options: [
+      { name: 'csv', type: 'string', valueName: 'arquivo-csv', description: `Gera um ${format.label} para cada linha do CSV (nome;caminho)` },
+      { name: 'output', alias: 'o', type: 'string', valueName: 'arquivo', description: `Arquivo de saída no modo pasta (padrão: nome da pasta ou do ZIP/CBZ${format.extension})` },
+      { name: 'out-dir', type: 'string', valueName: 'pasta', description: `Pasta de saída (padrão no modo CSV: ${format.outputDir}/)` },
+      ...METADATA_OPTIONS,
+      ...FORMAT_OPTIONS[formatName],
+      ...SORT_OPTIONS,
+      ...VALIDATION_OPTIONS,
+      ...BATCH_OPTIONS,
+      ...BUILD_OPTIONS,
+      ...REPORT_OPTIONS
+    ],
+    examples: [
+      `images-batch ${formatName} ./imagens -o meu-documento`,
+      `images-batch ${formatName} ./downloads/volume-01.cbz`,
+      `images-batch ${formatName} ./fotos --sort exif`,
+      `images-batch ${formatName} --csv csv/lista.csv`,
+      `images-batch ${formatName} --csv csv/lista.csv --concurrency 4`,
+      `images-batch ${formatName} --csv csv/lista.csv --report relatorio.json`
+    ],
+    async run({ options, positionals }) {
+      const logger = createLogger(options);
+      assertPositionals(positionals, 1);
+
+      const [folderPath] = positionals;
+
+      if (options.csv && folderPath) {
+        throw new InvalidArgumentError('Informe uma pasta ou --csv, não ambos');
+      }
+      if (!options.csv && !folderPath) {
+        throw new InvalidArgumentError('Informe a pasta (ou ZIP/CBZ) com as imagens ou --csv <arquivo>');
+      }
+
+      logger.log(`${format.icon} Iniciando conversão de imagens para ${format.label}...\n`);
+
+      return runWithReport(formatName, options, async report => {
+        if (options.csv) {
+          logger.log(`📄 Arquivo CSV: ${options.csv}\n`);
+          const startedAt = Date.now();
+          const summary = await convertCsv(formatName, options.csv, { ...options, outputDir: options.outDir, logger });
+          const { total, succeeded, skipped, failed, pageCount, compression, rows } = summary;
+          Object.assign(report, { summary: { total, succeeded, skipped, failed, pageCount, compression }, rows });
+          displayCsvSummary(summary, format, Date.now() - startedAt, logger);
+
+          const failedImages = rows.reduce((total, row) => total + row.failedImages.length, 0);
+          return getOutcomeExitCode(summary.failed, summary.total, failedImages > 0);
+        }
+
+        const outputName = options.output || getSourceName(folderPath);
+        const output = options.outDir ? path.join(options.outDir, outputName) : outputName;
+
+        logger.log(`📁 Pasta: ${folderPath}`);
+        logger.log(`📄 Arquivo de saída: ${output}\n`);
+
+        const startedAt = Date.now();
+        const result = await convertFolder(formatName, folderPath, output, { ...options, logger });
+        const row = { ...result, nome: getSourceName(folderPath), caminho: folderPath, status: 'success', durationMs: Date.now() - startedAt };
+        report.rows = [row];
+
+        if (result.dryRun) {
+          logger.log('\n🔎 Simulação concluída; nenhum arquivo foi gravado');
+          logger.log(`📄 O ${format.label} seria salvo em: ${result.outputPath} (${result.pageCount} página(s))`);
+          displayTrim(result.trimmedImages, true, logger, '');
+          displayNumberingWarnings([row], logger);
+          return EXIT_CODES.SUCCESS;
+        }
+
+        logger.log('\n✅ Conversão concluída com sucesso!');
+        logger.log(`📄 Arquivo salvo em: ${result.outputPath}`);
+        displayCompression(result.compression, logger, '');
+        displayTrim(result.trimmedImages, false, logger, '');
+        if (result.failedImages.length > 0) {
+          logger.warn(`⚠️ ${result.failedImages.length} de ${result.images.length} imagem(ns) ficaram de fora por erro`);
+        }
+        displayNumberingWarnings([row], logger);
+        return getOutcomeExitCode(result.failedImages.length, result.images.length);
+      });
+    }
+  };
+}
+
+/**
+ * Cria o subcomando de fusão (todas as pastas do CSV em um único arquivo)
+ * @param {string} formatName - Formato de saída (pdf, epub, cbz)
+ * @returns {Object} Definição do subcomando
+ */
+function createMergeCommand(formatName) {
+  const format = FORMATS[formatName];
+
+  return {
+    name: `merge-${formatName}`,
+    summary: `Junta as imagens de todas as pastas do CSV em um único ${format.label}`,
+    usage: [
+      `images-batch merge-${formatName} <arquivo-csv> -o <arquivo> [opções]`
+    ],
+    options: [
+      { name: 'output', alias: 'o', type: 'string', valueName: 'arquivo', description: `Nome do ${format.label} unificado (obrigatório)` },
+      { name: 'out-dir', type: 'string', valueName: 'pasta', description: `Pasta de saída (padrão: ${format.outputDir}/)` },
+      ...METADATA_OPTIONS,
+      ...FORMAT_OPTIONS[formatName],
+      ...MERGE_OPTIONS[formatName],
+      ...SORT_OPTIONS,
+      ...VALIDATION_OPTIONS,
+      ...BUILD_OPTIONS,
+      ...REPORT_OPTIONS
+    ],
+    examples: [
+      `images-batch merge-${formatName} csv/lista.csv -o volume-completo`,
+      `images-batch merge-${formatName} csv/lista.csv -o volume-completo --force`
+    ],
+    async run({ options, positionals }) {
+      const logger = createLogger(options);
+      assertPositionals(positionals, 1);
+
+      const [csvFile] = positionals;
+      if (!csvFile) {
+        throw new InvalidArgumentError('Informe o arquivo CSV com as pastas');
+      }
+      if (!options.output) {
+        throw new InvalidArgumentError(`Informe o nome do ${format.label} de saída com -o <arquivo>`);
+      }
+
+      logger.log(`🔗 Iniciando fusão de imagens de múltiplas pastas em ${format.label} único...\n`);
+      logger.log(`📄 Arquivo CSV: ${csvFile}`);
+      logger.log(`${format.icon} Arquivo de saída: ${options.output}\n`);
+
+      return runWithReport(`merge-${formatName}`, options, async report => {
+        const result = await mergeFolders(formatName, csvFile, options.output, {
+          ...options,
+          outputDir: options.outDir,
+          logger
+        });
+        const { outputPath, pageCount, failedImages, compression, trimmedImages, skipped, rebuildReason, folders } = result;
+        Object.assign(report, { output: { outputPath, pageCount, failedImages, compression, trimmedImages, skipped, rebuildReason }, folders });
+
+        displayMergeStatistics(result, format, logger);
+
+        // Pastas sem imagens ou com erro ficam de fora do arquivo: falha parcial
+        const leftOut = folders.some(folder => folder.status !== 'success');
+        const exitCode = getOutcomeExitCode(failedImages.length, result.images.length, leftOut);
+
+        if (result.dryRun) {
+          logger.log('\n🔎 Simulação concluída; nenhum arquivo foi gravado');
+          logger.log(`${format.icon} O arquivo unificado seria salvo em: ${result.outputPath}`);
+          return exitCode;
+        }
+
+        if (exitCode === EXIT_CODES.SUCCESS) {
+          logger.log(`\n✅ Fusão em ${format.label} concluída com sucesso!`);
+        } else {
+          logger.warn(`\n⚠️ Fusão em ${format.label} concluída com falhas: ${failedImages.length} imagem(ns) com erro, ${folders.filter(folder => folder.status !== 'success').length} pasta(s) de fora`);
+        }
+        logger.log(`🎉 Arquivo unificado salvo em: ${result.outputPath}`);
+        return exitCode;
+      });
+    }
+  };
+}
+
+/**
+ * Subcomando de análise de diretórios
+ */
+const analyzeCommand = {
+  name: 'analyze',
+  summary: 'Lista as pastas filhas (e arquivos ZIP/CBZ) de um diretório, confere seu conteúdo e gera o CSV de controle',
+  usage: [
+    'images-batch analyze <diretorio> [-o <arquivo-csv>] [--depth <n>] [--leaves] [--report <arquivo.json>]'
+  ],
+  options: [
+    { name: 'output', alias: 'o', type: 'string', valueName: 'arquivo-csv', description: 'Caminho do CSV gerado (padrão: csv/<uuid>.csv)' },
+    { name: 'depth', type: 'number', valueName: 'n', parse: parseDepth, description: 'Profundidade máxima da busca (padrão: 1, apenas as pastas filhas; sem limite com --leaves)' },
+    { name: 'leaves', type: 'boolean', description: 'Lista apenas as pastas que contêm imagens, com nomes montados pelo caminho (ex.: "Serie - Vol 02 - Cap 013")' },
+    { name: 'report', type: 'string', valueName: 'arquivo.json', description: 'Grava um relatório JSON da análise: situação, imagens, formatos e anomalias de cada pasta (gravado também com --dry-run)' }
+  ],
+  examples: [
+    'images-batch analyze /home/usuario/documentos/escaneados',
+    'images-batch analyze /home/usuario/mangas --leaves',
+    'images-batch analyze /home/usuario/mangas --depth 2',
+    'images-batch analyze /home/usuario/mangas --report analise.json'
+  ],
+  async run({ options, positionals }) {
+    const logger = createLogger(options);
+    assertPositionals(positionals, 1);
+
+    const [targetPath] = positionals;
+    if (!targetPath) {
+      throw new InvalidArgumentError('Informe o diretório a ser analisado');
+    }
+
+    return runWithReport('analyze', options, async report => {
+      logger.log(`Analisando pasta: ${targetPath}`);
+      const analysis = await analyzeFolder(targetPath, {
+        csvPath: options.output,
+        depth: options.depth,
+        leaves: options.leaves,
+        dryRun: options.dryRun
+      });
+      report.analysis = analysis;
+      const { folders, warnings, problems, csvPath } = analysis;
+      logger.log(describeFolders(folders));
+      for (const warning of warnings) {
+        logger.warn(`⚠️ ${warning.caminho}: ${warning.message}`);
+      }
+      if (folders.length > 0) {
+        logger.log(`\n${renderAnalysisTable(folders)}\n`);
+      }
+      if (options.dryRun) {
+        logger.log('🔎 Simulação: o CSV não foi gravado');
+        logger.log(`Seria gravado em: ${csvPath}`);
+      } else {
+        logger.log('Arquivo CSV gerado com sucesso!');
+        logger.log(`Caminho completo: ${csvPath}`);
+      }
+
+      if (problems > 0) {
+        // Aviso e não log: continua visível com --quiet
+        logger.warn(`\n⚠️ ${problems} problema(s) encontrado(s). Confira a tabela acima ou as colunas do CSV antes de converter.`);
+        return EXIT_CODES.ISSUES;
+      }
+
+      logger.log('\n📌 Próximo passo:');
+      logger.log(`images-batch pdf --csv ${csvPath}`);
+      logger.log(`images-batch merge-pdf ${csvPath} -o <nome-do-arquivo>`);
+      return EXIT_CODES.SUCCESS;
+    });
+  }
+};
+
+/**
+ * Todos os subcomandos, na ordem exibida na ajuda
+ */
+const COMMANDS = [
+  analyzeCommand,
+  createConvertCommand('pdf'),
+  createConvertCommand('epub'),
+  createConvertCommand('cbz'),
+  createMergeCommand('pdf'),
+  createMergeCommand('epub'),
+  createMergeCommand('cbz')
+];
+
+/**
+ * Busca um subcomando pelo nome
+ * @param {string} name - Nome do subcomando
+ * @returns {(Object|undefined)} Definição do subcomando
+ */
+function getCommand(name) {
+  return COMMANDS.find(command => command.name === name);
+}
+
+/**
+ * Lista de opções completa de um subcomando (incluindo as comuns)
+ * @param {Object} command - Definição do subcomando
+ * @returns {Array<Object>} Definições das opções
+ */
+function getCommandOptions(command) {
+  return [...command.options, ...COMMON_OPTIONS];
+}
+
+module.exports = {
+  COMMANDS,
+  COMMON_OPTIONS,
+  getCommand,
+  getCommandOptions,
+  displayMergeStatistics
+};
@@ -0,0 +1,42 @@
+const { InvalidArgumentError } = require('../errors');
+
+/**
+ * Códigos de saída usados por todos os comandos da CLI
+ */
+const EXIT_CODES = {
+  // Tudo concluído sem erros
+  SUCCESS: 0,
+  // Erro durante a execução (pasta inexistente, falha ao gerar arquivo, ...) ou nenhum item concluído
+  FAILURE: 1,
+  // Uso incorreto: subcomando, opção ou argumento inválido
+  USAGE: 2,
+  // A análise terminou, mas encontrou problemas (pastas sem imagens, numeração irregular, ...)
+  ISSUES: 3,
+  // Falha parcial: parte das linhas, pastas ou imagens falhou, o restante foi gerado
+  PARTIAL: 4
+};
+
+/**
+ * Código de saída de um erro que interrompeu o comando
+ * @param {Error} error - Erro
+ * @returns {number} USAGE para argumentos inválidos, senão FAILURE
+ */
+function getErrorExitCode(error) {
+  return error instanceof InvalidArgumentError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+}
+
+/**
+ * Código de saída de um processamento conforme os itens que falharam
+ * @param {number} failed - Itens com falha (linhas do CSV ou imagens)
+ * @param {number} total - Total de itens
+ * @param {boolean} [incomplete=false] - Se algo mais ficou de fora (ex.: imagens ou pastas ignoradas)
+ * @returns {number} SUCCESS, PARTIAL ou FAILURE (todos os itens falharam)
+ */
+function getOutcomeExitCode(failed, total, incomplete = false) {
+  if (total > 0 && failed >= total) {
+    return EXIT_CODES.FAILURE;
+  }
+  return failed > 0 || incomplete ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+}
+
+module.exports = { EXIT_CODES, getErrorExitCode, getOutcomeExitCode };
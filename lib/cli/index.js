@@ -0,0 +1,127 @@
+const { COMMANDS, getCommand, getCommandOptions } = require('./commands');
+const { parseArgs, formatOptions } = require('./args');
+const { EXIT_CODES, getErrorExitCode } = require('./exit-codes');
+const { version } = require('../../package.json');
+
+/**
+ * Ajuda geral da CLI
+ * @returns {string} Texto da ajuda
+ */
+function renderGeneralHelp() {
+  const width = Math.max(...COMMANDS.map(command => command.name.length));
+  const commands = COMMANDS
+    .map(command => `  ${command.name.padEnd(width)}  ${command.summary}`)
+    .join('\n');
+
+  return `
+📖 images-batch ${version} - Conversão de pastas de imagens em PDF, EPUB e CBZ
+
+Uso:
+  images-batch <comando> [opções]
+  images-batch <comando> --help
+
+Comandos:
+${commands}
+
+Opções globais:
+  -h, --help     Exibe esta ajuda
+  -v, --version  Exibe a versão
+
+Códigos de saída:
+  ${EXIT_CODES.SUCCESS}  Sucesso
+  ${EXIT_CODES.FAILURE}  Erro durante a execução, ou todas as linhas do lote falharam
+  ${EXIT_CODES.USAGE}  Uso incorreto (comando, opção ou argumento inválido)
+  ${EXIT_CODES.ISSUES}  Análise concluída com problemas encontrados (analyze)
+  ${EXIT_CODES.PARTIAL}  Falha parcial: parte das linhas, pastas ou imagens falhou
+`;
+}
+
+/**
+ * Ajuda de um subcomando
+ * @param {Object} command - Definição do subcomando
+ * @returns {string} Texto da ajuda
+ */
+function renderCommandHelp(command) {
+  const usage = command.usage.map(line => `  ${line}`).join('\n');
+  const examples = command.examples.map(line => `  ${line}`).join('\n');
+
+  return `
+${command.summary}
+
+Uso:
+${usage}
+
+Opções:
+${formatOptions(getCommandOptions(command))}
+
+Exemplos:
+${examples}
+`;
+}
+
+/**
+ * Executa um subcomando já interpretado, convertendo erros em códigos de saída
+ * @param {Object} command - Definição do subcomando
+ * @param {{options: Object, positionals: string[]}} parsed - Argumentos interpretados
+ * @returns {Promise<number>} Código de saída
+ */
+async function runCommand(command, parsed) {
+  if (parsed.options.help) {
+    console.log(renderCommandHelp(command));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  try {
+    return await command.run(parsed);
+  } catch (error) {
+    console.error('\n❌ Erro:', error.message);
+    const exitCode = getErrorExitCode(error);
+    if (exitCode === EXIT_CODES.USAGE) {
+      console.error(`   Use "images-batch ${command.name} --help" para ver as opções.`);
+    }
+    return exitCode;
+  }
+}
+
+/**
+ * Ponto de entrada da CLI
+ * @param {string[]} argv - Argumentos (sem o executável e o script)
+ * @returns {Promise<number>} Código de saída
+ */
+async function main(argv) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h' || commandName === 'help') {
+    console.log(renderGeneralHelp());
+    return commandName ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  if (commandName === '--version' || commandName === '-v') {
+    console.log(version);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const command = getCommand(commandName);
+  if (!command) {
+    console.error(`❌ Comando desconhecido: ${commandName}`);
+    console.error('   Use "images-batch --help" para ver os comandos disponíveis.');
+    return EXIT_CODES.USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs(rest, getCommandOptions(command));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(`   Use "images-batch ${command.name} --help" para ver as opções.`);
+    return EXIT_CODES.USAGE;
+  }
+
+  return runCommand(command, parsed);
+}
+
+module.exports = {
+  main,
+  runCommand,
+  renderCommandHelp
+};
@@ -0,0 +1,131 @@
+const { InvalidArgumentError } = require('./errors');
+const { encodePng } = require('./png');
+
+/**
+ * Modos de cor aceitos: as imagens como estão, em tons de cinza ou em
+ * preto e branco puro (1 bit por pixel)
+ */
+const COLOR_MODES = ['color', 'grayscale', 'bilevel'];
+
+/**
+ * Limiar padrão do preto e branco: pixels mais escuros viram preto
+ */
+const DEFAULT_THRESHOLD = 128;
+
+/**
+ * Valida o modo de cor
+ * @param {string} value - Valor informado
+ * @returns {string} Modo de cor (color, grayscale, bilevel)
+ */
+function parseColorMode(value) {
+  const mode = String(value || 'color').trim().toLowerCase();
+  if (!COLOR_MODES.includes(mode)) {
+    throw new InvalidArgumentError(`Modo de cor inválido: "${value}". Valores aceitos: ${COLOR_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Valida o limiar do preto e branco
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Limiar de 0 a 255
+ */
+function parseThreshold(value) {
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold) || threshold < 0 || threshold > 255) {
+    throw new InvalidArgumentError(`Limiar inválido: "${value}" (esperado um inteiro de 0 a 255)`);
+  }
+  return threshold;
+}
+
+/**
+ * Resolve o modo de cor a partir das opções
+ * @param {Object} [options] - Opções (colorMode, threshold, dither)
+ * @returns {(Object|null)} Modo, limiar e pontilhado, ou null para manter as cores
+ */
+function resolveColorMode(options = {}) {
+  const mode = parseColorMode(options.colorMode);
+  if (mode === 'color') {
+    return null;
+  }
+  return {
+    mode,
+    threshold: options.threshold !== undefined ? parseThreshold(options.threshold) : DEFAULT_THRESHOLD,
+    dither: Boolean(options.dither)
+  };
+}
+
+/**
+ * Converte pixels em tons de cinza para preto e branco, empacotados em
+ * 1 bit por pixel (bit 1 = branco, como no PNG em tons de cinza). Com
+ * dither, o erro de cada pixel é espalhado pelos vizinhos (Floyd-Steinberg),
+ * o que preserva fotos e degradês; sem ele, cada pixel é comparado ao limiar.
+ * @param {Buffer} gray - Pixels em tons de cinza, 1 byte por pixel
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @param {Object} settings - Limiar e pontilhado (ver resolveColorMode)
+ * @returns {Buffer} Linhas empacotadas, com Math.ceil(width / 8) bytes cada
+ */
+function toBilevel(gray, width, height, settings) {
+  const { threshold, dither } = settings;
+  const stride = Math.ceil(width / 8);
+  const packed = Buffer.alloc(stride * height);
+  const values = dither ? Int16Array.from(gray) : gray;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const value = values[index];
+      const white = value >= threshold;
+      if (white) {
+        packed[y * stride + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+
+      if (dither) {
+        const error = value - (white ? 255 : 0);
+        if (x + 1 < width) values[index + 1] += (error * 7) >> 4;
+        if (y + 1 < height) {
+          if (x > 0) values[index + width - 1] += (error * 3) >> 4;
+          values[index + width] += (error * 5) >> 4;
+          if (x + 1 < width) values[index + width + 1] += error >> 4;
+        }
+      }
+    }
+  }
+
+  return packed;
+}
+
+/**
+ * Termina um pipeline do sharp em PNG de 1 bit por pixel, a codificação
+ * mais compacta que o pdfkit embute (documentos de texto ficam muito menores)
+ * @param {Object} pipeline - Pipeline do sharp (já reduzido, se for o caso)
+ * @param {Object} settings - Limiar e pontilhado (ver resolveColorMode)
+ * @returns {Promise<Buffer>} PNG em preto e branco
+ */
+async function encodeBilevel(pipeline, settings) {
+  // Transparência vira fundo branco, como em uma folha impressa
+  const { data, info } = await pipeline
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw({ depth: 'uchar' })
+    .toBuffer({ resolveWithObject: true });
+
+  return encodePng({
+    width: info.width,
+    height: info.height,
+    channels: 1,
+    bitDepth: 1,
+    data: toBilevel(data, info.width, info.height, settings)
+  });
+}
+
+module.exports = {
+  COLOR_MODES,
+  DEFAULT_THRESHOLD,
+  parseColorMode,
+  parseThreshold,
+  resolveColorMode,
+  toBilevel,
+  encodeBilevel
+};
@@ -0,0 +1,229 @@
+const { InvalidArgumentError, ConversionError } = require('./errors');
+const { loadSharp, detectImageType } = require('./image-decode');
+const { resolveColorMode, encodeBilevel } = require('./color');
+
+/**
+ * Qualidade JPEG usada ao reduzir ou converter imagens sem --jpeg-quality
+ */
+const DEFAULT_JPEG_QUALITY = 85;
+
+/**
+ * Pontos por polegada do PDF, para converter o tamanho na página em pixels
+ */
+const POINTS_PER_INCH = 72;
+
+/**
+ * Formatos que podem ser reduzidos e recomprimidos
+ */
+const COMPRESSIBLE_TYPES = ['jpg', 'png'];
+
+/**
+ * Valida uma dimensão máxima em pixels
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Pixels
+ */
+function parseMaxPixels(value) {
+  const pixels = Number(value);
+  if (!Number.isInteger(pixels) || pixels < 1) {
+    throw new InvalidArgumentError(`Dimensão máxima inválida: "${value}" (esperado um inteiro de pixels maior que 0)`);
+  }
+  return pixels;
+}
+
+/**
+ * Valida a qualidade JPEG
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Qualidade de 1 a 100
+ */
+function parseJpegQuality(value) {
+  const quality = Number(value);
+  if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+    throw new InvalidArgumentError(`Qualidade JPEG inválida: "${value}" (esperado um inteiro de 1 a 100)`);
+  }
+  return quality;
+}
+
+/**
+ * Valida o DPI alvo da redução
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} DPI
+ */
+function parseTargetDpi(value) {
+  const dpi = Number(value);
+  if (!Number.isFinite(dpi) || dpi <= 0) {
+    throw new InvalidArgumentError(`DPI alvo inválido: "${value}" (esperado um número positivo)`);
+  }
+  return dpi;
+}
+
+/**
+ * Reúne e valida as opções de compressão e o modo de cor. Sem nenhuma delas
+ * as imagens são usadas como estão; com alguma, o sharp passa a ser obrigatório.
+ * @param {Object} [options] - Opções (maxWidth, maxHeight, targetDpi, jpegQuality, pngToJpeg,
+ *   colorMode, threshold, dither)
+ * @returns {(Object|null)} Configuração do processamento, ou null se desativado
+ */
+function resolveCompression(options = {}) {
+  const settings = {
+    maxWidth: options.maxWidth !== undefined ? parseMaxPixels(options.maxWidth) : null,
+    maxHeight: options.maxHeight !== undefined ? parseMaxPixels(options.maxHeight) : null,
+    targetDpi: options.targetDpi !== undefined ? parseTargetDpi(options.targetDpi) : null,
+    jpegQuality: options.jpegQuality !== undefined ? parseJpegQuality(options.jpegQuality) : null,
+    pngToJpeg: Boolean(options.pngToJpeg),
+    colorMode: resolveColorMode(options)
+  };
+
+  const enabled = settings.maxWidth || settings.maxHeight || settings.targetDpi || settings.jpegQuality ||
+    settings.pngToJpeg || settings.colorMode;
+  if (!enabled) {
+    return null;
+  }
+
+  if (!loadSharp()) {
+    throw new ConversionError('Para reduzir, recomprimir ou mudar o modo de cor das imagens instale a dependência opcional "sharp" (npm install sharp)');
+  }
+  return settings;
+}
+
+/**
+ * Limite em pixels para que a imagem não passe do DPI alvo no tamanho em que
+ * é desenhada na página
+ * @param {{width: number, height: number}} placement - Tamanho desenhado, em pontos
+ * @param {number} targetDpi - DPI alvo
+ * @returns {{width: number, height: number}} Dimensões máximas em pixels
+ */
+function getDpiBounds(placement, targetDpi) {
+  return {
+    width: Math.ceil((placement.width / POINTS_PER_INCH) * targetDpi),
+    height: Math.ceil((placement.height / POINTS_PER_INCH) * targetDpi)
+  };
+}
+
+/**
+ * Recorta, reduz, recomprime e aplica o modo de cor a uma imagem JPEG ou PNG,
+ * tudo em uma única recodificação. Sem recorte nem modo de cor, a imagem
+ * original é mantida quando não há o que fazer ou quando o resultado não
+ * fica menor; nos demais casos a imagem é sempre convertida.
+ * @param {Buffer} buffer - Conteúdo da imagem
+ * @param {(Object|null)} settings - Configuração (ver resolveCompression); null para apenas recortar
+ * @param {Object} [options] - Ajustes da imagem
+ * @param {{width: number, height: number}} [options.bounds] - Limite adicional em pixels (ver getDpiBounds)
+ * @param {{left: number, top: number, width: number, height: number}} [options.crop] - Área mantida (ver findContentBox)
+ * @returns {Promise<{data: Buffer, type: string, changed: boolean}>} Imagem final e seu formato
+ */
+async function compressImage(buffer, settings, options = {}) {
+  const { bounds, crop } = options;
+  const { maxWidth, maxHeight, jpegQuality, pngToJpeg, colorMode } = settings || {};
+  const type = detectImageType(buffer);
+  const unchanged = { data: buffer, type, changed: false };
+  if (!COMPRESSIBLE_TYPES.includes(type)) {
+    return unchanged;
+  }
+
+  const sharp = loadSharp();
+  const metadata = await sharp(buffer).metadata();
+
+  // Os limites valem para a imagem (recortada) como é exibida; orientações EXIF 5 a 8 giram 90°
+  const area = crop || metadata;
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? area.height : area.width;
+  const height = rotated ? area.width : area.height;
+
+  const limits = [
+    maxWidth / width,
+    maxHeight / height,
+    bounds ? bounds.width / width : null,
+    bounds ? bounds.height / height : null
+  ].filter(limit => limit);
+  const scale = Math.min(1, ...limits);
+  const resize = scale < 1;
+
+  // PNG sem transparência (fotos) vira JPEG com --png-to-jpeg
+  const toJpeg = type === 'jpg' || (pngToJpeg && !metadata.hasAlpha);
+  const converted = Boolean(colorMode || crop);
+  if (!converted) {
+    if (!resize && !toJpeg) {
+      return unchanged;
+    }
+    if (!resize && type === 'jpg' && !jpegQuality) {
+      return unchanged;
+    }
+  }
+
+  // withMetadata mantém a orientação EXIF e o perfil de cor; em tons de cinza
+  // fica só o EXIF, já que um perfil RGB faria o sharp devolver três canais
+  const grayscale = Boolean(colorMode && colorMode.mode === 'grayscale');
+  let pipeline = grayscale ? sharp(buffer).keepExif() : sharp(buffer).withMetadata();
+  if (crop) {
+    pipeline = pipeline.extract({ left: crop.left, top: crop.top, width: crop.width, height: crop.height });
+  }
+  if (resize) {
+    pipeline = pipeline.resize(
+      Math.max(1, Math.round(area.width * scale)),
+      Math.max(1, Math.round(area.height * scale)),
+      { fit: 'fill' }
+    );
+  }
+
+  // Preto e branco é sempre PNG de 1 bit; tons de cinza mantêm o formato (ou viram JPEG)
+  if (colorMode && colorMode.mode === 'bilevel') {
+    return { data: await encodeBilevel(pipeline, colorMode), type: 'png', changed: true };
+  }
+  if (grayscale) {
+    pipeline = pipeline.greyscale().toColourspace('b-w');
+  }
+
+  const data = await (toJpeg
+    ? pipeline.jpeg({ quality: jpegQuality || DEFAULT_JPEG_QUALITY }).toBuffer()
+    : pipeline.png({ compressionLevel: 9 }).toBuffer());
+
+  // Imagens com pouca variação (texto, traço) podem ficar maiores ao recomprimir
+  if (!converted && data.length >= buffer.length) {
+    return unchanged;
+  }
+  return { data, type: toJpeg ? 'jpg' : 'png', changed: true };
+}
+
+/**
+ * Soma o tamanho das imagens antes e depois da compressão
+ * @param {Array<{originalBytes: number, outputBytes: number, changed: boolean}>} images - Resultado de cada imagem
+ * @returns {{images: number, recompressed: number, originalBytes: number, outputBytes: number}} Totais
+ */
+function sumCompression(images) {
+  return images.reduce((total, image) => ({
+    images: total.images + 1,
+    recompressed: total.recompressed + (image.changed ? 1 : 0),
+    originalBytes: total.originalBytes + image.originalBytes,
+    outputBytes: total.outputBytes + image.outputBytes
+  }), { images: 0, recompressed: 0, originalBytes: 0, outputBytes: 0 });
+}
+
+/**
+ * Junta os totais de compressão de vários arquivos (linhas do CSV)
+ * @param {Array<(Object|null)>} totals - Totais de cada arquivo (ver sumCompression); null quando desativada
+ * @returns {(Object|null)} Totais gerais, ou null se nenhum arquivo foi comprimido
+ */
+function combineCompression(totals) {
+  const present = totals.filter(Boolean);
+  if (present.length === 0) {
+    return null;
+  }
+  return present.reduce((sum, total) => ({
+    images: sum.images + total.images,
+    recompressed: sum.recompressed + total.recompressed,
+    originalBytes: sum.originalBytes + total.originalBytes,
+    outputBytes: sum.outputBytes + total.outputBytes
+  }), { images: 0, recompressed: 0, originalBytes: 0, outputBytes: 0 });
+}
+
+module.exports = {
+  DEFAULT_JPEG_QUALITY,
+  parseMaxPixels,
+  parseJpegQuality,
+  parseTargetDpi,
+  resolveCompression,
+  getDpiBounds,
+  compressImage,
+  sumCompression,
+  combineCompression
+};
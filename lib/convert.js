@@ -0,0 +1,535 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { readCsvFile } = require('./csv');
+const { loadFolderContent, getRelativeName, pickSortOptions, collectAllImages } = require('./folders');
+const { withSidecarDefaults, getSidecarLabel } = require('./sidecar');
+const { createPdf, createMergedPdf } = require('./pdf');
+const { createEpub, createMergedEpub } = require('./epub');
+const { createCbz, createMergedCbz } = require('./cbz');
+const { planPages } = require('./pages');
+const { InvalidArgumentError, ConversionError } = require('./errors');
+const { resolveLogger, createPrefixedLogger } = require('./logger');
+const { parseConcurrency, runInWorkers, deserializeError } = require('./parallel');
+const { getManifestKey, readManifest, writeManifest, createFingerprint, getRebuildReason, createBuildRecord } = require('./manifest');
+const { combineCompression } = require('./compress');
+const { previewTrim } = require('./trim');
+
+/**
+ * Formatos de saída suportados e as funções que os geram
+ */
+const FORMATS = {
+  pdf: {
+    label: 'PDF',
+    extension: '.pdf',
+    outputDir: 'pdf',
+    icon: '📝',
+    // Apara as bordas das imagens com autoTrim
+    trims: true,
+    create: (imagePaths, outputPath, title, options) => createPdf(imagePaths, outputPath, { ...options, title }),
+    createMerged: (allImages, outputPath, title, options) => createMergedPdf(allImages, outputPath, { ...options, title }),
+    // Páginas de texto (folha de rosto, aberturas) também contam
+    countPages: (images, options) => planPages(images, options).length
+  },
+  epub: {
+    label: 'EPUB',
+    extension: '.epub',
+    outputDir: 'epub',
+    icon: '📚',
+    trims: true,
+    create: createEpub,
+    createMerged: createMergedEpub,
+    countPages: images => images.length
+  },
+  cbz: {
+    label: 'CBZ',
+    extension: '.cbz',
+    outputDir: 'cbz',
+    icon: '📦',
+    create: createCbz,
+    createMerged: createMergedCbz,
+    countPages: images => images.length
+  }
+};
+
+/**
+ * Retorna a definição de um formato de saída
+ * @param {string} format - Nome do formato (pdf, epub, cbz)
+ * @returns {Object} Definição do formato
+ */
+function getFormat(format) {
+  const definition = FORMATS[format];
+  if (!definition) {
+    throw new InvalidArgumentError(`Formato de saída desconhecido: ${format}`);
+  }
+  return definition;
+}
+
+/**
+ * Garante que o nome termine com a extensão informada
+ * @param {string} name - Nome do arquivo
+ * @param {string} extension - Extensão com ponto (ex.: .pdf)
+ * @returns {string} Nome com extensão
+ */
+function withExtension(name, extension) {
+  return name.endsWith(extension) ? name : `${name}${extension}`;
+}
+
+/**
+ * Aceita um caminho de CSV ou uma lista de entradas já carregada
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {Object} options - Opções repassadas ao leitor de CSV
+ * @returns {Promise<Array>} Entradas com nome e caminho
+ */
+async function resolveEntries(source, options) {
+  if (Array.isArray(source)) {
+    if (source.length === 0) {
+      throw new InvalidArgumentError('A lista de entradas está vazia');
+    }
+    return source;
+  }
+  if (typeof source !== 'string' || !source) {
+    throw new InvalidArgumentError('Informe o caminho do CSV ou uma lista de entradas');
+  }
+  return readCsvFile(source, options);
+}
+
+/**
+ * Informa de quais arquivos vieram os metadados da pasta
+ * @param {(Object|null)} sidecar - Resultado de readSidecar
+ * @param {Object} logger - Logger
+ * @param {string} indent - Recuo da mensagem
+ */
+function logSidecar(sidecar, logger, indent) {
+  if (sidecar) {
+    logger.log(`${indent}📋 Metadados lidos de: ${sidecar.files.map(file => path.basename(file)).join(', ')}`);
+  }
+}
+
+/**
+ * Lista as imagens na ordem em que virariam páginas (simulação)
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {string[]} imagePaths - Imagens, na ordem das páginas
+ * @param {Object} logger - Logger
+ * @param {string} indent - Recuo das linhas
+ */
+function logPlannedImages(folderPath, imagePaths, logger, indent) {
+  imagePaths.forEach((imagePath, index) => {
+    logger.log(`${indent}${index + 1}. ${getRelativeName(folderPath, imagePath)}`);
+  });
+}
+
+/**
+ * Mostra quanto seria aparado de cada imagem (simulação), nos formatos que
+ * aparam as bordas
+ * @param {Object} definition - Definição do formato de saída
+ * @param {Array<{path: string}>} images - Imagens, na ordem das páginas
+ * @param {Object} options - Opções (autoTrim, trimTolerance)
+ * @param {Object} logger - Logger
+ * @param {string} indent - Recuo das linhas
+ * @returns {Promise<Array>} Recorte de cada imagem que seria aparada
+ */
+async function previewFolderTrim(definition, images, options, logger, indent) {
+  if (!definition.trims) {
+    return [];
+  }
+  return previewTrim(images, options, logger, indent);
+}
+
+/**
+ * Páginas que um arquivo de uma única pasta teria (simulação)
+ * @param {Object} definition - Definição do formato de saída
+ * @param {string[]} imagePaths - Imagens
+ * @param {Object} options - Opções da pasta (titlePage)
+ * @returns {number} Quantidade de páginas
+ */
+function countFolderPages(definition, imagePaths, options) {
+  return definition.countPages(imagePaths.map(imagePath => ({ path: imagePath })), { titlePage: options.titlePage });
+}
+
+/**
+ * Converte as imagens de uma pasta em um único arquivo
+ * @param {string} format - Formato de saída (pdf, epub, cbz)
+ * @param {string} folderPath - Caminho da pasta com as imagens
+ * @param {string} output - Caminho do arquivo de saída (extensão opcional)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.title] - Título do documento (padrão: nome do arquivo)
+ * @param {string} [options.sort] - Estratégia de ordenação das imagens (ver sortImages)
+ * @param {string} [options.sortPattern] - Expressão regular da ordenação regex
+ * @param {boolean} [options.strict] - Falha se a numeração das imagens for irregular (NumberingError)
+ * @param {boolean} [options.dryRun] - Apenas simula: lista as imagens e calcula as páginas, sem gravar nada
+ * @param {Object} [options.logger] - Logger de progresso
+ * @returns {Promise<Object>} Resultado com outputPath, pageCount, images, skippedImages (puladas pelos metadados), failedImages,
+ *   warnings (numeração), compression (bytes das imagens antes e depois da compressão, ou null), trimmedImages
+ *   (bordas aparadas de cada imagem; na simulação, as que seriam aparadas) e dryRun
+ */
+async function convertFolder(format, folderPath, output, options = {}) {
+  const definition = getFormat(format);
+  const logger = resolveLogger(options);
+
+  if (!output) {
+    throw new InvalidArgumentError(`Nome do arquivo ${definition.label} é obrigatório`);
+  }
+
+  logger.log('📖 Lendo arquivos da pasta...');
+  const { imagePaths, skippedImages, sidecar, pageOverrides, warnings } = await loadFolderContent(folderPath, {
+    ...pickSortOptions(options),
+    strict: options.strict,
+    cover: options.cover,
+    logger
+  });
+  logger.log(`Encontrados ${imagePaths.length} arquivo(s) de imagem`);
+  logSidecar(sidecar, logger, '');
+
+  // Metadados da pasta completam o que não foi informado nas opções
+  const folderOptions = withSidecarDefaults(options, sidecar);
+  const outputPath = path.resolve(withExtension(output, definition.extension));
+  const title = folderOptions.title || getSidecarLabel(sidecar) || path.basename(outputPath, definition.extension);
+
+  if (options.dryRun) {
+    logger.log('\n🔎 Imagens, na ordem das páginas:');
+    logPlannedImages(folderPath, imagePaths, logger, '   ');
+    const images = imagePaths.map(imagePath => ({ path: imagePath }));
+    return {
+      input: folderPath,
+      outputPath,
+      pageCount: countFolderPages(definition, imagePaths, folderOptions),
+      images: imagePaths,
+      skippedImages,
+      failedImages: [],
+      warnings,
+      compression: null,
+      trimmedImages: await previewFolderTrim(definition, images, folderOptions, logger, '   '),
+      dryRun: true
+    };
+  }
+
+  await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+
+  logger.log(`\n${definition.icon} Criando ${definition.label}...`);
+  const result = await definition.create(imagePaths, outputPath, title, { ...folderOptions, pageOverrides, logger });
+
+  return {
+    input: folderPath,
+    outputPath,
+    pageCount: result.pageCount,
+    images: imagePaths,
+    skippedImages,
+    failedImages: result.failedImages || [],
+    warnings,
+    compression: result.compression || null,
+    trimmedImages: result.trimmedImages || [],
+    dryRun: false
+  };
+}
+
+/**
+ * Converte uma linha do CSV em um arquivo. Erros não são lançados:
+ * a linha volta com status failed e o erro em `error`. Se o registro de
+ * gerações (options.manifest) indicar que o arquivo está atualizado, a linha
+ * volta com status skipped; as geradas trazem o motivo (rebuildReason) e o
+ * novo registro (build). Com options.dryRun nada é gravado: a linha volta
+ * com o status que teria e as páginas previstas.
+ * @param {string} format - Formato de saída (pdf, epub, cbz)
+ * @param {Object} entry - Linha do CSV: nome, caminho e options (opções da linha)
+ * @param {Object} options - Opções globais (ver convertCsv), com outputDir e manifest já resolvidos
+ * @returns {Promise<Object>} Linha com nome, caminho, status, outputPath, pageCount, images, skippedImages, failedImages, warnings, compression, trimmedImages, rebuildReason, durationMs, build e error
+ */
+async function convertRow(format, entry, options) {
+  const definition = getFormat(format);
+  const logger = resolveLogger(options);
+  const { nome, caminho, options: rowOptions } = entry;
+  const startedAt = Date.now();
+  const row = {
+    nome,
+    caminho,
+    status: 'failed',
+    outputPath: null,
+    pageCount: 0,
+    images: [],
+    skippedImages: [],
+    failedImages: [],
+    warnings: [],
+    compression: null,
+    trimmedImages: [],
+    rebuildReason: null,
+    durationMs: 0,
+    error: null
+  };
+
+  try {
+    const { imagePaths, skippedImages, sidecar, pageOverrides, warnings } = await loadFolderContent(caminho, {
+      ...pickSortOptions(options, rowOptions),
+      strict: options.strict,
+      cover: (rowOptions && rowOptions.cover) || options.cover,
+      logger
+    });
+    Object.assign(row, { images: imagePaths, skippedImages, warnings });
+    logger.log(`   🖼️ Encontradas ${imagePaths.length} imagem(ns)`);
+    logSidecar(sidecar, logger, '   ');
+
+    // Define nome do arquivo de saída
+    const outputFileName = path.join(options.outputDir, withExtension(nome, definition.extension));
+    const outputPath = path.resolve(outputFileName);
+
+    // Opções da linha do CSV sobrepõem as globais, e ambas os metadados da pasta;
+    // o título padrão é o nome da linha
+    const folderOptions = withSidecarDefaults({ ...options, ...rowOptions }, sidecar);
+    const title = (rowOptions && rowOptions.title) || getSidecarLabel(sidecar) || nome;
+
+    // Arquivo já gerado com as mesmas imagens e opções não é refeito
+    const key = getManifestKey(options.outputDir, outputPath);
+    const previous = options.manifest && options.manifest.outputs[key];
+    const fingerprint = await createFingerprint(imagePaths, { ...folderOptions, format, title, pageOverrides });
+    const reason = await getRebuildReason(previous, fingerprint, outputPath, options);
+
+    if (options.dryRun) {
+      logPlannedImages(caminho, imagePaths, logger, '      ');
+      const pageCount = reason ? countFolderPages(definition, imagePaths, folderOptions) : previous.pageCount;
+      logger.log(reason
+        ? `   🔎 Seria criado: ${outputFileName}, ${pageCount} página(s) (${reason})`
+        : `   ⏭️ ${definition.label} atualizado, não seria refeito: ${outputFileName}`);
+      // Arquivos atualizados não seriam refeitos, então nada seria aparado
+      const trimmedImages = reason
+        ? await previewFolderTrim(definition, imagePaths.map(imagePath => ({ path: imagePath })), folderOptions, logger, '      ')
+        : [];
+      return Object.assign(row, { status: reason ? 'success' : 'skipped', outputPath, pageCount, trimmedImages, rebuildReason: reason });
+    }
+
+    if (!reason) {
+      logger.log(`   ⏭️ ${definition.label} atualizado, nada a refazer: ${outputFileName}`);
+      return Object.assign(row, { status: 'skipped', outputPath, pageCount: previous.pageCount });
+    }
+
+    await fsPromises.mkdir(path.dirname(outputPath), { recursive: true });
+    logger.log(`   ${definition.icon} Criando ${definition.label}: ${outputFileName} (${reason})`);
+    const result = await definition.create(imagePaths, outputPath, title, { ...folderOptions, pageOverrides, logger });
+    logger.log(`   ✅ ${definition.label} criado: ${outputPath}`);
+
+    Object.assign(row, {
+      status: 'success',
+      outputPath,
+      pageCount: result.pageCount,
+      failedImages: result.failedImages || [],
+      compression: result.compression || null,
+      trimmedImages: result.trimmedImages || [],
+      rebuildReason: reason,
+      build: { key, record: await createBuildRecord(fingerprint, outputPath, result.pageCount) }
+    });
+  } catch (error) {
+    row.error = error;
+    logger.error(`   ❌ Erro ao processar ${nome}: ${error.message}`);
+  } finally {
+    row.durationMs = Date.now() - startedAt;
+  }
+
+  return row;
+}
+
+/**
+ * Converte as linhas em paralelo, uma por worker thread. As mensagens de
+ * cada linha são identificadas com o número e o nome da linha.
+ * @param {string} format - Formato de saída (pdf, epub, cbz)
+ * @param {Array} entries - Linhas do CSV
+ * @param {Object} options - Opções globais, com outputDir e concurrency já resolvidos
+ * @returns {Promise<Object[]>} Linhas convertidas, na ordem do CSV
+ */
+async function convertRowsInWorkers(format, entries, options) {
+  const { logger, ...workerOptions } = options;
+  const loggers = entries.map((entry, index) => createPrefixedLogger(logger, `[${index + 1}/${entries.length} ${entry.nome}]`));
+  const tasks = entries.map(entry => ({ format, entry, options: workerOptions }));
+
+  logger.log(`⚙️ Convertendo até ${options.concurrency} linha(s) ao mesmo tempo\n`);
+
+  const outcomes = await runInWorkers(path.join(__dirname, 'csv-worker.js'), tasks, {
+    concurrency: options.concurrency,
+    onStart: index => loggers[index].log('📁 Iniciando'),
+    onMessage: (index, message) => loggers[index][message.level](message.text)
+  });
+
+  return outcomes.map((outcome, index) => {
+    const { nome, caminho } = entries[index];
+    if (outcome.error) {
+      // O worker falhou fora da conversão (ex.: opções que não podem ser enviadas à thread)
+      const error = new ConversionError(`Erro ao processar ${nome}: ${outcome.error.message}`, { cause: outcome.error });
+      loggers[index].error(`❌ ${error.message}`);
+      return {
+        nome,
+        caminho,
+        status: 'failed',
+        outputPath: null,
+        pageCount: 0,
+        images: [],
+        skippedImages: [],
+        failedImages: [],
+        warnings: [],
+        compression: null,
+        trimmedImages: [],
+        rebuildReason: null,
+        durationMs: 0,
+        error
+      };
+    }
+
+    const row = outcome.result;
+    return { ...row, error: row.error && deserializeError(row.error) };
+  });
+}
+
+/**
+ * Converte cada linha de um CSV em um arquivo separado.
+ * Erros de uma linha não interrompem as demais; cada linha recebe um status.
+ * Linhas cujo arquivo já foi gerado com as mesmas imagens e opções são
+ * ignoradas (status skipped), conforme o registro de gerações da pasta de saída.
+ * @param {string} format - Formato de saída (pdf, epub, cbz)
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {Object} [options] - Opções
+ * @param {string} [options.outputDir] - Pasta de saída (padrão: pdf/, epub/ ou cbz/)
+ * @param {boolean} [options.strict] - Linhas com numeração irregular falham em vez de gerar avisos
+ * @param {(number|string)} [options.concurrency] - Linhas convertidas ao mesmo tempo, em worker threads (padrão: 1; auto = um por núcleo)
+ * @param {boolean} [options.force] - Gera todos os arquivos de novo, mesmo os atualizados
+ * @param {boolean} [options.dryRun] - Apenas simula: nenhum arquivo (nem o registro de gerações) é gravado
+ * @param {Object} [options.logger] - Logger de progresso
+ * @returns {Promise<Object>} Resumo com total, succeeded, skipped, failed, pageCount, compression (soma das linhas geradas),
+ *   trimmedImages (bordas aparadas, somando as linhas), dryRun e rows
+ */
+async function convertCsv(format, source, options = {}) {
+  const definition = getFormat(format);
+  const logger = resolveLogger(options);
+  const concurrency = options.concurrency !== undefined ? parseConcurrency(options.concurrency) : 1;
+  const outputDir = options.outputDir || definition.outputDir;
+  const manifest = await readManifest(outputDir, { logger });
+  const batchOptions = { ...options, outputDir, concurrency, manifest, logger };
+
+  const entries = await resolveEntries(source, { logger });
+  logger.log(`📋 Processando ${entries.length} entrada(s) do CSV...\n`);
+
+  let rows;
+  if (concurrency > 1 && entries.length > 1) {
+    rows = await convertRowsInWorkers(format, entries, batchOptions);
+  } else {
+    rows = [];
+    for (let i = 0; i < entries.length; i++) {
+      logger.log(`\n📁 Processando ${i + 1}/${entries.length}`);
+      // Continua com o próximo arquivo em caso de erro
+      rows.push(await convertRow(format, entries[i], batchOptions));
+    }
+  }
+
+  const built = rows.filter(row => row.build);
+  for (const row of built) {
+    manifest.outputs[row.build.key] = row.build.record;
+  }
+  if (built.length > 0) {
+    await writeManifest(outputDir, manifest);
+  }
+
+  const count = status => rows.filter(row => row.status === status).length;
+  const pageCount = rows.reduce((total, row) => total + row.pageCount, 0);
+  return {
+    total: rows.length,
+    succeeded: count('success'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    pageCount,
+    compression: combineCompression(rows.map(row => row.compression)),
+    trimmedImages: rows.flatMap(row => row.trimmedImages),
+    dryRun: Boolean(options.dryRun),
+    rows
+  };
+}
+
+/**
+ * Junta as imagens de várias pastas em um único arquivo
+ * @param {string} format - Formato de saída (pdf, epub, cbz)
+ * @param {(string|Array)} source - Caminho do CSV ou array de {nome, caminho}
+ * @param {string} output - Nome ou caminho do arquivo de saída
+ * @param {Object} [options] - Opções
+ * @param {string} [options.outputDir] - Pasta de saída (padrão: pdf/, epub/ ou cbz/); ignorada se output for absoluto
+ * @param {string} [options.title] - Título do documento (padrão: nome do arquivo)
+ * @param {boolean} [options.strict] - Falha (NumberingError) se alguma pasta tiver numeração irregular
+ * @param {boolean} [options.force] - Gera o arquivo de novo mesmo se estiver atualizado
+ * @param {boolean} [options.dryRun] - Apenas simula: lista as imagens e calcula as páginas, sem gravar nada
+ * @param {Object} [options.logger] - Logger de progresso
+ * @returns {Promise<Object>} Resultado com outputPath, pageCount, folders, failedImages, compression, trimmedImages, skipped,
+ *   rebuildReason e dryRun
+ */
+async function mergeFolders(format, source, output, options = {}) {
+  const definition = getFormat(format);
+  const logger = resolveLogger(options);
+
+  if (!output) {
+    throw new InvalidArgumentError(`Nome do arquivo ${definition.label} de saída é obrigatório`);
+  }
+
+  const entries = await resolveEntries(source, { logger });
+  const { images, folders } = await collectAllImages(entries, { ...pickSortOptions(options), strict: options.strict, logger });
+
+  const outputDir = options.outputDir || definition.outputDir;
+  const outputPath = path.resolve(outputDir, withExtension(output, definition.extension));
+  const title = options.title || path.basename(outputPath, definition.extension);
+
+  // Arquivo já gerado com as mesmas imagens e opções não é refeito
+  const manifestDir = path.dirname(outputPath);
+  const manifest = await readManifest(manifestDir, { logger });
+  const key = getManifestKey(manifestDir, outputPath);
+  const previous = manifest.outputs[key];
+  const fingerprint = await createFingerprint(images.map(image => image.path), { ...options, format, title, images });
+  const reason = await getRebuildReason(previous, fingerprint, outputPath, options);
+  if (options.dryRun) {
+    logger.log('\n🔎 Imagens, na ordem das páginas:');
+    images.forEach((image, index) => {
+      if (index === 0 || image.folderIndex !== images[index - 1].folderIndex) {
+        logger.log(`   📁 ${image.folderName}`);
+      }
+      logger.log(`      ${index + 1}. ${getRelativeName(entries[image.folderIndex - 1].caminho, image.path)}`);
+    });
+    return {
+      outputPath,
+      pageCount: reason ? definition.countPages(images, options) : previous.pageCount,
+      images,
+      folders,
+      failedImages: [],
+      compression: null,
+      trimmedImages: reason ? await previewFolderTrim(definition, images, options, logger, '   ') : [],
+      skipped: !reason,
+      rebuildReason: reason,
+      dryRun: true
+    };
+  }
+
+  if (!reason) {
+    logger.log(`\n⏭️ ${definition.label} atualizado, nada a refazer: ${outputPath}`);
+    return { outputPath, pageCount: previous.pageCount, images, folders, failedImages: [], compression: null, trimmedImages: [], skipped: true, rebuildReason: null, dryRun: false };
+  }
+
+  logger.log(`\n🔁 Gerando ${definition.label} (${reason})`);
+  await fsPromises.mkdir(manifestDir, { recursive: true });
+  const result = await definition.createMerged(images, outputPath, title, { ...options, logger });
+
+  manifest.outputs[key] = await createBuildRecord(fingerprint, outputPath, result.pageCount);
+  await writeManifest(manifestDir, manifest);
+
+  return {
+    outputPath,
+    pageCount: result.pageCount,
+    images,
+    folders,
+    failedImages: result.failedImages || [],
+    compression: result.compression || null,
+    trimmedImages: result.trimmedImages || [],
+    skipped: false,
+    rebuildReason: reason,
+    dryRun: false
+  };
+}
+
+module.exports = {
+  FORMATS,
+  withExtension,
+  resolveEntries,
+  convertFolder,
+  convertRow,
+  convertCsv,
+  mergeFolders
+};
@@ -0,0 +1,28 @@
+/**
+ * CRC-32 (polinômio 0xEDB88320), usado por PNG e ZIP
+ */
+
+const TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  TABLE[n] = c;
+}
+
+/**
+ * Calcula (ou continua) o CRC-32 de um bloco de bytes
+ * @param {Buffer} buffer - Dados
+ * @param {number} [previous=0] - CRC acumulado de blocos anteriores
+ * @returns {number} CRC-32 sem sinal
+ */
+function crc32(buffer, previous = 0) {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+module.exports = { crc32 };
@@ -0,0 +1,23 @@
+const util = require('util');
+const { parentPort } = require('worker_threads');
+const { convertRow } = require('./convert');
+const { serializeError } = require('./parallel');
+
+/**
+ * Worker thread que converte uma linha do CSV por vez (ver convertRowsInWorkers).
+ * As mensagens de progresso são repassadas à thread principal, que as exibe
+ * com o prefixo da linha.
+ */
+const logger = {
+  log: (...args) => parentPort.postMessage({ type: 'log', level: 'log', text: util.format(...args) }),
+  warn: (...args) => parentPort.postMessage({ type: 'log', level: 'warn', text: util.format(...args) }),
+  error: (...args) => parentPort.postMessage({ type: 'log', level: 'error', text: util.format(...args) })
+};
+
+parentPort.on('message', async ({ format, entry, options }) => {
+  const row = await convertRow(format, entry, { ...options, logger });
+  parentPort.postMessage({
+    type: 'done',
+    result: { ...row, error: row.error && serializeError(row.error) }
+  });
+});
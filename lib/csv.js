@@ -0,0 +1,142 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const { CsvError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { parseRowOptions, isRowOption } = require('./options');
+
+/**
+ * Colunas do relatório gerado pela análise (images-batch analyze).
+ * São apenas informativas e ignoradas na conversão.
+ */
+const REPORT_COLUMNS = ['imagens', 'bytes', 'formatos', 'outros-arquivos', 'anomalias'];
+
+/**
+ * Faz parse de uma linha CSV considerando aspas e usando ponto e vírgula como separador
+ * @param {string} line - Linha do CSV
+ * @returns {string[]} Array com as colunas
+ */
+function parseCsvLine(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ';' && !inQuotes) {
+      result.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  result.push(current);
+  return result;
+}
+
+/**
+ * Verifica se a linha é o cabeçalho do CSV (contém as colunas nome e caminho)
+ * @param {number} index - Índice da linha no arquivo
+ * @param {string} line - Conteúdo da linha
+ * @returns {boolean} Se a linha é o cabeçalho
+ */
+function isHeaderLine(index, line) {
+  const lower = line.toLowerCase();
+  return index === 0 && lower.includes('nome') && lower.includes('caminho');
+}
+
+/**
+ * Lê e processa um arquivo CSV no formato `nome;caminho`.
+ * Quando há cabeçalho, colunas extras com o nome longo de uma opção
+ * (ex.: page-size, fit) definem opções apenas para aquela linha.
+ * @param {string} csvPath - Caminho para o arquivo CSV
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger para avisos de linhas ignoradas
+ * @returns {Promise<Array>} Array de objetos com nome, caminho e options
+ */
+async function readCsvFile(csvPath, options = {}) {
+  const logger = resolveLogger(options);
+
+  let content;
+  try {
+    content = await fsPromises.readFile(csvPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new CsvError(`Arquivo CSV não encontrado: ${csvPath}`, { cause: error });
+    }
+    throw new CsvError(`Erro ao ler arquivo CSV: ${error.message}`, { cause: error });
+  }
+
+  const lines = content.trim().split('\n');
+  const entries = [];
+  let header = null;
+
+  // Processa cada linha (pula cabeçalho se existir)
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const columns = parseCsvLine(line);
+
+    // Se a primeira linha contém "nome" e "caminho", é o cabeçalho
+    if (isHeaderLine(i, line)) {
+      header = columns.map(column => column.trim().toLowerCase());
+
+      const unknown = header.filter(column => column && column !== 'nome' && column !== 'caminho' && !isRowOption(column) && !REPORT_COLUMNS.includes(column));
+      if (unknown.length > 0) {
+        logger.warn(`Aviso: Coluna(s) desconhecida(s) ignorada(s): ${unknown.join(', ')}`);
+      }
+      continue;
+    }
+
+    const nomeIndex = header ? header.indexOf('nome') : 0;
+    const caminhoIndex = header ? header.indexOf('caminho') : 1;
+
+    if (columns.length < 2) {
+      logger.warn(`Aviso: Linha ${i + 1} ignorada - formato inválido: ${line}`);
+      continue;
+    }
+
+    const nome = (columns[nomeIndex] || '').trim();
+    const caminho = (columns[caminhoIndex] || '').trim();
+
+    if (!nome || !caminho) {
+      logger.warn(`Aviso: Linha ${i + 1} ignorada - nome ou caminho vazio`);
+      continue;
+    }
+
+    // Colunas extras viram opções da linha
+    let rowOptions = {};
+    if (header) {
+      const record = {};
+      header.forEach((column, index) => {
+        if (index !== nomeIndex && index !== caminhoIndex) {
+          record[column] = columns[index] || '';
+        }
+      });
+
+      try {
+        rowOptions = parseRowOptions(record);
+      } catch (error) {
+        throw new CsvError(`Erro ao ler arquivo CSV: Linha ${i + 1}, ${error.message}`, { cause: error });
+      }
+    }
+
+    entries.push({ nome, caminho, options: rowOptions });
+  }
+
+  if (entries.length === 0) {
+    throw new CsvError('Erro ao ler arquivo CSV: Nenhuma entrada válida encontrada no arquivo CSV');
+  }
+
+  return entries;
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  readCsvFile,
+  parseCsvLine
+};
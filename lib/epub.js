@@ -0,0 +1,1021 @@
+const path = require('path');
+const crypto = require('crypto');
+const { ConversionError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { ZipWriter } = require('./zip');
+const { getImageInfo } = require('./image-info');
+const { openSourceStream, readSourceFile } = require('./archive');
+const { PDF_NATIVE_TYPES, detectImageType, loadPdfImage } = require('./image-decode');
+const { parseDirection } = require('./layout');
+const { resolveMetadata } = require('./metadata');
+const { planPages, getTitlePageText, getChapterTitle } = require('./pages');
+const { resolveCompression, compressImage, sumCompression } = require('./compress');
+const { resolveTrim, findContentBox, describeTrim, toTrimEntry } = require('./trim');
+
+/**
+ * Media types das imagens aceitas no EPUB
+ */
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Escapa caracteres especiais para uso em XML
+ * @param {string} value - Texto original
+ * @returns {string} Texto escapado
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Cria a estrutura base do EPUB
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ */
+async function createEpubStructure(zip) {
+  // O mimetype deve ser a primeira entrada e ficar sem compressão
+  await zip.addBuffer('mimetype', 'application/epub+zip', { store: true });
+
+  // META-INF/container.xml
+  const containerXml = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>`;
+
+  await zip.addBuffer('META-INF/container.xml', containerXml);
+}
+
+/**
+ * Lê uma imagem e aplica o recorte das bordas, a redução, a recompressão e o modo de cor
+ * @param {string} imagePath - Caminho da imagem (ou de uma entrada de ZIP/CBZ)
+ * @param {Object} settings - Configurações
+ * @param {(Object|null)} settings.compression - Redução, recompressão e modo de cor (ver resolveCompression)
+ * @param {(Object|null)} settings.trim - Recorte automático das bordas (ver resolveTrim)
+ * @returns {Promise<{data: Buffer, type: string, changed: boolean, originalBytes: number, box: (Object|null)}>} Imagem
+ *   final e a área mantida pelo recorte, se houve recorte
+ */
+async function loadCompressedImage(imagePath, settings) {
+  const { compression, trim } = settings;
+  try {
+    const buffer = await readSourceFile(imagePath);
+    // Com modo de cor ou recorte, GIF, WebP e BMP passam antes para PNG ou JPEG, como no PDF
+    const converts = (compression && compression.colorMode) || trim;
+    const source = converts && !PDF_NATIVE_TYPES.includes(detectImageType(buffer))
+      ? (await loadPdfImage(imagePath)).data
+      : buffer;
+    const box = trim ? await findContentBox(source, trim) : null;
+    const compressed = compression || box ? await compressImage(source, compression, { crop: box }) : { data: buffer, changed: false };
+    return { ...compressed, originalBytes: buffer.length, box };
+  } catch (error) {
+    throw new ConversionError(`Erro ao processar imagem ${imagePath}: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Copia imagens para o EPUB e retorna lista de arquivos
+ * @param {Array<{path: string}>} images - Imagens na ordem das páginas
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {Object} options - Opções
+ * @param {Object} options.logger - Logger
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ * @param {boolean} [options.fixedLayout] - Lê as dimensões reais para o layout fixo
+ * @param {Object} [options.compression] - Reduz, recomprime e aplica o modo de cor antes de copiar (ver resolveCompression)
+ * @param {Object} [options.trim] - Apara as bordas uniformes antes de copiar (ver resolveTrim); nas duas,
+ *   opções da linha do CSV (image.options) sobrepõem as globais
+ * @returns {Promise<{imageList: Array, compressedImages: Array, trimmedImages: Array}>} Informações das imagens no
+ *   EPUB, bytes antes e depois da compressão de cada uma (vazio sem compressão) e recorte de cada imagem aparada
+ */
+async function copyImagesToEpub(images, zip, options) {
+  const { logger, merged, fixedLayout } = options;
+  const padding = merged ? 4 : 3;
+  const imageList = [];
+  const compressedImages = [];
+  const trimmedImages = [];
+  const rowSettings = new Map();
+
+  for (let i = 0; i < images.length; i++) {
+    const imageInfo = images[i];
+    let ext = path.extname(imageInfo.path).toLowerCase();
+    let source = imageInfo.path;
+
+    let settings = { compression: options.compression, trim: options.trim };
+    if (imageInfo.options) {
+      if (!rowSettings.has(imageInfo.options)) {
+        const rowOptions = { ...options, ...imageInfo.options };
+        rowSettings.set(imageInfo.options, { compression: resolveCompression(rowOptions), trim: resolveTrim(rowOptions) });
+      }
+      settings = rowSettings.get(imageInfo.options);
+    }
+
+    if (settings.compression || settings.trim) {
+      const compressed = await loadCompressedImage(imageInfo.path, settings);
+      if (settings.compression) {
+        compressedImages.push({ originalBytes: compressed.originalBytes, outputBytes: compressed.data.length, changed: compressed.changed });
+      }
+      if (compressed.box) {
+        trimmedImages.push(toTrimEntry(imageInfo.path, compressed.box));
+        logger.log(`   ✂️ ${path.basename(imageInfo.path)}: ${describeTrim(compressed.box)}`);
+      }
+      // PNG convertido para JPEG (--png-to-jpeg) ou GIF/WebP convertido muda de extensão
+      if (compressed.changed && MEDIA_TYPES[ext] !== MEDIA_TYPES[`.${compressed.type}`]) {
+        ext = `.${compressed.type}`;
+      }
+      source = compressed.data;
+    }
+
+    const newFileName = `image_${String(i + 1).padStart(padding, '0')}${ext}`;
+
+    // Copia a imagem (já em memória quando foi comprimida)
+    if (Buffer.isBuffer(source)) {
+      await zip.addBuffer(`OEBPS/images/${newFileName}`, source);
+    } else {
+      await zip.addStream(`OEBPS/images/${newFileName}`, () => openSourceStream(imageInfo.path), {}, imageInfo.path);
+    }
+
+    const image = {
+      filename: newFileName,
+      id: `img${i + 1}`,
+      mediaType: MEDIA_TYPES[ext] || 'image/jpeg',
+      pageNumber: i + 1,
+      folderIndex: imageInfo.folderIndex,
+      originalInfo: imageInfo
+    };
+
+    if (fixedLayout) {
+      // O viewport de cada página usa o tamanho real da imagem (o reduzido, se houver redução)
+      const { width, height } = await getImageInfo(source, imageInfo.path);
+      Object.assign(image, { width, height });
+    }
+
+    imageList.push(image);
+
+    // Log de progresso a cada 25 imagens ou para a última
+    if (merged && ((i + 1) % 25 === 0 || i === images.length - 1)) {
+      logger.log(`   📄 Copiadas ${i + 1}/${images.length} imagens`);
+    }
+  }
+
+  return { imageList, compressedImages, trimmedImages };
+}
+
+/**
+ * Monta o XHTML de uma página simples (uma pasta por EPUB)
+ * @param {Object} image - Imagem da página
+ * @returns {string} Conteúdo XHTML
+ */
+function renderSinglePage(image) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+  <title>Página ${image.pageNumber}</title>
+  <style type="text/css">
+    body { margin: 0; padding: 0; text-align: center; }
+    img { max-width: 100%; max-height: 100vh; }
+  </style>
+</head>
+<body>
+  <div>
+    <img src="../images/${image.filename}" alt="Página ${image.pageNumber}"/>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Monta o XHTML da página de capa (primeira imagem), ocupando a tela inteira
+ * @param {Object} image - Imagem da capa
+ * @returns {string} Conteúdo XHTML
+ */
+function renderCoverPage(image) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+  <title>Capa</title>
+  <style type="text/css">
+    html, body { margin: 0; padding: 0; height: 100%; text-align: center; }
+    img { max-width: 100%; height: 100%; }
+  </style>
+</head>
+<body>
+  <div>
+    <img src="../images/${image.filename}" alt="Capa"/>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Monta o XHTML de uma página de texto gerada (folha de rosto ou abertura de pasta).
+ * No layout fixo a página recebe o viewport da capa.
+ * @param {string} title - Título da página
+ * @param {Array<{text: string, className: string}>} lines - Parágrafos, com a classe de estilo
+ * @param {({width: number, height: number}|null)} viewport - Tamanho da página no layout fixo
+ * @returns {string} Conteúdo XHTML
+ */
+function renderTextPage(title, lines, viewport) {
+  const paragraphs = lines
+    .map(line => `    <p class="${line.className}">${escapeXml(line.text)}</p>`)
+    .join('\n');
+  const style = `
+    .text-page { font-family: Georgia, serif; text-align: center; padding-top: 30%; }
+    .title { font-size: 2em; font-weight: bold; margin: 0 0 0.5em; }
+    .chapter { font-size: 1.6em; font-weight: bold; margin: 0; }
+    .series { font-size: 1.1em; font-style: italic; margin: 0 0 1.5em; }
+    .authors { font-size: 1.2em; margin: 0 0 2em; }
+    .publisher, .date { font-size: 0.9em; margin: 0 0 0.3em; }`;
+
+  const head = viewport
+    ? `<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=${viewport.width}, height=${viewport.height}"/>
+  <title>${escapeXml(title)}</title>
+  <style type="text/css">
+    html, body { margin: 0; padding: 0; width: ${viewport.width}px; height: ${viewport.height}px; overflow: hidden; }
+    body { font-size: ${Math.round(Math.min(viewport.width, viewport.height) / 20)}px; }${style}
+  </style>
+</head>`
+    : `<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+  <title>${escapeXml(title)}</title>
+  <style type="text/css">${style}
+  </style>
+</head>`;
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+${head}
+<body>
+  <div class="text-page">
+${paragraphs}
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Monta o XHTML de uma página do EPUB unificado, com cabeçalho da pasta de origem
+ * @param {Object} image - Imagem da página
+ * @returns {string} Conteúdo XHTML
+ */
+function renderMergedPage(image) {
+  const folderInfo = image.originalInfo;
+
+  // Título da página incluindo informação da pasta original
+  const pageTitle = escapeXml(`${getFolderLabel(folderInfo)} - Página ${folderInfo.imageIndex}`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">
+<html xmlns="http://www.w3.org/1999/xhtml">
+<head>
+  <title>${pageTitle}</title>
+  <style type="text/css">
+    body { 
+      margin: 0; 
+      padding: 0; 
+      text-align: center; 
+      background-color: #fff;
+    }
+    .page-container {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      min-height: 100vh;
+    }
+    .page-header {
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      color: #666;
+      margin-bottom: 10px;
+      padding: 5px;
+    }
+    img { 
+      max-width: 100%; 
+      max-height: 90vh;
+      height: auto;
+      display: block;
+    }
+  </style>
+</head>
+<body>
+  <div class="page-container">
+    <div class="page-header">${pageTitle}</div>
+    <img src="../images/${image.filename}" alt="${pageTitle}"/>
+  </div>
+</body>
+</html>`;
+}
+
+/**
+ * Rótulo da pasta de origem: título dos metadados da pasta ou nome da linha do CSV
+ * @param {Object} folderInfo - Informações da imagem (ver collectAllImages)
+ * @returns {string} Rótulo (sem escape)
+ */
+function getFolderLabel(folderInfo) {
+  return folderInfo.folderLabel || folderInfo.folderName;
+}
+
+/**
+ * Rótulo de uma página no sumário: marcador dos metadados da pasta ou número da página
+ * @param {Object} image - Imagem da página
+ * @param {boolean} merged - Se o EPUB reúne várias pastas (numera dentro da pasta)
+ * @returns {string} Rótulo (sem escape)
+ */
+function getPageLabel(image, merged) {
+  return image.originalInfo.bookmark ||
+    `Página ${merged ? image.originalInfo.imageIndex : image.pageNumber}`;
+}
+
+/**
+ * Título de uma página, com a pasta de origem no EPUB unificado
+ * @param {Object} image - Imagem da página
+ * @param {boolean} merged - Se o EPUB reúne várias pastas
+ * @returns {string} Título (sem escape)
+ */
+function getPageTitle(image, merged) {
+  return merged
+    ? `${getFolderLabel(image.originalInfo)} - Página ${image.originalInfo.imageIndex}`
+    : `Página ${image.pageNumber}`;
+}
+
+/**
+ * Monta o XHTML de uma página de layout fixo (EPUB 3), com viewport no tamanho da imagem
+ * @param {Object} image - Imagem da página (com width e height)
+ * @param {boolean} merged - Se o EPUB reúne várias pastas
+ * @returns {string} Conteúdo XHTML
+ */
+function renderFixedPage(image, merged) {
+  const title = escapeXml(getPageTitle(image, merged));
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=${image.width}, height=${image.height}"/>
+  <title>${title}</title>
+  <style type="text/css">
+    html, body { margin: 0; padding: 0; width: ${image.width}px; height: ${image.height}px; overflow: hidden; }
+    img { display: block; width: ${image.width}px; height: ${image.height}px; }
+  </style>
+</head>
+<body>
+  <img src="../images/${image.filename}" alt="${title}"/>
+</body>
+</html>`;
+}
+
+/**
+ * Cria arquivos HTML para cada imagem
+ * @param {Array} imageList - Lista de imagens
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {Object} options - Opções
+ * @param {Object} options.logger - Logger
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ * @param {boolean} [options.fixedLayout] - Gera páginas de layout fixo (EPUB 3)
+ */
+async function createHtmlPages(imageList, zip, options) {
+  const { logger, merged, fixedLayout } = options;
+  const padding = merged ? 4 : 3;
+
+  for (let i = 0; i < imageList.length; i++) {
+    const image = imageList[i];
+    const isCover = image.pageNumber === 1;
+    let htmlContent;
+    if (fixedLayout) {
+      htmlContent = renderFixedPage(image, merged);
+    } else if (isCover) {
+      htmlContent = renderCoverPage(image);
+    } else {
+      htmlContent = merged ? renderMergedPage(image) : renderSinglePage(image);
+    }
+
+    // A primeira imagem é a capa do livro e ganha uma página própria
+    const htmlFileName = isCover ? 'cover.xhtml' : `page_${String(image.pageNumber).padStart(padding, '0')}.xhtml`;
+    await zip.addBuffer(`OEBPS/text/${htmlFileName}`, htmlContent);
+
+    image.htmlFile = htmlFileName;
+
+    // Log de progresso a cada 50 páginas ou para a última
+    if (merged && ((i + 1) % 50 === 0 || i === imageList.length - 1)) {
+      logger.log(`   📝 Criadas ${i + 1}/${imageList.length} páginas HTML`);
+    }
+  }
+}
+
+/**
+ * Cria as páginas de texto (folha de rosto e aberturas de pasta) e monta a
+ * ordem de leitura do livro, intercalando-as com as páginas das imagens
+ * @param {Array} imageList - Lista de imagens (com htmlFile)
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {Object} options - Opções
+ * @param {Object} options.metadata - Metadados do livro (ver resolveMetadata)
+ * @param {boolean} [options.titlePage] - Cria a folha de rosto
+ * @param {boolean} [options.chapterPages] - Cria uma abertura por pasta
+ * @param {boolean} [options.fixedLayout] - Páginas de layout fixo, no tamanho da capa
+ * @returns {Promise<Array<{id: string, htmlFile: string, type: string, image: (Object|undefined)}>>} Páginas na ordem de leitura
+ */
+async function createTextPages(imageList, zip, options) {
+  const { metadata, fixedLayout } = options;
+  const viewport = fixedLayout ? { width: imageList[0].width, height: imageList[0].height } : null;
+  const readingOrder = [];
+
+  for (const page of planPages(imageList, options)) {
+    if (page.type === 'image') {
+      readingOrder.push({ id: `page${page.image.pageNumber}`, htmlFile: page.image.htmlFile, type: 'image', image: page.image });
+    } else if (page.type === 'title') {
+      const text = getTitlePageText(metadata);
+      const lines = [
+        { text: text.title, className: 'title' },
+        text.series && { text: text.series, className: 'series' },
+        text.authors && { text: text.authors, className: 'authors' },
+        text.publisher && { text: text.publisher, className: 'publisher' },
+        text.date && { text: text.date, className: 'date' }
+      ].filter(Boolean);
+
+      await zip.addBuffer('OEBPS/text/title.xhtml', renderTextPage(text.title, lines, viewport));
+      readingOrder.push({ id: 'titlepage', htmlFile: 'title.xhtml', type: 'title' });
+    } else {
+      const chapterTitle = getChapterTitle(page.image.originalInfo);
+      const htmlFile = `chapter_${String(page.image.folderIndex).padStart(3, '0')}.xhtml`;
+
+      await zip.addBuffer(`OEBPS/text/${htmlFile}`, renderTextPage(chapterTitle, [{ text: chapterTitle, className: 'chapter' }], viewport));
+      readingOrder.push({ id: `chapter${page.image.folderIndex}`, htmlFile, type: 'chapter', image: page.image });
+    }
+  }
+
+  return readingOrder;
+}
+
+/**
+ * Página de abertura de cada pasta, para o sumário apontar para ela
+ * @param {Array} readingOrder - Páginas na ordem de leitura (ver createTextPages)
+ * @returns {Map<number, string>} Arquivo XHTML da abertura por folderIndex
+ */
+function getChapterFiles(readingOrder) {
+  return new Map(readingOrder
+    .filter(page => page.type === 'chapter')
+    .map(page => [page.image.folderIndex, page.htmlFile]));
+}
+
+/**
+ * Monta os metadados Dublin Core de um content.opf EPUB 2
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @param {Object} defaults - Valores usados quando não informados (uuid, description)
+ * @returns {string} Elementos dentro de <metadata>
+ */
+function buildMetadata2(metadata, defaults) {
+  const lines = [
+    `<dc:identifier id="BookId" opf:scheme="UUID">${defaults.uuid}</dc:identifier>`,
+    `<dc:title>${escapeXml(metadata.title)}</dc:title>`,
+    `<dc:language>${escapeXml(metadata.language)}</dc:language>`
+  ];
+
+  for (const creator of metadata.authors) {
+    lines.push(`<dc:creator opf:file-as="${escapeXml(creator)}" opf:role="aut">${escapeXml(creator)}</dc:creator>`);
+  }
+
+  lines.push(metadata.date
+    ? `<dc:date opf:event="publication">${metadata.date}</dc:date>`
+    : `<dc:date opf:event="creation">${defaults.now}</dc:date>`);
+  lines.push(...buildCommonMetadata(metadata, defaults));
+
+  return lines.map(line => `    ${line}`).join('\n');
+}
+
+/**
+ * Monta os metadados Dublin Core de um content.opf EPUB 3
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @param {Object} defaults - Valores usados quando não informados (uuid, description)
+ * @returns {string} Elementos dentro de <metadata>
+ */
+function buildMetadata3(metadata, defaults) {
+  const lines = [
+    `<dc:identifier id="BookId">${defaults.uuid}</dc:identifier>`,
+    `<dc:title>${escapeXml(metadata.title)}</dc:title>`,
+    `<dc:language>${escapeXml(metadata.language)}</dc:language>`
+  ];
+
+  metadata.authors.forEach((author, index) => {
+    lines.push(`<dc:creator id="creator${index + 1}">${escapeXml(author)}</dc:creator>`);
+    lines.push(`<meta refines="#creator${index + 1}" property="role" scheme="marc:relators">aut</meta>`);
+  });
+
+  lines.push(`<dc:date>${metadata.date || defaults.now}</dc:date>`);
+  lines.push(...buildCommonMetadata(metadata, defaults));
+
+  if (metadata.series) {
+    lines.push(`<meta property="belongs-to-collection" id="series">${escapeXml(metadata.series)}</meta>`);
+    lines.push('<meta refines="#series" property="collection-type">series</meta>');
+    if (metadata.seriesIndex !== undefined) {
+      lines.push(`<meta refines="#series" property="group-position">${metadata.seriesIndex}</meta>`);
+    }
+  }
+
+  return lines.map(line => `    ${line}`).join('\n');
+}
+
+/**
+ * Metadados iguais nas duas versões: editora, direitos, assuntos, descrição e série
+ * no formato do Calibre (lido pela maioria dos leitores, inclusive em EPUB 3)
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @param {Object} defaults - Valores usados quando não informados
+ * @returns {string[]} Elementos XML
+ */
+function buildCommonMetadata(metadata, defaults) {
+  const lines = [];
+  if (metadata.publisher) {
+    lines.push(`<dc:publisher>${escapeXml(metadata.publisher)}</dc:publisher>`);
+  }
+  if (metadata.rights) {
+    lines.push(`<dc:rights>${escapeXml(metadata.rights)}</dc:rights>`);
+  }
+
+  for (const subject of [metadata.subject, ...metadata.keywords].filter(Boolean)) {
+    lines.push(`<dc:subject>${escapeXml(subject)}</dc:subject>`);
+  }
+
+  const description = metadata.description || defaults.description;
+  if (description) {
+    lines.push(`<dc:description>${escapeXml(description)}</dc:description>`);
+  }
+
+  if (metadata.series) {
+    lines.push(`<meta name="calibre:series" content="${escapeXml(metadata.series)}"/>`);
+    if (metadata.seriesIndex !== undefined) {
+      lines.push(`<meta name="calibre:series_index" content="${metadata.seriesIndex}"/>`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Monta o content.opf no formato EPUB 2 (páginas refluíveis)
+ * @param {Object} parts - Trechos já montados (metadata, manifest, spine, spineAttributes, guide, coverId)
+ * @returns {string} Conteúdo do content.opf
+ */
+function renderOpf2({ metadata, manifest, spine, spineAttributes, guide, coverId }) {
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package version="2.0" unique-identifier="BookId" xmlns="http://www.idpf.org/2007/opf">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+${metadata}
+    <meta name="cover" content="${coverId}"/>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+${manifest}  </manifest>
+  <spine toc="ncx"${spineAttributes}>
+${spine}  </spine>
+  <guide>
+${guide}  </guide>
+</package>`;
+}
+
+/**
+ * Monta o content.opf no formato EPUB 3 de layout fixo (pre-paginated).
+ * O toc.ncx continua referenciado no spine para leitores antigos.
+ * @param {Object} parts - Trechos já montados (metadata, manifest, spine, spineAttributes, guide, coverId)
+ * @returns {string} Conteúdo do content.opf
+ */
+function renderOpf3({ metadata, manifest, spine, spineAttributes, guide, coverId }) {
+  // dcterms:modified exige data e hora UTC sem milissegundos
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<package version="3.0" unique-identifier="BookId" xmlns="http://www.idpf.org/2007/opf">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">landscape</meta>
+    <meta name="cover" content="${coverId}"/>
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+${manifest}  </manifest>
+  <spine toc="ncx"${spineAttributes}>
+${spine}  </spine>
+  <guide>
+${guide}  </guide>
+</package>`;
+}
+
+/**
+ * Posição de cada página nas páginas duplas do layout fixo.
+ * A capa, as páginas de texto e as páginas duplas (DoublePage nos metadados) ficam
+ * sozinhas no centro; as demais alternam começando pelo lado lido primeiro
+ * (esquerda em ltr, direita em rtl).
+ * @param {Array} readingOrder - Páginas na ordem de leitura (ver createTextPages)
+ * @param {string} direction - Sentido de leitura (ltr, rtl)
+ * @returns {string[]} Propriedade do itemref no spine, na ordem das páginas
+ */
+function getPageSpreads(readingOrder, direction) {
+  const sides = direction === 'rtl' ? ['right', 'left'] : ['left', 'right'];
+  let next = 0;
+
+  return readingOrder.map(page => {
+    const image = page.type === 'image' ? page.image : null;
+    if (!image || image.pageNumber === 1 || image.originalInfo.doublePage) {
+      // Depois de uma página centralizada, a próxima abre um novo par
+      next = 0;
+      return 'rendition:page-spread-center';
+    }
+    const side = sides[next];
+    next = 1 - next;
+    return `page-spread-${side}`;
+  });
+}
+
+/**
+ * Cria o arquivo content.opf (manifest do EPUB)
+ * @param {Array} imageList - Lista de imagens
+ * @param {Array} readingOrder - Páginas na ordem de leitura (ver createTextPages)
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {string} title - Título do livro
+ * @param {string} uuid - UUID único
+ * @param {Object} options - Opções
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ * @param {boolean} [options.fixedLayout] - Gera o pacote EPUB 3 de layout fixo
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @param {Object} options.metadata - Metadados do livro (ver resolveMetadata)
+ */
+async function createContentOpf(imageList, readingOrder, zip, title, uuid, options) {
+  const { merged, fixedLayout, direction = 'ltr', metadata } = options;
+  const defaults = {
+    uuid,
+    now: new Date().toISOString().split('T')[0],
+    description: merged ? 'EPUB gerado a partir de múltiplas pastas de imagens' : undefined
+  };
+
+  const spreads = fixedLayout ? getPageSpreads(readingOrder, direction) : [];
+  let manifest = '';
+  let spine = '';
+
+  // Adiciona as imagens ao manifest
+  for (const image of imageList) {
+    // No EPUB 3 a capa é marcada no próprio item da primeira imagem
+    const properties = fixedLayout && image.pageNumber === 1 ? ' properties="cover-image"' : '';
+    manifest += `    <item id="${image.id}" href="images/${image.filename}" media-type="${image.mediaType}"${properties}/>\n`;
+  }
+
+  // Adiciona as páginas ao manifest e ao spine, na ordem de leitura
+  for (const [index, page] of readingOrder.entries()) {
+    manifest += `    <item id="${page.id}" href="text/${page.htmlFile}" media-type="application/xhtml+xml"/>\n`;
+    const spread = fixedLayout ? ` properties="${spreads[index]}"` : '';
+    spine += `    <itemref idref="${page.id}"${spread}/>\n`;
+  }
+
+  // Guia (EPUB 2) com a capa e a folha de rosto; leitores de EPUB 3 também a consultam
+  let guide = `    <reference type="cover" title="Capa" href="text/${imageList[0].htmlFile}"/>\n`;
+  if (readingOrder.some(page => page.type === 'title')) {
+    guide += '    <reference type="title-page" title="Folha de rosto" href="text/title.xhtml"/>\n';
+  }
+
+  // O atributo não existe no EPUB 2, mas os leitores o respeitam; no EPUB 2 só é gravado em rtl
+  const spineAttributes = direction === 'rtl' || fixedLayout
+    ? ` page-progression-direction="${direction}"`
+    : '';
+
+  const parts = {
+    metadata: fixedLayout ? buildMetadata3(metadata, defaults) : buildMetadata2(metadata, defaults),
+    manifest,
+    spine,
+    spineAttributes,
+    guide,
+    coverId: imageList[0].id
+  };
+  const contentOpf = fixedLayout ? renderOpf3(parts) : renderOpf2(parts);
+
+  await zip.addBuffer('OEBPS/content.opf', contentOpf);
+}
+
+/**
+ * Monta a lista do sumário do nav.xhtml: uma entrada por página ou,
+ * no EPUB unificado, uma por pasta com as páginas aninhadas
+ * @param {Array} imageList - Lista de imagens
+ * @param {boolean} merged - Se o EPUB reúne várias pastas
+ * @param {Map<number, string>} chapterFiles - Abertura de cada pasta (ver getChapterFiles)
+ * @returns {string} Itens <li> do sumário
+ */
+function buildNavItems(imageList, merged, chapterFiles) {
+  const pageItem = (image, indent) =>
+    `${indent}<li><a href="text/${image.htmlFile}">${escapeXml(getPageLabel(image, merged))}</a></li>\n`;
+
+  if (!merged) {
+    return imageList.map(image => pageItem(image, '      ')).join('');
+  }
+
+  let items = '';
+  let index = 0;
+
+  while (index < imageList.length) {
+    const first = imageList[index];
+    const folderName = first.originalInfo.folderName;
+
+    const folderFile = chapterFiles.get(first.folderIndex) || first.htmlFile;
+
+    items += `      <li><a href="text/${folderFile}">${escapeXml(getFolderLabel(first.originalInfo))}</a>\n        <ol>\n`;
+    while (index < imageList.length && imageList[index].originalInfo.folderName === folderName) {
+      items += pageItem(imageList[index], '          ');
+      index++;
+    }
+    items += '        </ol>\n      </li>\n';
+  }
+
+  return items;
+}
+
+/**
+ * Cria o documento de navegação nav.xhtml exigido pelo EPUB 3
+ * @param {Array} imageList - Lista de imagens
+ * @param {Array} readingOrder - Páginas na ordem de leitura (ver createTextPages)
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {string} title - Título do livro
+ * @param {Object} options - Opções
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ */
+async function createNavXhtml(imageList, readingOrder, zip, title, options) {
+  const { merged } = options;
+  const titlePage = readingOrder.some(page => page.type === 'title')
+    ? '      <li><a epub:type="titlepage" href="text/title.xhtml">Folha de rosto</a></li>\n'
+    : '';
+
+  const navXhtml = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops">
+<head>
+  <meta charset="utf-8"/>
+  <title>${escapeXml(title)}</title>
+</head>
+<body>
+  <nav epub:type="toc" id="toc">
+    <h1>${escapeXml(title)}</h1>
+    <ol>
+${buildNavItems(imageList, merged, getChapterFiles(readingOrder))}    </ol>
+  </nav>
+  <nav epub:type="landmarks" id="landmarks" hidden="">
+    <ol>
+      <li><a epub:type="cover" href="text/${imageList[0].htmlFile}">Capa</a></li>
+${titlePage}    </ol>
+  </nav>
+</body>
+</html>`;
+
+  await zip.addBuffer('OEBPS/nav.xhtml', navXhtml);
+}
+
+/**
+ * Monta os navPoints de um EPUB simples: um por página
+ * @param {Array} imageList - Lista de imagens
+ * @returns {string} Trecho XML do navMap
+ */
+function buildSingleNavPoints(imageList) {
+  let navPoints = '';
+
+  for (const image of imageList) {
+    navPoints += `    <navPoint id="navpoint-${image.pageNumber}" playOrder="${image.pageNumber}">
+      <navLabel>
+        <text>${escapeXml(getPageLabel(image, false))}</text>
+      </navLabel>
+      <content src="text/${image.htmlFile}"/>
+    </navPoint>
+`;
+  }
+
+  return navPoints;
+}
+
+/**
+ * Monta os navPoints de um EPUB unificado: pasta > páginas
+ * @param {Array} imageList - Lista de imagens
+ * @param {Map<number, string>} chapterFiles - Abertura de cada pasta (ver getChapterFiles)
+ * @returns {string} Trecho XML do navMap
+ */
+function buildMergedNavPoints(imageList, chapterFiles) {
+  let navPoints = '';
+  let currentFolder = '';
+  let folderNavPoint = 1;
+  let pageOrder = 1;
+
+  for (const image of imageList) {
+    const folderInfo = image.originalInfo;
+
+    // Se mudou de pasta, cria um novo ponto de navegação para a pasta
+    if (folderInfo.folderName !== currentFolder) {
+      currentFolder = folderInfo.folderName;
+
+      navPoints += `    <navPoint id="folder-${folderNavPoint}" playOrder="${pageOrder}">
+      <navLabel>
+        <text>${escapeXml(getFolderLabel(folderInfo))}</text>
+      </navLabel>
+      <content src="text/${chapterFiles.get(image.folderIndex) || image.htmlFile}"/>
+`;
+
+      // Adiciona sub-navegação para as páginas da pasta
+      const folderImages = imageList.filter(img => img.originalInfo.folderName === currentFolder);
+
+      for (const folderImg of folderImages) {
+        pageOrder++;
+
+        navPoints += `      <navPoint id="page-${folderImg.pageNumber}" playOrder="${pageOrder}">
+        <navLabel>
+          <text>${escapeXml(getPageLabel(folderImg, true))}</text>
+        </navLabel>
+        <content src="text/${folderImg.htmlFile}"/>
+      </navPoint>
+`;
+      }
+
+      navPoints += `    </navPoint>
+`;
+
+      folderNavPoint++;
+      pageOrder++; // Incrementa para a próxima pasta
+    }
+  }
+
+  return navPoints;
+}
+
+/**
+ * Cria o arquivo toc.ncx (índice de navegação)
+ * @param {Array} imageList - Lista de imagens
+ * @param {Array} readingOrder - Páginas na ordem de leitura (ver createTextPages)
+ * @param {ZipWriter} zip - Arquivo EPUB em construção
+ * @param {string} title - Título do livro
+ * @param {string} uuid - UUID único
+ * @param {Object} options - Opções
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ */
+async function createTocNcx(imageList, readingOrder, zip, title, uuid, options) {
+  const { merged } = options;
+  const navPoints = merged
+    ? buildMergedNavPoints(imageList, getChapterFiles(readingOrder))
+    : buildSingleNavPoints(imageList);
+  const pageCount = merged ? imageList.length : 0;
+
+  const tocNcx = `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE ncx PUBLIC "-//NISO//DTD ncx 2005-1//EN" "http://www.daisy.org/z3986/2005/ncx-2005-1.dtd">
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${uuid}"/>
+    <meta name="dtb:depth" content="${merged ? 2 : 1}"/>
+    <meta name="dtb:totalPageCount" content="${pageCount}"/>
+    <meta name="dtb:maxPageNumber" content="${pageCount}"/>
+  </head>
+  <docTitle>
+    <text>${escapeXml(title)}</text>
+  </docTitle>
+  <navMap>
+${navPoints}  </navMap>
+</ncx>`;
+
+  await zip.addBuffer('OEBPS/toc.ncx', tocNcx);
+}
+
+/**
+ * Monta um EPUB completo gravando cada entrada direto no arquivo de destino
+ * @param {Array<{path: string}>} images - Imagens na ordem das páginas
+ * @param {string} outputPath - Caminho de saída do EPUB
+ * @param {string} title - Título do livro
+ * @param {Object} options - Opções
+ * @param {Object} options.logger - Logger
+ * @param {boolean} options.merged - Se o EPUB reúne várias pastas
+ * @param {boolean} [options.fixedLayout] - Gera EPUB 3 de layout fixo
+ * @param {boolean} [options.titlePage] - Adiciona a folha de rosto depois da capa
+ * @param {boolean} [options.chapterPages] - Adiciona uma abertura antes de cada pasta (EPUB unificado)
+ * @param {number} [options.maxWidth] - Largura máxima das imagens em pixels; também maxHeight,
+ *   jpegQuality, pngToJpeg, o modo de cor (colorMode, threshold e dither) e o recorte das bordas
+ *   (autoTrim e trimTolerance), ver resolveCompression e resolveTrim
+ * @returns {Promise<{pageCount: number, compression: (Object|null), trimmedImages: Array}>} Resultado da geração
+ */
+async function buildEpub(images, outputPath, title, options) {
+  const { logger, merged } = options;
+  // Valida antes de criar o arquivo de saída; o título recebido prevalece sobre options.title
+  options = {
+    ...options,
+    direction: parseDirection(options.direction),
+    metadata: resolveMetadata({ ...options, title: title || options.title }),
+    compression: resolveCompression(options),
+    trim: resolveTrim(options)
+  };
+  const zip = new ZipWriter(outputPath);
+
+  try {
+    const uuid = crypto.randomUUID();
+
+    logger.log('   📁 Criando estrutura EPUB...');
+    await createEpubStructure(zip);
+
+    logger.log('   🖼️ Copiando imagens...');
+    const { imageList, compressedImages, trimmedImages } = await copyImagesToEpub(images, zip, options);
+
+    logger.log('   📄 Criando páginas HTML...');
+    await createHtmlPages(imageList, zip, options);
+
+    const readingOrder = await createTextPages(imageList, zip, options);
+
+    logger.log('   📋 Criando manifest...');
+    await createContentOpf(imageList, readingOrder, zip, title, uuid, options);
+
+    logger.log(merged ? '   🗂️ Criando índice de navegação...' : '   🗂️ Criando índice...');
+    await createTocNcx(imageList, readingOrder, zip, title, uuid, options);
+    if (options.fixedLayout) {
+      await createNavXhtml(imageList, readingOrder, zip, title, options);
+    }
+
+    logger.log('   📦 Compactando EPUB...');
+    await zip.close();
+
+    return {
+      pageCount: imageList.length,
+      compression: options.compression || compressedImages.length > 0 ? sumCompression(compressedImages) : null,
+      trimmedImages
+    };
+  } catch (error) {
+    // Remove o arquivo incompleto
+    await zip.abort();
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(`Erro ao criar arquivo EPUB: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Cria um documento EPUB com as imagens
+ * @param {string[]} imagePaths - Lista de caminhos completos das imagens
+ * @param {string} outputPath - Caminho de saída do EPUB
+ * @param {string} title - Título do livro
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger
+ * @param {boolean} [options.fixedLayout] - Gera EPUB 3 de layout fixo
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @param {boolean} [options.titlePage] - Adiciona a folha de rosto depois da capa
+ * @param {number} [options.maxWidth] - Largura máxima das imagens em pixels; também maxHeight,
+ *   jpegQuality, pngToJpeg, o modo de cor (colorMode, threshold e dither) e o recorte das bordas
+ *   (autoTrim e trimTolerance), ver resolveCompression e resolveTrim
+ * @param {(string|string[])} [options.author] - Autor(es); demais metadados em language, publisher,
+ *   rights, series, seriesIndex, subject, keywords, description e date (ver resolveMetadata)
+ * @returns {Promise<{pageCount: number, compression: (Object|null), trimmedImages: Array}>} Resultado da geração
+ */
+function createEpub(imagePaths, outputPath, title, options = {}) {
+  const { pageOverrides } = options;
+  const images = imagePaths.map(imagePath => ({
+    path: imagePath,
+    ...(pageOverrides && pageOverrides.get(imagePath))
+  }));
+  return buildEpub(images, outputPath, title, {
+    ...options,
+    logger: resolveLogger(options),
+    merged: false,
+    chapterPages: false
+  });
+}
+
+/**
+ * Cria um documento EPUB unificado com todas as imagens coletadas
+ * @param {Array} allImages - Array com informações de todas as imagens (ver collectAllImages)
+ * @param {string} outputPath - Caminho de saída do EPUB
+ * @param {string} title - Título do livro
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger
+ * @param {boolean} [options.fixedLayout] - Gera EPUB 3 de layout fixo
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @param {boolean} [options.titlePage] - Adiciona a folha de rosto depois da capa
+ * @param {boolean} [options.chapterPages] - Adiciona uma abertura antes de cada pasta
+ * @param {number} [options.maxWidth] - Largura máxima das imagens em pixels; também maxHeight,
+ *   jpegQuality, pngToJpeg, o modo de cor (colorMode, threshold e dither) e o recorte das bordas
+ *   (autoTrim e trimTolerance), ver resolveCompression e resolveTrim
+ * @param {(string|string[])} [options.author] - Autor(es); demais metadados em language, publisher,
+ *   rights, series, seriesIndex, subject, keywords, description e date (ver resolveMetadata)
+ * @returns {Promise<{pageCount: number, compression: (Object|null), trimmedImages: Array}>} Resultado da geração
+ */
+function createMergedEpub(allImages, outputPath, title, options = {}) {
+  const logger = resolveLogger(options);
+  logger.log('\n📚 Criando EPUB unificado...');
+  return buildEpub(allImages, outputPath, title, { ...options, logger, merged: true });
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  escapeXml,
+  createEpub,
+  createMergedEpub
+};
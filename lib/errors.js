@@ -0,0 +1,102 @@
+/**
+ * Erros tipados lançados pela API do images-batch-pdf.
+ * Todos herdam de ImagesBatchError e carregam um `code` estável,
+ * permitindo que quem consome a biblioteca trate cada caso sem
+ * depender do texto da mensagem.
+ */
+
+/**
+ * Erro base da biblioteca
+ */
+class ImagesBatchError extends Error {
+  /**
+   * @param {string} message - Mensagem descritiva
+   * @param {Object} [options] - Opções adicionais
+   * @param {string} [options.code] - Código estável do erro
+   * @param {Error} [options.cause] - Erro original que motivou este
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = options.code || 'IMAGES_BATCH_ERROR';
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+/**
+ * Argumento ou opção inválida
+ */
+class InvalidArgumentError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_ARGUMENT', ...options });
+  }
+}
+
+/**
+ * Pasta ou arquivo de origem inexistente
+ */
+class SourceNotFoundError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'SOURCE_NOT_FOUND', ...options });
+  }
+}
+
+/**
+ * Origem existe mas não pode ser usada (ex.: não é uma pasta)
+ */
+class InvalidSourceError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'INVALID_SOURCE', ...options });
+  }
+}
+
+/**
+ * Nenhuma imagem suportada encontrada na origem
+ */
+class NoImagesError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NO_IMAGES', ...options });
+  }
+}
+
+/**
+ * Numeração das imagens irregular no modo estrito (lacunas, números repetidos
+ * ou arquivos sem número); a lista de problemas fica em `problems`
+ */
+class NumberingError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NUMBERING_ERROR', ...options });
+    this.problems = options.problems || [];
+  }
+}
+
+/**
+ * Falha ao ler ou interpretar um arquivo CSV
+ */
+class CsvError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CSV_ERROR', ...options });
+  }
+}
+
+/**
+ * Falha ao gerar o arquivo de saída (PDF/EPUB)
+ */
+class ConversionError extends ImagesBatchError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONVERSION_FAILED', ...options });
+  }
+}
+
+module.exports = {
+  ImagesBatchError,
+  InvalidArgumentError,
+  SourceNotFoundError,
+  InvalidSourceError,
+  NoImagesError,
+  NumberingError,
+  CsvError,
+  ConversionError
+};
@@ -0,0 +1,198 @@
+/**
+ * Leitura mínima de metadados EXIF/TIFF, suficiente para os campos usados
+ * pelo projeto (resolução e datas). Não depende de bibliotecas externas.
+ */
+
+/**
+ * Tags EXIF conhecidas pelo projeto
+ */
+const TAGS = {
+  X_RESOLUTION: 0x011a,
+  Y_RESOLUTION: 0x011b,
+  RESOLUTION_UNIT: 0x0128,
+  EXIF_IFD_POINTER: 0x8769,
+  DATE_TIME_ORIGINAL: 0x9003,
+  SUB_SEC_TIME_ORIGINAL: 0x9291
+};
+
+/**
+ * Tamanho em bytes de cada tipo de valor TIFF
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * Lê o valor de uma entrada de IFD
+ * @param {Buffer} tiff - Bloco TIFF
+ * @param {number} entryOffset - Posição da entrada no bloco
+ * @param {boolean} little - Se o bloco é little-endian
+ * @returns {*} Valor da tag (número, texto ou array)
+ */
+function readEntryValue(tiff, entryOffset, little) {
+  const u16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const u32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const type = u16(entryOffset + 2);
+  const count = u32(entryOffset + 4);
+  const size = (TYPE_SIZES[type] || 1) * count;
+  const valueOffset = size <= 4 ? entryOffset + 8 : u32(entryOffset + 8);
+
+  if (valueOffset + size > tiff.length) {
+    return undefined;
+  }
+
+  switch (type) {
+    case 2:
+      return tiff.toString('latin1', valueOffset, valueOffset + count).replace(/\0+$/, '');
+    case 3:
+      return count === 1 ? u16(valueOffset) : Array.from({ length: count }, (_, i) => u16(valueOffset + i * 2));
+    case 4:
+      return count === 1 ? u32(valueOffset) : Array.from({ length: count }, (_, i) => u32(valueOffset + i * 4));
+    case 5: {
+      const denominator = u32(valueOffset + 4);
+      return denominator ? u32(valueOffset) / denominator : 0;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Lê todas as entradas de um IFD
+ * @param {Buffer} tiff - Bloco TIFF
+ * @param {number} offset - Posição do IFD
+ * @param {boolean} little - Se o bloco é little-endian
+ * @returns {Map<number, *>} Tags encontradas
+ */
+function readIfd(tiff, offset, little) {
+  const tags = new Map();
+  if (offset + 2 > tiff.length) {
+    return tags;
+  }
+
+  const count = little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+  for (let i = 0; i < count; i++) {
+    const entryOffset = offset + 2 + i * 12;
+    if (entryOffset + 12 > tiff.length) break;
+
+    const tag = little ? tiff.readUInt16LE(entryOffset) : tiff.readUInt16BE(entryOffset);
+    tags.set(tag, readEntryValue(tiff, entryOffset, little));
+  }
+
+  return tags;
+}
+
+/**
+ * Interpreta um bloco TIFF (conteúdo do segmento APP1 "Exif")
+ * @param {Buffer} tiff - Bloco TIFF começando no cabeçalho II/MM
+ * @returns {({ifd0: Map, exif: Map}|null)} Tags do IFD0 e do sub-IFD EXIF
+ */
+function parseTiff(tiff) {
+  if (tiff.length < 8) {
+    return null;
+  }
+
+  const byteOrder = tiff.toString('latin1', 0, 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return null;
+  }
+
+  const little = byteOrder === 'II';
+  const ifd0Offset = little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+  const ifd0 = readIfd(tiff, ifd0Offset, little);
+
+  const exifPointer = ifd0.get(TAGS.EXIF_IFD_POINTER);
+  const exif = exifPointer ? readIfd(tiff, exifPointer, little) : new Map();
+
+  return { ifd0, exif };
+}
+
+/**
+ * Localiza e interpreta o segmento EXIF de um JPEG
+ * @param {Buffer} buffer - Início do arquivo JPEG
+ * @returns {({ifd0: Map, exif: Map}|null)} Tags ou null se não houver EXIF
+ */
+function readJpegExif(buffer) {
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+
+    // Início dos dados da imagem: não há mais metadados
+    if (marker === 0xda) break;
+
+    if (marker === 0xe1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+      return parseTiff(buffer.subarray(offset + 10, offset + 2 + length));
+    }
+
+    offset += 2 + length;
+  }
+
+  return null;
+}
+
+/**
+ * Localiza e interpreta o bloco EXIF de um PNG (chunk eXIf) ou WebP (chunk EXIF)
+ * @param {Buffer} buffer - Início do arquivo
+ * @returns {({ifd0: Map, exif: Map}|null)} Tags ou null se não houver EXIF
+ */
+function readContainerExif(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      if (type === 'eXIf') return parseTiff(buffer.subarray(offset + 8, offset + 8 + length));
+      if (type === 'IDAT' || type === 'IEND') break;
+      offset += 12 + length;
+    }
+    return null;
+  }
+
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const type = buffer.toString('latin1', offset, offset + 4);
+      const length = buffer.readUInt32LE(offset + 4);
+      if (type === 'EXIF') {
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        // Alguns programas gravam o prefixo do JPEG antes do bloco TIFF
+        return parseTiff(data.toString('latin1', 0, 6) === 'Exif\0\0' ? data.subarray(6) : data);
+      }
+      offset += 8 + length + (length % 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lê a data de captura (DateTimeOriginal, tag 0x9003) de uma imagem JPEG, PNG ou WebP
+ * @param {Buffer} buffer - Início do arquivo
+ * @returns {(number|null)} Data em milissegundos (horário local da câmera tratado como UTC) ou null
+ */
+function readExifDate(buffer) {
+  const isJpeg = buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xd8;
+  const tags = isJpeg ? readJpegExif(buffer) : readContainerExif(buffer);
+  if (!tags) return null;
+
+  const value = tags.exif.get(TAGS.DATE_TIME_ORIGINAL);
+  const match = typeof value === 'string' && /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const time = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (Number.isNaN(time)) return null;
+
+  // Frações de segundo desempatam fotos tiradas em sequência
+  const subSec = tags.exif.get(TAGS.SUB_SEC_TIME_ORIGINAL);
+  const fraction = typeof subSec === 'string' && /^\d+$/.test(subSec.trim()) ? Number(`0.${subSec.trim()}`) * 1000 : 0;
+  return time + fraction;
+}
+
+module.exports = {
+  TAGS,
+  parseTiff,
+  readJpegExif,
+  readExifDate
+};
@@ -0,0 +1,460 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const {
+  SourceNotFoundError,
+  InvalidSourceError,
+  NoImagesError,
+  NumberingError
+} = require('./errors');
+const { resolveLogger } = require('./logger');
+const { readSidecar, applySidecarPages, getSidecarLabel, withSidecarDefaults } = require('./sidecar');
+const { isArchivePath, getArchiveEntryPath, openArchive, listArchiveEntries } = require('./archive');
+const { sortImages, resolveSortStrategy, NAME_SORT_STRATEGIES } = require('./sort');
+
+/**
+ * Extensões de imagem aceitas como entrada
+ */
+const SUPPORTED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+
+/**
+ * Verifica se a pasta (ou o arquivo ZIP/CBZ usado no lugar dela) existe e é acessível
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ */
+async function validateFolder(folderPath) {
+  let stats;
+  try {
+    stats = await fsPromises.stat(folderPath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new SourceNotFoundError(`Pasta não encontrada: ${folderPath}`, { cause: error });
+    }
+    throw new InvalidSourceError(`Erro ao acessar pasta: ${error.message}`, { cause: error });
+  }
+
+  if (stats.isFile() && isArchivePath(folderPath)) {
+    // Lê o diretório central já aqui, para que um arquivo corrompido seja apontado logo
+    await openArchive(folderPath);
+    return;
+  }
+
+  if (!stats.isDirectory()) {
+    throw new InvalidSourceError(`O caminho especificado não é uma pasta nem um arquivo ZIP/CBZ: ${folderPath}`);
+  }
+}
+
+/**
+ * Lê o conteúdo da pasta e retorna apenas arquivos de imagem.
+ * Em arquivos ZIP/CBZ são listadas as imagens de todas as subpastas internas.
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @returns {Promise<string[]>} Lista de nomes de arquivos de imagem (entradas, no caso de ZIP/CBZ)
+ */
+async function readImageFiles(folderPath) {
+  try {
+    const files = isArchivePath(folderPath)
+      ? await listArchiveEntries(folderPath)
+      : await fsPromises.readdir(folderPath);
+
+    return files.filter(file => {
+      const ext = path.extname(file).toLowerCase();
+      return SUPPORTED_EXTENSIONS.includes(ext);
+    });
+  } catch (error) {
+    if (error instanceof InvalidSourceError) throw error;
+    throw new InvalidSourceError(`Erro ao ler pasta: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * Ordena os arquivos numericamente (1, 2, 3, ..., 10, 11, etc.).
+ * Entradas em subpastas (dentro de ZIP/CBZ) são agrupadas pela subpasta.
+ * @deprecated As conversões ordenam com sortImages, cujo padrão é a ordem natural;
+ *   este é o critério antigo, igual à estratégia numeric de sortImages
+ * @param {string[]} files - Lista de nomes de arquivos
+ * @returns {string[]} Lista ordenada numericamente
+ */
+function sortFilesNumerically(files) {
+  return files.sort((a, b) => {
+    const dirA = path.posix.dirname(a);
+    const dirB = path.posix.dirname(b);
+    if (dirA !== dirB) {
+      return dirA.localeCompare(dirB, undefined, { numeric: true });
+    }
+
+    const numA = parseInt(path.basename(a, path.extname(a)));
+    const numB = parseInt(path.basename(b, path.extname(b)));
+
+    // Se não conseguir extrair número, mantém ordem alfabética
+    if (isNaN(numA) || isNaN(numB)) {
+      return a.localeCompare(b);
+    }
+
+    return numA - numB;
+  });
+}
+
+/**
+ * Número de página de um arquivo: o número do início do nome (013.jpg -> 13)
+ * ou, se o nome não começar por um, o último número dele (page_10.jpg -> 10,
+ * IMG_0042.jpg -> 42). Com um padrão, vale o trecho capturado (1º grupo).
+ * @param {string} file - Nome do arquivo
+ * @param {RegExp} [pattern] - Expressão da ordenação regex
+ * @returns {(number|null)} Número, ou null se o nome não tiver número
+ */
+function getFileNumber(file, pattern) {
+  const base = path.posix.basename(file, path.extname(file));
+  let digits;
+
+  if (pattern) {
+    const match = pattern.exec(path.posix.basename(file));
+    digits = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+  } else {
+    const leading = base.match(/^\d+/);
+    const all = base.match(/\d+/g);
+    digits = leading ? leading[0] : (all ? all[all.length - 1] : null);
+  }
+
+  return digits !== null && /^\d+$/.test(digits) ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Confere a numeração das imagens: lacunas na sequência, números repetidos
+ * (ex.: 1.jpg e 01.png) e arquivos sem número. Entradas em subpastas
+ * (dentro de ZIP/CBZ) são conferidas separadamente por subpasta.
+ * @param {string[]} files - Nomes dos arquivos de imagem
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sortPattern] - Expressão da ordenação regex; o número é o trecho capturado
+ * @returns {{gaps: Array<{folder: string, from: number, to: number}>, duplicates: Array<{folder: string, number: number, files: string[]}>, unnumbered: string[]}} Anomalias encontradas
+ */
+function checkNumbering(files, options = {}) {
+  const result = { gaps: [], duplicates: [], unnumbered: [] };
+  const groups = new Map();
+  const pattern = options.sortPattern ? new RegExp(options.sortPattern) : undefined;
+
+  for (const file of files) {
+    const number = getFileNumber(file, pattern);
+    if (number === null) {
+      result.unnumbered.push(file);
+      continue;
+    }
+
+    const folder = path.posix.dirname(file);
+    if (!groups.has(folder)) groups.set(folder, new Map());
+    const numbers = groups.get(folder);
+    if (!numbers.has(number)) numbers.set(number, []);
+    numbers.get(number).push(file);
+  }
+
+  for (const [folder, numbers] of groups) {
+    const sorted = [...numbers.keys()].sort((a, b) => a - b);
+
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i] - sorted[i - 1] > 1) {
+        result.gaps.push({ folder, from: sorted[i - 1] + 1, to: sorted[i] - 1 });
+      }
+    }
+    for (const number of sorted) {
+      if (numbers.get(number).length > 1) {
+        result.duplicates.push({ folder, number, files: numbers.get(number) });
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Descreve as anomalias de numeração em mensagens curtas
+ * @param {Object} numbering - Resultado de checkNumbering
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.unnumbered=true] - Inclui os arquivos sem número
+ * @returns {string[]} Mensagens (ex.: "faltando 4, 7-9", "número 1 repetido: 1.jpg, 01.png")
+ */
+function describeNumbering(numbering, options = {}) {
+  const { unnumbered = true } = options;
+  const messages = [];
+  const prefix = folder => (folder === '.' ? '' : `${folder}/: `);
+
+  const gapsByFolder = new Map();
+  for (const gap of numbering.gaps) {
+    const range = gap.from === gap.to ? `${gap.from}` : `${gap.from}-${gap.to}`;
+    gapsByFolder.set(gap.folder, [...(gapsByFolder.get(gap.folder) || []), range]);
+  }
+  for (const [folder, ranges] of gapsByFolder) {
+    messages.push(`${prefix(folder)}faltando ${ranges.join(', ')}`);
+  }
+
+  for (const duplicate of numbering.duplicates) {
+    const names = duplicate.files.map(file => path.posix.basename(file)).join(', ');
+    messages.push(`${prefix(duplicate.folder)}número ${duplicate.number} repetido: ${names}`);
+  }
+
+  if (unnumbered && numbering.unnumbered.length > 0) {
+    messages.push(`sem número: ${numbering.unnumbered.join(', ')}`);
+  }
+
+  return messages;
+}
+
+/**
+ * Valida a pasta, lista suas imagens e retorna os caminhos completos ordenados.
+ * As imagens de um ZIP/CBZ recebem caminhos do tipo arquivo.cbz/entrada.jpg,
+ * lidos direto do arquivo compactado sem extração.
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sort] - Estratégia de ordenação (ver sortImages; padrão: natural)
+ * @param {string} [options.sortPattern] - Expressão regular da ordenação regex
+ * @param {Object} [options.logger] - Logger para avisos da ordenação
+ * @returns {Promise<string[]>} Caminhos completos das imagens em ordem
+ */
+async function loadFolderImages(folderPath, options = {}) {
+  await validateFolder(folderPath);
+
+  const imageFiles = await readImageFiles(folderPath);
+  if (imageFiles.length === 0) {
+    throw new NoImagesError(`Nenhum arquivo de imagem encontrado na pasta: ${folderPath}`);
+  }
+
+  const archive = isArchivePath(folderPath);
+  const items = imageFiles.map(file => ({
+    name: file,
+    path: archive ? getArchiveEntryPath(folderPath, file) : path.join(folderPath, file)
+  }));
+  const imagePaths = (await sortImages(folderPath, items, options)).map(item => item.path);
+
+  // As entradas de ZIP/CBZ vieram do diretório central, não há o que conferir no disco
+  if (archive) {
+    return imagePaths;
+  }
+
+  // Valida se todos os arquivos existem
+  for (const imagePath of imagePaths) {
+    try {
+      await fsPromises.access(imagePath);
+    } catch (error) {
+      throw new SourceNotFoundError(`Arquivo não encontrado: ${imagePath}`, { cause: error });
+    }
+  }
+
+  return imagePaths;
+}
+
+/**
+ * Carrega as imagens de uma pasta junto com seus metadados (metadata.json / ComicInfo.xml),
+ * já sem as páginas que os metadados mandam pular
+ * @param {string} folderPath - Caminho da pasta
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sort] - Estratégia de ordenação (ver loadFolderImages)
+ * @param {string} [options.sortPattern] - Expressão regular da ordenação regex
+ * @param {boolean} [options.strict] - Falha com NumberingError se a numeração for irregular
+ * @param {string} [options.cover] - Nome da imagem usada como capa (ver selectCover)
+ * @param {Object} [options.logger] - Logger para avisos sobre os metadados
+ * @returns {Promise<{imagePaths: string[], skippedImages: string[], sidecar: (Object|null), pageOverrides: Map, warnings: string[]}>} Imagens (com a capa primeiro), imagens puladas pelos metadados, metadados, ajustes por página e avisos de numeração
+ */
+async function loadFolderContent(folderPath, options = {}) {
+  const folderImages = await loadFolderImages(folderPath, options);
+  const sidecar = await readSidecar(folderPath, options);
+  const kept = applySidecarPages(folderImages, sidecar);
+
+  if (kept.imagePaths.length === 0) {
+    throw new NoImagesError(`Todas as imagens da pasta foram marcadas para pular nos metadados: ${folderPath}`);
+  }
+
+  const { imagePaths, pageOverrides, cover } = selectCover(folderPath, kept.imagePaths, kept.pageOverrides, options);
+  // A capa fica fora da sequência numerada (cover.jpg não tem número)
+  const warnings = validateNumbering(folderPath, folderImages.filter(imagePath => imagePath !== cover), options);
+
+  const skippedImages = folderImages.filter(imagePath => !kept.imagePaths.includes(imagePath));
+  return { imagePaths, skippedImages, sidecar, pageOverrides, warnings };
+}
+
+/**
+ * Nome de uma imagem relativo à pasta de origem (com "/" nas subpastas de ZIP/CBZ)
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {string} imagePath - Caminho da imagem (ver loadFolderImages)
+ * @returns {string} Nome relativo
+ */
+function getRelativeName(folderPath, imagePath) {
+  return isArchivePath(folderPath) ? imagePath.slice(folderPath.length + 1) : path.basename(imagePath);
+}
+
+/**
+ * Escolhe a capa da pasta e a coloca como primeira página, marcada com cover.
+ * Ordem de preferência: a imagem informada em options.cover, a marcada como
+ * capa nos metadados da pasta (FrontCover) e um arquivo cover.* na pasta.
+ * Sem nenhuma delas, a primeira imagem continua sendo a capa.
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {string[]} imagePaths - Caminhos das imagens, em ordem
+ * @param {Map<string, Object>} pageOverrides - Ajustes por página (ver applySidecarPages)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.cover] - Nome do arquivo da capa (ou caminho dentro do ZIP/CBZ)
+ * @param {Object} [options.logger] - Logger para avisos
+ * @returns {{imagePaths: string[], pageOverrides: Map<string, Object>, cover: (string|null)}} Imagens reordenadas, ajustes e capa escolhida
+ */
+function selectCover(folderPath, imagePaths, pageOverrides, options = {}) {
+  const logger = resolveLogger(options);
+  const names = imagePaths.map(imagePath => getRelativeName(folderPath, imagePath));
+  let index = -1;
+
+  if (options.cover) {
+    const wanted = options.cover.toLowerCase();
+    index = names.findIndex(name => name.toLowerCase() === wanted || path.posix.basename(name).toLowerCase() === wanted);
+    if (index === -1) {
+      logger.warn(`   ⚠️ Capa ${options.cover} não encontrada em ${folderPath}`);
+    }
+  }
+  if (index === -1) {
+    index = imagePaths.findIndex(imagePath => pageOverrides.has(imagePath) && pageOverrides.get(imagePath).cover);
+  }
+  if (index === -1) {
+    index = names.findIndex(name => path.posix.basename(name, path.posix.extname(name)).toLowerCase() === 'cover');
+  }
+  if (index === -1) {
+    return { imagePaths, pageOverrides, cover: null };
+  }
+
+  const cover = imagePaths[index];
+  const overrides = new Map(pageOverrides);
+  overrides.set(cover, { ...overrides.get(cover), cover: true });
+
+  return {
+    imagePaths: [cover, ...imagePaths.filter(imagePath => imagePath !== cover)],
+    pageOverrides: overrides,
+    cover
+  };
+}
+
+/**
+ * Confere a numeração das imagens de uma pasta antes da conversão. Só vale
+ * para as ordenações que seguem os nomes (natural, numeric e regex).
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {string[]} imagePaths - Caminhos das imagens (ver loadFolderImages)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sort] - Estratégia de ordenação
+ * @param {string} [options.sortPattern] - Expressão regular da ordenação regex
+ * @param {boolean} [options.strict] - Lança NumberingError em vez de retornar os problemas
+ * @returns {string[]} Problemas encontrados (ver describeNumbering)
+ */
+function validateNumbering(folderPath, imagePaths, options = {}) {
+  if (!NAME_SORT_STRATEGIES.includes(resolveSortStrategy(options))) {
+    return [];
+  }
+
+  const files = imagePaths.map(imagePath => getRelativeName(folderPath, imagePath));
+  const problems = describeNumbering(checkNumbering(files, options));
+
+  if (options.strict && problems.length > 0) {
+    throw new NumberingError(`Numeração irregular em ${folderPath}: ${problems.join('; ')}`, { problems });
+  }
+  return problems;
+}
+
+/**
+ * Opções de ordenação de uma linha do CSV: as da linha prevalecem sobre as globais.
+ * Um padrão informado na linha sem estratégia vale como ordenação por regex.
+ * @param {Object} options - Opções globais
+ * @param {Object} [rowOptions] - Opções da linha
+ * @returns {{sort: (string|undefined), sortPattern: (string|undefined)}} Opções de ordenação
+ */
+function pickSortOptions(options, rowOptions = {}) {
+  if (rowOptions.sort || rowOptions.sortPattern) {
+    return { sort: rowOptions.sort, sortPattern: rowOptions.sortPattern || options.sortPattern };
+  }
+  return { sort: options.sort, sortPattern: options.sortPattern };
+}
+
+/**
+ * Coleta todas as imagens de todas as pastas listadas no CSV.
+ * Pastas com erro ou sem imagens são ignoradas e reportadas em `folders`.
+ * @param {Array} entries - Array de objetos com nome, caminho e options (opções da linha)
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sort] - Estratégia de ordenação global (a coluna sort da linha prevalece)
+ * @param {string} [options.sortPattern] - Expressão regular global da ordenação regex
+ * @param {boolean} [options.strict] - Pastas com numeração irregular interrompem a coleta (NumberingError) em vez de gerar avisos
+ * @param {Object} [options.logger] - Logger de progresso
+ * @returns {Promise<{images: Array, folders: Array}>} Imagens coletadas e situação de cada pasta
+ */
+async function collectAllImages(entries, options = {}) {
+  const logger = resolveLogger(options);
+  logger.log(`📋 Coletando imagens de ${entries.length} pasta(s)...\n`);
+
+  const images = [];
+  const folders = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const { nome, caminho, options: rowOptions } = entries[i];
+
+    logger.log(`📁 Processando pasta ${i + 1}/${entries.length}: ${nome}`);
+
+    try {
+      const { imagePaths, skippedImages, sidecar, pageOverrides, warnings } = await loadFolderContent(caminho, {
+        ...pickSortOptions(options, rowOptions),
+        strict: options.strict,
+        cover: (rowOptions && rowOptions.cover) || options.cover,
+        logger
+      });
+      logger.log(`   🖼️ Encontradas ${imagePaths.length} imagem(ns)`);
+
+      // Rótulo da seção em marcadores e sumários: coluna title, metadados da pasta ou nome
+      const folderOptions = withSidecarDefaults(rowOptions, sidecar);
+      const label = (rowOptions && rowOptions.title) || getSidecarLabel(sidecar) || nome;
+
+      // Cria objetos com informações das imagens
+      const imagesInfo = imagePaths.map((imagePath, index) => ({
+        path: imagePath,
+        filename: path.basename(imagePath),
+        folderName: nome,
+        folderLabel: label,
+        folderIndex: i + 1,
+        imageIndex: index + 1,
+        totalInFolder: imagePaths.length,
+        options: folderOptions,
+        ...pageOverrides.get(imagePath)
+      }));
+
+      images.push(...imagesInfo);
+      folders.push({ nome, caminho, status: 'success', imageCount: imagesInfo.length, skippedImages, warnings });
+      logger.log(`   ✅ ${imagesInfo.length} imagem(ns) adicionadas`);
+
+    } catch (error) {
+      if (error instanceof NoImagesError) {
+        logger.warn(`   ⚠️ Nenhuma imagem encontrada em: ${caminho}`);
+        folders.push({ nome, caminho, status: 'skipped', imageCount: 0, error });
+      } else {
+        logger.error(`   ❌ Erro ao processar pasta ${nome}: ${error.message}`);
+        folders.push({ nome, caminho, status: 'failed', imageCount: 0, error });
+      }
+      // Continua com a próxima pasta em caso de erro
+    }
+  }
+
+  // No modo estrito uma pasta irregular interrompe a fusão: o arquivo único ficaria com um buraco
+  const rejected = folders.filter(folder => folder.error instanceof NumberingError);
+  if (rejected.length > 0) {
+    const problems = rejected.flatMap(folder => folder.error.problems.map(problem => `${folder.nome}: ${problem}`));
+    throw new NumberingError(`Numeração irregular em ${rejected.length} pasta(s): ${problems.join('; ')}`, { problems });
+  }
+
+  if (images.length === 0) {
+    throw new NoImagesError('Nenhuma imagem foi encontrada em todas as pastas especificadas');
+  }
+
+  logger.log(`\n🎯 Total de imagens coletadas: ${images.length}`);
+  return { images, folders };
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  validateFolder,
+  readImageFiles,
+  sortFilesNumerically,
+  checkNumbering,
+  describeNumbering,
+  validateNumbering,
+  selectCover,
+  loadFolderImages,
+  loadFolderContent,
+  getRelativeName,
+  pickSortOptions,
+  collectAllImages
+};
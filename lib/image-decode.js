@@ -0,0 +1,123 @@
+const { decodeBmp } = require('./bmp');
+const { encodePng } = require('./png');
+const { readSourceFile } = require('./archive');
+const { ConversionError } = require('./errors');
+
+/**
+ * Formatos que o pdfkit embute diretamente
+ */
+const PDF_NATIVE_TYPES = ['jpg', 'png'];
+
+/**
+ * Qualidade JPEG usada ao converter WebP sem transparência
+ */
+const WEBP_JPEG_QUALITY = 92;
+
+let sharp;
+
+/**
+ * Carrega a dependência opcional sharp sob demanda
+ * @returns {(Function|null)} Módulo sharp ou null se não estiver instalado
+ */
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      sharp = null;
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Identifica o formato real da imagem pela assinatura do arquivo
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {(string|null)} jpg, png, gif, bmp, webp ou null
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (buffer.length >= 6 && buffer.toString('latin1', 0, 3) === 'GIF') return 'gif';
+  if (buffer.length >= 2 && buffer.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+      buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * Converte GIF ou WebP para PNG/JPEG usando o sharp.
+ * GIFs animados usam apenas o primeiro quadro.
+ * @param {Buffer} buffer - Conteúdo original
+ * @param {string} type - Formato original (gif, webp)
+ * @param {string} label - Identificação da imagem para mensagens de erro
+ * @returns {Promise<Buffer>} Imagem convertida
+ */
+async function convertWithSharp(buffer, type, label) {
+  const sharpModule = loadSharp();
+  if (!sharpModule) {
+    throw new ConversionError(
+      `Para usar imagens ${type.toUpperCase()} instale a dependência opcional "sharp" (npm install sharp): ${label}`
+    );
+  }
+
+  const pipeline = sharpModule(buffer, { animated: false });
+  const metadata = await pipeline.metadata();
+
+  // WebP sem transparência costuma ser foto: JPEG mantém o arquivo pequeno
+  if (type === 'webp' && !metadata.hasAlpha) {
+    return pipeline.jpeg({ quality: WEBP_JPEG_QUALITY }).toBuffer();
+  }
+  return pipeline.png().toBuffer();
+}
+
+/**
+ * Carrega uma imagem em um formato que o pdfkit consegue embutir (JPEG ou PNG).
+ * BMP é decodificado em JavaScript puro; GIF e WebP usam o sharp.
+ * @param {string} imagePath - Caminho da imagem (ou de uma entrada de ZIP/CBZ)
+ * @returns {Promise<{data: Buffer, type: string, originalType: string, converted: boolean}>} Imagem pronta para o PDF
+ */
+async function loadPdfImage(imagePath) {
+  let buffer;
+  try {
+    buffer = await readSourceFile(imagePath);
+  } catch (error) {
+    throw new ConversionError(`Erro ao ler imagem ${imagePath}: ${error.message}`, { cause: error });
+  }
+
+  if (buffer.length === 0) {
+    throw new ConversionError(`Arquivo de imagem vazio: ${imagePath}`);
+  }
+
+  const originalType = detectImageType(buffer);
+  if (!originalType) {
+    throw new ConversionError(`Formato de imagem não reconhecido: ${imagePath}`);
+  }
+
+  let data = buffer;
+
+  try {
+    if (originalType === 'bmp') {
+      data = encodePng(decodeBmp(buffer));
+    } else if (!PDF_NATIVE_TYPES.includes(originalType)) {
+      data = await convertWithSharp(buffer, originalType, imagePath);
+    }
+  } catch (error) {
+    if (error instanceof ConversionError && error.message.includes(imagePath)) throw error;
+    throw new ConversionError(`Erro ao converter ${imagePath}: ${error.message}`, { cause: error });
+  }
+
+  return {
+    data,
+    type: detectImageType(data),
+    originalType,
+    converted: data !== buffer
+  };
+}
+
+module.exports = {
+  PDF_NATIVE_TYPES,
+  detectImageType,
+  loadSharp,
+  loadPdfImage
+};
@@ -0,0 +1,167 @@
+const { readJpegExif, TAGS } = require('./exif');
+const { ConversionError } = require('./errors');
+const { readSourceFile } = require('./archive');
+
+/**
+ * Quantidade de bytes lidos do início do arquivo para obter dimensões e DPI
+ */
+const HEADER_SIZE = 512 * 1024;
+
+/**
+ * Polegadas por metro e por centímetro, para converter densidades em DPI
+ */
+const INCHES_PER_METER = 0.0254;
+const CM_PER_INCH = 2.54;
+
+let imageSize;
+
+/**
+ * Carrega a dependência opcional image-size sob demanda
+ * @returns {Function} Função imageSize
+ */
+function loadImageSize() {
+  if (imageSize === undefined) {
+    try {
+      imageSize = require('image-size');
+    } catch (error) {
+      imageSize = null;
+    }
+  }
+
+  if (!imageSize) {
+    throw new ConversionError(
+      'A dependência opcional "image-size" não está instalada. Execute: npm install image-size'
+    );
+  }
+
+  return imageSize;
+}
+
+/**
+ * Lê o DPI declarado no chunk pHYs de um PNG
+ * @param {Buffer} buffer - Início do arquivo PNG
+ * @returns {({x: number, y: number}|null)} DPI horizontal e vertical
+ */
+function readPngDpi(buffer) {
+  let offset = 8;
+
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (type === 'IDAT' || type === 'IEND') break;
+
+    // pHYs: pixels por unidade em X e Y + unidade (1 = metro)
+    if (type === 'pHYs' && length >= 9 && offset + 17 <= buffer.length) {
+      const unit = buffer[offset + 16];
+      if (unit !== 1) return null;
+      return {
+        x: buffer.readUInt32BE(offset + 8) * INCHES_PER_METER,
+        y: buffer.readUInt32BE(offset + 12) * INCHES_PER_METER
+      };
+    }
+
+    offset += 12 + length;
+  }
+
+  return null;
+}
+
+/**
+ * Lê o DPI declarado em um JPEG (JFIF ou, na falta dele, EXIF)
+ * @param {Buffer} buffer - Início do arquivo JPEG
+ * @returns {({x: number, y: number}|null)} DPI horizontal e vertical
+ */
+function readJpegDpi(buffer) {
+  // Segmento APP0 JFIF, quando presente, vem logo após o SOI
+  if (buffer.length >= 18 && buffer[2] === 0xff && buffer[3] === 0xe0 &&
+      buffer.toString('latin1', 6, 11) === 'JFIF\0') {
+    const units = buffer[13];
+    const x = buffer.readUInt16BE(14);
+    const y = buffer.readUInt16BE(16);
+
+    // units: 0 = apenas proporção, 1 = pontos por polegada, 2 = pontos por centímetro
+    if (units === 1 && x && y) return { x, y };
+    if (units === 2 && x && y) return { x: x * CM_PER_INCH, y: y * CM_PER_INCH };
+  }
+
+  const tags = readJpegExif(buffer);
+  if (tags) {
+    const x = tags.ifd0.get(TAGS.X_RESOLUTION);
+    const y = tags.ifd0.get(TAGS.Y_RESOLUTION);
+    const unit = tags.ifd0.get(TAGS.RESOLUTION_UNIT) || 2;
+
+    if (x && y) {
+      // unit: 2 = polegada, 3 = centímetro
+      return unit === 3 ? { x: x * CM_PER_INCH, y: y * CM_PER_INCH } : { x, y };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lê o DPI embutido na imagem, quando o formato o informa
+ * @param {Buffer} buffer - Início do arquivo
+ * @param {string} type - Tipo detectado (jpg, png, ...)
+ * @returns {({x: number, y: number}|null)} DPI horizontal e vertical
+ */
+function readDpi(buffer, type) {
+  try {
+    if (type === 'png') return readPngDpi(buffer);
+    if (type === 'jpg') return readJpegDpi(buffer);
+  } catch (error) {
+    // Metadados corrompidos não impedem o uso da imagem
+  }
+  return null;
+}
+
+/**
+ * Lê o início de um arquivo de imagem
+ * @param {string} imagePath - Caminho da imagem (ou de uma entrada de ZIP/CBZ)
+ * @returns {Promise<Buffer>} Bytes iniciais do arquivo
+ */
+async function readHeader(imagePath) {
+  const buffer = await readSourceFile(imagePath, { maxBytes: HEADER_SIZE });
+  if (buffer.length === 0) {
+    throw new ConversionError(`Arquivo de imagem vazio: ${imagePath}`);
+  }
+  return buffer;
+}
+
+/**
+ * Obtém as dimensões reais e o DPI embutido de uma imagem
+ * @param {(string|Buffer)} source - Caminho da imagem ou seu conteúdo
+ * @param {string} [label] - Identificação da imagem nas mensagens de erro
+ * @returns {Promise<{width: number, height: number, type: string, dpi: ({x: number, y: number}|null)}>} Informações da imagem
+ */
+async function getImageInfo(source, label = typeof source === 'string' ? source : 'buffer') {
+  const sizeOf = loadImageSize();
+
+  let buffer;
+  try {
+    buffer = typeof source === 'string' ? await readHeader(source) : source;
+  } catch (error) {
+    if (error instanceof ConversionError) throw error;
+    throw new ConversionError(`Erro ao processar imagem ${label}: ${error.message}`, { cause: error });
+  }
+
+  let size;
+  try {
+    size = sizeOf(buffer);
+  } catch (error) {
+    throw new ConversionError(`Erro ao ler dimensões de ${label}: ${error.message}`, { cause: error });
+  }
+
+  return {
+    width: size.width,
+    height: size.height,
+    type: size.type,
+    dpi: readDpi(buffer, size.type)
+  };
+}
+
+module.exports = {
+  getImageInfo,
+  readDpi
+};
@@ -0,0 +1,322 @@
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Pontos PDF por polegada
+ */
+const POINTS_PER_INCH = 72;
+
+/**
+ * Pontos PDF por unidade de medida aceita em tamanhos e margens
+ */
+const UNITS = {
+  mm: POINTS_PER_INCH / 25.4,
+  cm: POINTS_PER_INCH / 2.54,
+  in: POINTS_PER_INCH,
+  pt: 1
+};
+
+/**
+ * Tamanhos de página nomeados, em pontos (retrato)
+ */
+const PAGE_SIZES = {
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+
+/**
+ * Orientações aceitas:
+ * - portrait: sempre retrato
+ * - landscape: sempre paisagem
+ * - auto: segue a orientação de cada imagem
+ */
+const ORIENTATIONS = ['portrait', 'landscape', 'auto'];
+
+/**
+ * Estratégias de encaixe da imagem na área útil da página:
+ * - contain: cabe inteira, mantendo a proporção (padrão)
+ * - cover: preenche toda a área, recortando o excedente
+ * - stretch: preenche toda a área, distorcendo se necessário
+ * - actual: tamanho real conforme o DPI, centralizada e recortada se não couber
+ */
+const FIT_MODES = ['contain', 'cover', 'stretch', 'actual'];
+
+/**
+ * Sentidos de leitura: ltr (esquerda para direita, padrão) ou rtl (direita para esquerda, mangás)
+ */
+const DIRECTIONS = ['ltr', 'rtl'];
+
+/**
+ * Layout padrão, equivalente ao comportamento histórico
+ */
+const DEFAULT_LAYOUT = {
+  pageSize: { mode: 'fixed', name: 'letter', width: PAGE_SIZES.letter[0], height: PAGE_SIZES.letter[1] },
+  orientation: 'portrait',
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+  fit: 'contain',
+  dpi: POINTS_PER_INCH,
+  useEmbeddedDpi: false
+};
+
+/**
+ * Converte uma medida com unidade opcional (padrão: mm) em pontos
+ * @param {string} value - Medida (ex.: 10, 10mm, 0.5in, 36pt)
+ * @param {string} label - Nome do campo, usado na mensagem de erro
+ * @returns {number} Medida em pontos
+ */
+function parseLength(value, label) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(mm|cm|in|pt)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new InvalidArgumentError(`${label} inválido: "${value}" (ex.: 10, 10mm, 1cm, 0.5in, 36pt)`);
+  }
+  return Number(match[1]) * UNITS[(match[2] || 'mm').toLowerCase()];
+}
+
+/**
+ * Valida e normaliza o tamanho de página.
+ * Aceita "image" (página do tamanho da imagem), um nome (A3, A4, A5, Letter, Legal)
+ * ou um tamanho personalizado LARGURAxALTURA com unidade opcional (padrão: mm), ex.: 148x210mm
+ * @param {(string|Object)} [value] - Valor informado (padrão: letter)
+ * @returns {Object} Descritor { mode: 'image' } ou { mode: 'fixed', name, width, height }
+ */
+function parsePageSize(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+
+  const text = String(value || 'letter').trim().toLowerCase();
+
+  if (text === 'image') {
+    return { mode: 'image', name: 'image' };
+  }
+
+  if (PAGE_SIZES[text]) {
+    const [width, height] = PAGE_SIZES[text];
+    return { mode: 'fixed', name: text, width, height };
+  }
+
+  const custom = /^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*(mm|cm|in|pt)?$/.exec(text);
+  if (custom) {
+    const unit = UNITS[custom[3] || 'mm'];
+    const width = Number(custom[1]) * unit;
+    const height = Number(custom[2]) * unit;
+    if (width > 0 && height > 0) {
+      return { mode: 'fixed', name: text, width, height };
+    }
+  }
+
+  throw new InvalidArgumentError(
+    `Tamanho de página inválido: "${value}". Use image, ${Object.keys(PAGE_SIZES).join(', ')} ou LARGURAxALTURA (ex.: 148x210mm)`
+  );
+}
+
+/**
+ * Valida a orientação da página
+ * @param {string} [value] - Valor informado (padrão: portrait)
+ * @returns {string} Orientação normalizada
+ */
+function parseOrientation(value) {
+  const orientation = String(value || 'portrait').trim().toLowerCase();
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new InvalidArgumentError(
+      `Orientação inválida: "${value}". Valores aceitos: ${ORIENTATIONS.join(', ')}`
+    );
+  }
+  return orientation;
+}
+
+/**
+ * Valida e normaliza o sentido de leitura
+ * @param {string} [value] - Valor informado (padrão: ltr)
+ * @returns {string} Sentido normalizado
+ */
+function parseDirection(value) {
+  const direction = String(value || 'ltr').trim().toLowerCase();
+  if (!DIRECTIONS.includes(direction)) {
+    throw new InvalidArgumentError(
+      `Sentido de leitura inválido: "${value}". Valores aceitos: ${DIRECTIONS.join(', ')}`
+    );
+  }
+  return direction;
+}
+
+/**
+ * Valida e normaliza as margens, no mesmo formato do CSS:
+ * "10" (todas), "10,20" (vertical, horizontal) ou "10,20,10,20" (topo, direita, base, esquerda).
+ * Cada valor aceita unidade opcional (padrão: mm).
+ * @param {(string|number|Object)} [value] - Valor informado (padrão: 0)
+ * @returns {{top: number, right: number, bottom: number, left: number}} Margens em pontos
+ */
+function parseMargins(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+
+  const parts = String(value === undefined ? 0 : value).split(',').map(part => parseLength(part, 'Margem'));
+
+  switch (parts.length) {
+    case 1:
+      return { top: parts[0], right: parts[0], bottom: parts[0], left: parts[0] };
+    case 2:
+      return { top: parts[0], right: parts[1], bottom: parts[0], left: parts[1] };
+    case 4:
+      return { top: parts[0], right: parts[1], bottom: parts[2], left: parts[3] };
+    default:
+      throw new InvalidArgumentError(`Margem inválida: "${value}" (use 1, 2 ou 4 valores separados por vírgula)`);
+  }
+}
+
+/**
+ * Valida a estratégia de encaixe da imagem
+ * @param {string} [value] - Valor informado (padrão: contain)
+ * @returns {string} Estratégia normalizada
+ */
+function parseFit(value) {
+  const fit = String(value || 'contain').trim().toLowerCase();
+  if (!FIT_MODES.includes(fit)) {
+    throw new InvalidArgumentError(`Encaixe inválido: "${value}". Valores aceitos: ${FIT_MODES.join(', ')}`);
+  }
+  return fit;
+}
+
+/**
+ * Valida um DPI informado pelo usuário
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} DPI
+ */
+function parseDpi(value) {
+  const dpi = Number(value);
+  if (!Number.isFinite(dpi) || dpi <= 0) {
+    throw new InvalidArgumentError(`DPI inválido: "${value}" (esperado um número positivo)`);
+  }
+  return dpi;
+}
+
+/**
+ * Combina as opções informadas com o layout padrão, validando cada campo
+ * @param {Object} [options] - Opções (pageSize, orientation, margin, fit, dpi, useEmbeddedDpi)
+ * @returns {Object} Layout completo e normalizado
+ */
+function resolveLayout(options = {}) {
+  return {
+    pageSize: options.pageSize !== undefined ? parsePageSize(options.pageSize) : DEFAULT_LAYOUT.pageSize,
+    orientation: options.orientation !== undefined ? parseOrientation(options.orientation) : DEFAULT_LAYOUT.orientation,
+    margins: options.margin !== undefined ? parseMargins(options.margin) : DEFAULT_LAYOUT.margins,
+    fit: options.fit !== undefined ? parseFit(options.fit) : DEFAULT_LAYOUT.fit,
+    dpi: options.dpi !== undefined ? parseDpi(options.dpi) : DEFAULT_LAYOUT.dpi,
+    useEmbeddedDpi: Boolean(options.useEmbeddedDpi)
+  };
+}
+
+/**
+ * Calcula o tamanho natural da imagem em pontos, conforme o DPI
+ * @param {Object} info - Informações da imagem (ver getImageInfo)
+ * @param {Object} layout - Layout resolvido
+ * @returns {number[]} Largura e altura em pontos
+ */
+function computeImagePageSize(info, layout) {
+  const fallback = layout.dpi || POINTS_PER_INCH;
+  const dpi = layout.useEmbeddedDpi && info.dpi ? info.dpi : { x: fallback, y: fallback };
+
+  return [
+    (info.width * POINTS_PER_INCH) / dpi.x,
+    (info.height * POINTS_PER_INCH) / dpi.y
+  ];
+}
+
+/**
+ * Calcula o tamanho da página e a posição da imagem nela
+ * @param {Object} info - Informações da imagem (ver getImageInfo)
+ * @param {Object} layout - Layout resolvido (ver resolveLayout)
+ * @returns {{pageWidth: number, pageHeight: number, x: number, y: number, width: number, height: number, clip: (Object|null)}} Posicionamento em pontos
+ */
+function computePlacement(info, layout) {
+  const { margins } = layout;
+  const [naturalWidth, naturalHeight] = computeImagePageSize(info, layout);
+
+  // Página do tamanho da imagem: a imagem ocupa exatamente a área útil
+  if (layout.pageSize.mode === 'image') {
+    return {
+      pageWidth: naturalWidth + margins.left + margins.right,
+      pageHeight: naturalHeight + margins.top + margins.bottom,
+      x: margins.left,
+      y: margins.top,
+      width: naturalWidth,
+      height: naturalHeight,
+      clip: null
+    };
+  }
+
+  const shortSide = Math.min(layout.pageSize.width, layout.pageSize.height);
+  const longSide = Math.max(layout.pageSize.width, layout.pageSize.height);
+  const landscape = layout.orientation === 'landscape' ||
+    (layout.orientation === 'auto' && info.width > info.height);
+
+  const pageWidth = landscape ? longSide : shortSide;
+  const pageHeight = landscape ? shortSide : longSide;
+
+  const box = {
+    x: margins.left,
+    y: margins.top,
+    width: Math.max(pageWidth - margins.left - margins.right, 1),
+    height: Math.max(pageHeight - margins.top - margins.bottom, 1)
+  };
+
+  let width;
+  let height;
+
+  switch (layout.fit) {
+    case 'stretch':
+      width = box.width;
+      height = box.height;
+      break;
+    case 'actual':
+      width = naturalWidth;
+      height = naturalHeight;
+      break;
+    case 'cover': {
+      const scale = Math.max(box.width / info.width, box.height / info.height);
+      width = info.width * scale;
+      height = info.height * scale;
+      break;
+    }
+    default: {
+      const scale = Math.min(box.width / info.width, box.height / info.height);
+      width = info.width * scale;
+      height = info.height * scale;
+    }
+  }
+
+  // Centraliza na área útil; o que passar dela é recortado
+  const overflows = width > box.width + 0.01 || height > box.height + 0.01;
+
+  return {
+    pageWidth,
+    pageHeight,
+    x: box.x + (box.width - width) / 2,
+    y: box.y + (box.height - height) / 2,
+    width,
+    height,
+    clip: overflows ? box : null
+  };
+}
+
+module.exports = {
+  POINTS_PER_INCH,
+  PAGE_SIZES,
+  ORIENTATIONS,
+  FIT_MODES,
+  DIRECTIONS,
+  DEFAULT_LAYOUT,
+  parsePageSize,
+  parseOrientation,
+  parseDirection,
+  parseMargins,
+  parseFit,
+  parseDpi,
+  resolveLayout,
+  computeImagePageSize,
+  computePlacement
+};
@@ -0,0 +1,46 @@
+/**
+ * Logger que descarta todas as mensagens. É o padrão da API
+ * programática; a CLI passa `console` para manter a saída no terminal.
+ */
+const silentLogger = {
+  log() {},
+  warn() {},
+  error() {}
+};
+
+/**
+ * Retorna o logger informado nas opções ou o logger silencioso
+ * @param {Object} [options] - Opções recebidas pela função da API
+ * @returns {{log: Function, warn: Function, error: Function}} Logger
+ */
+function resolveLogger(options = {}) {
+  return options.logger || silentLogger;
+}
+
+/**
+ * Cria um logger que identifica cada linha com um prefixo (ex.: "[3/40 Cap 03]"),
+ * para que mensagens de tarefas simultâneas continuem legíveis. O recuo e as
+ * quebras de linha iniciais das mensagens são descartados.
+ * @param {Object} logger - Logger de destino
+ * @param {string} prefix - Prefixo das linhas
+ * @returns {{log: Function, warn: Function, error: Function}} Logger
+ */
+function createPrefixedLogger(logger, prefix) {
+  const write = level => message => {
+    for (const line of String(message).replace(/^\s+/, '').split('\n')) {
+      logger[level](`${prefix} ${line}`);
+    }
+  };
+
+  return {
+    log: write('log'),
+    warn: write('warn'),
+    error: write('error')
+  };
+}
+
+module.exports = {
+  silentLogger,
+  resolveLogger,
+  createPrefixedLogger
+};
@@ -0,0 +1,218 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { resolveLogger } = require('./logger');
+const { getSourceStats } = require('./archive');
+
+/**
+ * Arquivo, na pasta de saída, que registra como cada arquivo foi gerado
+ */
+const MANIFEST_FILE = '.images-batch-manifest.json';
+
+/**
+ * Versão do formato do registro; registros de outras versões são descartados
+ */
+const MANIFEST_VERSION = 1;
+
+/**
+ * Opções que não mudam o conteúdo do arquivo gerado e ficam fora da comparação
+ */
+const IGNORED_OPTIONS = [
+  'logger', 'manifest', 'force', 'dryRun', 'report', 'concurrency', 'strict',
+  'quiet', 'help', 'csv', 'output', 'outDir', 'outputDir'
+];
+
+/**
+ * Serializa um valor em JSON com as chaves dos objetos em ordem alfabética,
+ * para que a mesma configuração gere sempre o mesmo texto
+ * @param {*} value - Valor
+ * @returns {string} JSON
+ */
+function stableStringify(value) {
+  if (value instanceof Map) {
+    return stableStringify([...value]);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Resumo (hash) das configurações que definem o conteúdo do arquivo gerado
+ * @param {Object} settings - Formato, título, opções e demais dados da geração
+ * @returns {string} Hash SHA-1
+ */
+function hashSettings(settings) {
+  const relevant = { ...settings };
+  for (const name of IGNORED_OPTIONS) {
+    delete relevant[name];
+  }
+  return crypto.createHash('sha1').update(stableStringify(relevant)).digest('hex');
+}
+
+/**
+ * Chave de um arquivo gerado no registro: caminho relativo à pasta de saída
+ * @param {string} outputDir - Pasta de saída (onde fica o registro)
+ * @param {string} outputPath - Caminho do arquivo gerado
+ * @returns {string} Chave
+ */
+function getManifestKey(outputDir, outputPath) {
+  return path.relative(path.resolve(outputDir), path.resolve(outputPath)).split(path.sep).join('/');
+}
+
+/**
+ * Lê o registro de gerações da pasta de saída. Um registro ausente, ilegível
+ * ou de outra versão equivale a um registro vazio (tudo é gerado de novo).
+ * @param {string} outputDir - Pasta de saída
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger para avisos
+ * @returns {Promise<{version: number, outputs: Object}>} Registro
+ */
+async function readManifest(outputDir, options = {}) {
+  const logger = resolveLogger(options);
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+
+  let content;
+  try {
+    content = await fsPromises.readFile(manifestPath, 'utf8');
+  } catch (error) {
+    return { version: MANIFEST_VERSION, outputs: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(content);
+    if (manifest.version === MANIFEST_VERSION && manifest.outputs && typeof manifest.outputs === 'object') {
+      return manifest;
+    }
+  } catch (error) {
+    logger.warn(`⚠️ Registro de gerações inválido, os arquivos serão gerados de novo: ${manifestPath}`);
+  }
+  return { version: MANIFEST_VERSION, outputs: {} };
+}
+
+/**
+ * Grava o registro de gerações na pasta de saída (via arquivo temporário,
+ * para não deixar um registro pela metade)
+ * @param {string} outputDir - Pasta de saída
+ * @param {Object} manifest - Registro
+ * @returns {Promise<void>}
+ */
+async function writeManifest(outputDir, manifest) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  const tempPath = `${manifestPath}.${process.pid}.tmp`;
+
+  await fsPromises.mkdir(outputDir, { recursive: true });
+  await fsPromises.writeFile(tempPath, `${JSON.stringify(manifest, null, 2)}\n`);
+  await fsPromises.rename(tempPath, manifestPath);
+}
+
+/**
+ * Identifica uma geração: as imagens de origem (tamanho e data de
+ * modificação, na ordem das páginas) e o hash das configurações
+ * @param {string[]} imagePaths - Imagens, na ordem das páginas
+ * @param {Object} settings - Formato, título, opções e demais dados da geração
+ * @returns {Promise<{sources: Array<{path: string, size: number, mtime: number}>, settings: string}>} Identificação
+ */
+async function createFingerprint(imagePaths, settings) {
+  const sources = [];
+  for (const imagePath of imagePaths) {
+    const { size, mtime } = await getSourceStats(imagePath);
+    sources.push({ path: path.resolve(imagePath), size, mtime });
+  }
+  return { sources, settings: hashSettings(settings) };
+}
+
+/**
+ * Descreve o que mudou nas imagens desde a geração anterior
+ * @param {Array} previous - Imagens registradas
+ * @param {Array} current - Imagens atuais
+ * @returns {(string|null)} Descrição, ou null se nada mudou
+ */
+function describeSourceChanges(previous, current) {
+  const before = new Map(previous.map(source => [source.path, source]));
+  const after = new Map(current.map(source => [source.path, source]));
+
+  const added = current.filter(source => !before.has(source.path)).length;
+  const removed = previous.filter(source => !after.has(source.path)).length;
+  const changed = current.filter(source => {
+    const old = before.get(source.path);
+    return old && (old.size !== source.size || old.mtime !== source.mtime);
+  }).length;
+
+  const changes = [];
+  if (added > 0) changes.push(`${added} imagem(ns) nova(s)`);
+  if (removed > 0) changes.push(`${removed} imagem(ns) removida(s)`);
+  if (changed > 0) changes.push(`${changed} imagem(ns) alterada(s)`);
+  if (changes.length > 0) {
+    return changes.join(', ');
+  }
+
+  const reordered = previous.some((source, index) => !current[index] || source.path !== current[index].path);
+  return reordered ? 'ordem das imagens alterada' : null;
+}
+
+/**
+ * Motivo para gerar o arquivo de novo, comparando a geração atual com a registrada
+ * @param {(Object|undefined)} previous - Registro da geração anterior
+ * @param {Object} fingerprint - Identificação da geração atual (ver createFingerprint)
+ * @param {string} outputPath - Caminho do arquivo gerado
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.force] - Gera de novo mesmo sem mudanças
+ * @returns {Promise<(string|null)>} Motivo, ou null se o arquivo está atualizado
+ */
+async function getRebuildReason(previous, fingerprint, outputPath, options = {}) {
+  if (options.force) {
+    return 'geração forçada com --force';
+  }
+  if (!previous) {
+    return 'sem geração anterior registrada';
+  }
+
+  let output;
+  try {
+    output = await fsPromises.stat(outputPath);
+  } catch (error) {
+    return 'arquivo de saída não encontrado';
+  }
+  if (!previous.output || output.size !== previous.output.size || output.mtimeMs !== previous.output.mtime) {
+    return 'arquivo de saída modificado fora do images-batch';
+  }
+
+  if (previous.settings !== fingerprint.settings) {
+    return 'opções ou metadados alterados';
+  }
+  return describeSourceChanges(previous.sources || [], fingerprint.sources);
+}
+
+/**
+ * Monta o registro de uma geração concluída
+ * @param {Object} fingerprint - Identificação da geração (ver createFingerprint)
+ * @param {string} outputPath - Caminho do arquivo gerado
+ * @param {number} pageCount - Páginas do arquivo gerado
+ * @returns {Promise<Object>} Registro
+ */
+async function createBuildRecord(fingerprint, outputPath, pageCount) {
+  const output = await fsPromises.stat(outputPath);
+  return {
+    builtAt: new Date().toISOString(),
+    pageCount,
+    output: { size: output.size, mtime: output.mtimeMs },
+    settings: fingerprint.settings,
+    sources: fingerprint.sources
+  };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  getManifestKey,
+  readManifest,
+  writeManifest,
+  createFingerprint,
+  getRebuildReason,
+  createBuildRecord
+};
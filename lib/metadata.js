@@ -0,0 +1,169 @@
+const { InvalidArgumentError } = require('./errors');
+
+/**
+ * Idioma padrão dos documentos gerados
+ */
+const DEFAULT_LANGUAGE = 'pt-BR';
+
+/**
+ * Separa uma lista de autores escrita como "Autor 1 & Autor 2" (mesmo formato do Calibre)
+ * @param {(string|string[])} value - Valor informado
+ * @returns {string[]} Autores, sem espaços extras
+ */
+function parseAuthors(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split('&'))
+    .map(author => author.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Separa uma lista de palavras-chave escrita como "ação, aventura, fantasia"
+ * @param {(string|string[])} value - Valor informado
+ * @returns {string[]} Palavras-chave, sem espaços extras
+ */
+function parseKeywords(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Valida um código de idioma BCP 47 simples (ex.: pt-BR, en, ja)
+ * @param {string} value - Valor informado
+ * @returns {string} Código do idioma
+ */
+function parseLanguage(value) {
+  const language = String(value).trim();
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language)) {
+    throw new InvalidArgumentError(`Idioma inválido: "${value}" (use um código como pt-BR, en ou ja)`);
+  }
+  return language;
+}
+
+/**
+ * Valida a posição do volume na série (aceita frações, ex.: 1.5)
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Posição na série
+ */
+function parseSeriesIndex(value) {
+  const index = Number(String(value).trim().replace(',', '.'));
+  if (String(value).trim() === '' || !Number.isFinite(index) || index < 0) {
+    throw new InvalidArgumentError(`Número na série inválido: "${value}" (esperado um número maior ou igual a zero)`);
+  }
+  return index;
+}
+
+/**
+ * Valida uma data no formato AAAA, AAAA-MM ou AAAA-MM-DD
+ * @param {string} value - Valor informado
+ * @returns {string} Data normalizada
+ */
+function parseDate(value) {
+  const text = String(value).trim();
+  const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(text);
+  if (!match) {
+    throw new InvalidArgumentError(`Data inválida: "${value}" (use AAAA, AAAA-MM ou AAAA-MM-DD)`);
+  }
+
+  const [, year, month = '01', day = '01'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    throw new InvalidArgumentError(`Data inválida: "${value}"`);
+  }
+  return text;
+}
+
+/**
+ * Converte uma data AAAA[-MM[-DD]] em Date (UTC)
+ * @param {string} value - Data validada por parseDate
+ * @returns {Date} Data
+ */
+function toDate(value) {
+  const [year, month = 1, day = 1] = value.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Escreve uma data AAAA[-MM[-DD]] por extenso no idioma do documento
+ * (ex.: "março de 2024", "5 de março de 2024")
+ * @param {string} value - Data validada por parseDate
+ * @param {string} [language] - Idioma (padrão: pt-BR)
+ * @returns {string} Data por extenso
+ */
+function formatDisplayDate(value, language = DEFAULT_LANGUAGE) {
+  const parts = value.split('-');
+  const format = { timeZone: 'UTC', year: 'numeric' };
+  if (parts.length > 1) format.month = 'long';
+  if (parts.length > 2) format.day = 'numeric';
+
+  try {
+    return new Intl.DateTimeFormat(language, format).format(toDate(value));
+  } catch (error) {
+    // Idioma desconhecido pelo Intl: mantém a data como informada
+    return value;
+  }
+}
+
+/**
+ * Reúne os metadados do documento a partir das opções, validando os valores
+ * (a API programática pode recebê-los sem passar pela CLI)
+ * @param {Object} options - Opções (title, author, language, publisher, rights, series, seriesIndex, subject, keywords, description, date)
+ * @param {string} [title] - Título usado quando options.title não foi informado
+ * @returns {Object} Metadados normalizados; campos ausentes ficam undefined e authors/keywords vazios
+ */
+function resolveMetadata(options = {}, title) {
+  return {
+    title: options.title || title,
+    authors: options.author ? parseAuthors(options.author) : [],
+    language: options.language ? parseLanguage(options.language) : DEFAULT_LANGUAGE,
+    publisher: options.publisher || undefined,
+    rights: options.rights || undefined,
+    series: options.series || undefined,
+    seriesIndex: options.seriesIndex !== undefined ? parseSeriesIndex(options.seriesIndex) : undefined,
+    subject: options.subject || undefined,
+    keywords: options.keywords ? parseKeywords(options.keywords) : [],
+    description: options.description || undefined,
+    date: options.date ? parseDate(options.date) : undefined
+  };
+}
+
+/**
+ * Monta o dicionário Info do PDF a partir dos metadados.
+ * Série, editora, direitos e descrição não têm chave padrão e vão como chaves próprias;
+ * o idioma não entra aqui, e sim no /Lang do catálogo (opção lang do pdfkit).
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @returns {Object} Entradas do dicionário Info
+ */
+function toPdfInfo(metadata) {
+  const info = {
+    Title: metadata.title,
+    Author: metadata.authors.length > 0 ? metadata.authors.join(', ') : undefined,
+    Subject: metadata.subject || metadata.description,
+    Keywords: metadata.keywords.length > 0 ? metadata.keywords.join(', ') : undefined,
+    Creator: 'Images Batch PDF',
+    CreationDate: metadata.date ? toDate(metadata.date) : undefined,
+    Publisher: metadata.publisher,
+    Rights: metadata.rights,
+    Series: metadata.series,
+    SeriesIndex: metadata.seriesIndex !== undefined ? String(metadata.seriesIndex) : undefined,
+    Description: metadata.subject ? metadata.description : undefined
+  };
+
+  return Object.fromEntries(Object.entries(info).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  parseAuthors,
+  parseKeywords,
+  parseLanguage,
+  parseSeriesIndex,
+  parseDate,
+  formatDisplayDate,
+  resolveMetadata,
+  toPdfInfo
+};
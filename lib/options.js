@@ -0,0 +1,248 @@
+const { InvalidArgumentError } = require('./errors');
+const { parsePageSize, parseOrientation, parseMargins, parseFit, parseDpi, parseDirection } = require('./layout');
+const { parseAuthors, parseKeywords, parseLanguage, parseSeriesIndex, parseDate } = require('./metadata');
+const { SORT_STRATEGIES, parseSortStrategy, parseSortPattern } = require('./sort');
+const { parseConcurrency } = require('./parallel');
+const { parseMaxPixels, parseJpegQuality, parseTargetDpi } = require('./compress');
+const { COLOR_MODES, parseColorMode, parseThreshold } = require('./color');
+const { DEFAULT_TRIM_TOLERANCE, parseTrimTolerance } = require('./trim');
+
+/**
+ * Converte o nome longo de uma opção (ex.: page-size) para camelCase (pageSize)
+ * @param {string} name - Nome da opção
+ * @returns {string} Nome em camelCase
+ */
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Interpreta um valor booleano escrito em uma célula do CSV
+ * @param {string} value - Valor informado (sim/não, true/false, 1/0)
+ * @returns {boolean} Valor booleano
+ */
+function parseBoolean(value) {
+  const text = String(value).trim().toLowerCase();
+  if (['1', 'true', 'sim', 's', 'yes', 'y'].includes(text)) return true;
+  if (['0', 'false', 'não', 'nao', 'n', 'no'].includes(text)) return false;
+  throw new InvalidArgumentError(`Valor booleano inválido: "${value}" (use sim/não, true/false ou 1/0)`);
+}
+
+/**
+ * Opções de layout das páginas do PDF
+ */
+const PDF_LAYOUT_OPTIONS = [
+  { name: 'page-size', type: 'string', valueName: 'tamanho', parse: parsePageSize, description: 'Tamanho da página: image (cada página no tamanho da sua imagem), a3, a4, a5, letter (padrão; imagens de outra proporção ficam com faixas brancas), legal ou LARGURAxALTURA em mm (ex.: 148x210)' },
+  { name: 'orientation', type: 'string', valueName: 'modo', parse: parseOrientation, description: 'Orientação: portrait (padrão), landscape ou auto (segue cada imagem)' },
+  { name: 'margin', type: 'string', valueName: 'medidas', parse: parseMargins, description: 'Margens em mm: 10, 10,20 ou 10,20,10,20 (aceita sufixo mm, cm, in, pt)' },
+  { name: 'fit', type: 'string', valueName: 'modo', parse: parseFit, description: 'Encaixe da imagem: contain (padrão), cover, stretch ou actual' },
+  { name: 'dpi', type: 'number', valueName: 'n', parse: parseDpi, description: 'Resolução assumida das imagens (padrão: 72, 1 pixel = 1 ponto)' },
+  { name: 'use-embedded-dpi', type: 'boolean', description: 'Usa o DPI gravado em cada imagem quando disponível' }
+];
+
+/**
+ * Opções do PDF unificado (merge-pdf)
+ */
+const PDF_MERGE_OPTIONS = [
+  { name: 'page-bookmarks', type: 'boolean', description: 'Adiciona um marcador por página dentro do marcador de cada pasta' }
+];
+
+/**
+ * Opções de leitura comuns a PDF e EPUB
+ */
+const READING_OPTIONS = [
+  { name: 'direction', type: 'string', valueName: 'sentido', parse: parseDirection, description: 'Sentido de leitura: ltr (padrão) ou rtl (direita para esquerda, mangás)' }
+];
+
+/**
+ * Metadados do documento, gravados no dicionário Info do PDF e no Dublin Core do EPUB
+ */
+const METADATA_OPTIONS = [
+  { name: 'title', type: 'string', valueName: 'texto', description: 'Título do documento (padrão: nome do arquivo)' },
+  { name: 'author', type: 'string', valueName: 'nome', multiple: true, parse: parseAuthors, description: 'Autor(es); repita a opção ou separe com & (ex.: "Fulano & Beltrano")' },
+  { name: 'language', type: 'string', valueName: 'idioma', parse: parseLanguage, description: 'Idioma do conteúdo (padrão: pt-BR)' },
+  { name: 'publisher', type: 'string', valueName: 'texto', description: 'Editora' },
+  { name: 'rights', type: 'string', valueName: 'texto', description: 'Direitos autorais (ex.: "© 2024 Editora")' },
+  { name: 'series', type: 'string', valueName: 'texto', description: 'Nome da série ou coleção' },
+  { name: 'series-index', type: 'string', valueName: 'n', parse: parseSeriesIndex, description: 'Número do volume na série (aceita frações, ex.: 1.5)' },
+  { name: 'subject', type: 'string', valueName: 'texto', description: 'Assunto' },
+  { name: 'keywords', type: 'string', valueName: 'lista', parse: parseKeywords, description: 'Palavras-chave separadas por vírgula' },
+  { name: 'description', type: 'string', valueName: 'texto', description: 'Descrição ou sinopse' },
+  { name: 'date', type: 'string', valueName: 'data', parse: parseDate, description: 'Data de publicação: AAAA, AAAA-MM ou AAAA-MM-DD' }
+];
+
+/**
+ * Opções do formato EPUB
+ */
+const EPUB_OPTIONS = [
+  { name: 'fixed-layout', type: 'boolean', description: 'Gera EPUB 3 com layout fixo (uma página por imagem, no tamanho real)' }
+];
+
+/**
+ * Redução e recompressão das imagens no PDF e no EPUB (exigem o sharp)
+ */
+const COMPRESSION_OPTIONS = [
+  { name: 'max-width', type: 'number', valueName: 'px', parse: parseMaxPixels, description: 'Reduz as imagens mais largas que esta largura em pixels (mantém a proporção)' },
+  { name: 'max-height', type: 'number', valueName: 'px', parse: parseMaxPixels, description: 'Reduz as imagens mais altas que esta altura em pixels (mantém a proporção)' },
+  { name: 'jpeg-quality', type: 'number', valueName: 'n', parse: parseJpegQuality, description: 'Recomprime as imagens JPEG com esta qualidade, de 1 a 100 (padrão ao reduzir: 85)' },
+  { name: 'png-to-jpeg', type: 'boolean', description: 'Converte imagens PNG sem transparência (fotos) para JPEG' }
+];
+
+/**
+ * Redução das imagens conforme o tamanho em que aparecem na página do PDF
+ */
+const PDF_COMPRESSION_OPTIONS = [
+  { name: 'target-dpi', type: 'number', valueName: 'n', parse: parseTargetDpi, description: 'Reduz as imagens com resolução maior que esta no tamanho em que aparecem na página (ex.: 150)' }
+];
+
+/**
+ * Modo de cor das imagens no PDF e no EPUB (exige o sharp)
+ */
+const COLOR_OPTIONS = [
+  { name: 'color-mode', type: 'string', valueName: 'modo', parse: parseColorMode, description: `Modo de cor das imagens: ${COLOR_MODES.join(', ')} (padrão: color; bilevel = preto e branco de 1 bit)` },
+  { name: 'threshold', type: 'number', valueName: 'n', parse: parseThreshold, description: 'Limiar do preto e branco, de 0 a 255: pixels mais escuros viram preto (padrão: 128)' },
+  { name: 'dither', type: 'boolean', description: 'Preto e branco com pontilhado (Floyd-Steinberg), melhor para fotos e ilustrações' }
+];
+
+/**
+ * Recorte automático das bordas no PDF e no EPUB (exige o sharp)
+ */
+const TRIM_OPTIONS = [
+  { name: 'auto-trim', type: 'boolean', description: 'Apara as margens uniformes das imagens (bordas de digitalização) antes de montar as páginas' },
+  { name: 'trim-tolerance', type: 'number', valueName: 'n', parse: parseTrimTolerance, description: `Diferença máxima, de 0 a 255, entre a borda e sua cor para ser aparada (padrão: ${DEFAULT_TRIM_TOLERANCE})` }
+];
+
+/**
+ * Ordenação das imagens de cada pasta
+ */
+const SORT_OPTIONS = [
+  { name: 'sort', type: 'string', valueName: 'estratégia', parse: parseSortStrategy, description: `Ordenação das imagens: ${SORT_STRATEGIES.join(', ')} (padrão: natural)` },
+  { name: 'sort-pattern', type: 'string', valueName: 'regex', parse: parseSortPattern, description: 'Expressão regular da ordenação regex; ordena pelo 1º grupo de captura (ex.: "p(\\d+)")' }
+];
+
+/**
+ * Escolha da capa, aceita em todos os formatos
+ */
+const COVER_OPTIONS = [
+  { name: 'cover', type: 'string', valueName: 'arquivo', description: 'Imagem da pasta usada como capa (padrão: cover.*, a capa dos metadados da pasta ou a primeira imagem)' }
+];
+
+/**
+ * Páginas de texto geradas no PDF e no EPUB
+ */
+const TITLE_PAGE_OPTIONS = [
+  { name: 'title-page', type: 'boolean', description: 'Adiciona uma folha de rosto com título, autor(es) e data logo depois da capa' }
+];
+
+/**
+ * Páginas de abertura das pastas nas fusões em PDF e EPUB
+ */
+const CHAPTER_PAGE_OPTIONS = [
+  { name: 'chapter-pages', type: 'boolean', description: 'Adiciona uma página de abertura com o nome de cada pasta antes das suas imagens' }
+];
+
+/**
+ * Conferência das imagens antes da conversão
+ */
+const VALIDATION_OPTIONS = [
+  { name: 'strict', type: 'boolean', description: 'Falha nas pastas com numeração irregular (números faltando, repetidos ou arquivos sem número) em vez de apenas avisar' }
+];
+
+/**
+ * Opções do processamento de um CSV em vários arquivos
+ */
+const BATCH_OPTIONS = [
+  { name: 'concurrency', alias: 'j', type: 'string', valueName: 'n', parse: parseConcurrency, description: 'Modo CSV: linhas convertidas ao mesmo tempo, em worker threads (padrão: 1; auto = uma por núcleo)' }
+];
+
+/**
+ * Opções das gerações incrementais (modo CSV e fusões)
+ */
+const BUILD_OPTIONS = [
+  { name: 'force', type: 'boolean', description: 'Gera de novo todos os arquivos, inclusive os que já estão atualizados (modo CSV e fusões)' }
+];
+
+/**
+ * Relatório da execução em JSON (conversões e fusões)
+ */
+const REPORT_OPTIONS = [
+  { name: 'report', type: 'string', valueName: 'arquivo.json', description: 'Grava um relatório JSON da execução: situação, saída, páginas, imagens puladas e com erro, avisos e duração de cada linha (gravado também com --dry-run)' }
+];
+
+/**
+ * Opções que podem ser definidas por linha no CSV, usando o nome longo
+ * da opção como cabeçalho da coluna (ex.: nome;caminho;page-size;fit)
+ */
+const ROW_OPTIONS = [
+  ...PDF_LAYOUT_OPTIONS,
+  ...READING_OPTIONS,
+  ...METADATA_OPTIONS,
+  ...SORT_OPTIONS,
+  ...COVER_OPTIONS,
+  ...TITLE_PAGE_OPTIONS,
+  ...COLOR_OPTIONS,
+  ...TRIM_OPTIONS
+];
+
+/**
+ * Interpreta as colunas extras de uma linha do CSV como opções
+ * @param {Object<string, string>} record - Valores por nome de coluna
+ * @returns {Object} Opções em camelCase, apenas para células preenchidas
+ */
+function parseRowOptions(record) {
+  const options = {};
+
+  for (const [column, raw] of Object.entries(record)) {
+    const spec = ROW_OPTIONS.find(option => option.name === column);
+    const value = raw.trim();
+    if (!spec || value === '') continue;
+
+    try {
+      let parsed = value;
+      if (spec.type === 'boolean') {
+        parsed = parseBoolean(value);
+      } else if (spec.parse) {
+        parsed = spec.parse(value);
+      }
+      options[toCamelCase(spec.name)] = parsed;
+    } catch (error) {
+      throw new InvalidArgumentError(`coluna "${column}": ${error.message}`, { cause: error });
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Verifica se uma coluna do CSV corresponde a uma opção conhecida
+ * @param {string} column - Nome da coluna
+ * @returns {boolean} Se a coluna é uma opção por linha
+ */
+function isRowOption(column) {
+  return ROW_OPTIONS.some(option => option.name === column);
+}
+
+module.exports = {
+  toCamelCase,
+  parseBoolean,
+  PDF_LAYOUT_OPTIONS,
+  PDF_MERGE_OPTIONS,
+  READING_OPTIONS,
+  METADATA_OPTIONS,
+  EPUB_OPTIONS,
+  COMPRESSION_OPTIONS,
+  PDF_COMPRESSION_OPTIONS,
+  COLOR_OPTIONS,
+  TRIM_OPTIONS,
+  SORT_OPTIONS,
+  COVER_OPTIONS,
+  TITLE_PAGE_OPTIONS,
+  CHAPTER_PAGE_OPTIONS,
+  VALIDATION_OPTIONS,
+  BATCH_OPTIONS,
+  BUILD_OPTIONS,
+  REPORT_OPTIONS,
+  ROW_OPTIONS,
+  parseRowOptions,
+  isRowOption
+};
@@ -0,0 +1,75 @@
+const { formatDisplayDate } = require('./metadata');
+
+/**
+ * Monta a sequência de páginas do documento: as imagens intercaladas com as
+ * páginas de texto geradas. A folha de rosto entra logo depois da capa (a
+ * primeira imagem) e, nos arquivos unificados, cada pasta pode ganhar uma
+ * página de abertura antes das suas imagens. Na primeira pasta, cuja primeira
+ * imagem é a capa do documento, a abertura vem depois da capa e da folha de rosto.
+ * @param {Array} images - Imagens na ordem das páginas (ver collectAllImages)
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.titlePage] - Inclui a folha de rosto
+ * @param {boolean} [options.chapterPages] - Inclui a abertura de cada pasta (folderIndex)
+ * @returns {Array<{type: string, image: (Object|undefined)}>} Páginas: image, title ou chapter
+ */
+function planPages(images, options = {}) {
+  const { titlePage, chapterPages } = options;
+  const pages = [];
+
+  images.forEach((image, index) => {
+    const opensFolder = chapterPages && (index === 0 || image.folderIndex !== images[index - 1].folderIndex);
+
+    if (opensFolder && index > 0) {
+      pages.push({ type: 'chapter', image });
+    }
+    pages.push({ type: 'image', image });
+
+    if (index === 0) {
+      if (titlePage) {
+        pages.push({ type: 'title' });
+      }
+      // Sem outras imagens na primeira pasta, a abertura ficaria vazia
+      const next = images[1];
+      if (opensFolder && next && next.folderIndex === image.folderIndex) {
+        pages.push({ type: 'chapter', image: next });
+      }
+    }
+  });
+
+  return pages;
+}
+
+/**
+ * Textos da folha de rosto, já formatados; campos sem valor ficam undefined
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @returns {{title: string, series: (string|undefined), authors: (string|undefined), publisher: (string|undefined), date: (string|undefined)}} Textos
+ */
+function getTitlePageText(metadata) {
+  let series;
+  if (metadata.series) {
+    series = metadata.seriesIndex !== undefined ? `${metadata.series}, vol. ${metadata.seriesIndex}` : metadata.series;
+  }
+
+  return {
+    title: metadata.title,
+    series,
+    authors: metadata.authors.length > 0 ? metadata.authors.join(', ') : undefined,
+    publisher: metadata.publisher,
+    date: metadata.date ? formatDisplayDate(metadata.date, metadata.language) : undefined
+  };
+}
+
+/**
+ * Título da abertura de uma pasta: título dos metadados da pasta ou nome da linha do CSV
+ * @param {Object} image - Primeira imagem da pasta (ver collectAllImages)
+ * @returns {string} Título
+ */
+function getChapterTitle(image) {
+  return image.folderLabel || image.folderName;
+}
+
+module.exports = {
+  planPages,
+  getTitlePageText,
+  getChapterTitle
+};
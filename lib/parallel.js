@@ -0,0 +1,139 @@
+const os = require('os');
+const { Worker } = require('worker_threads');
+const errors = require('./errors');
+
+/**
+ * Valida a quantidade de tarefas simultâneas: um inteiro maior ou igual a 1
+ * ou "auto" (um por núcleo de processamento)
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Quantidade de tarefas simultâneas
+ */
+function parseConcurrency(value) {
+  if (String(value).trim().toLowerCase() === 'auto') {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  }
+
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new errors.InvalidArgumentError(`Concorrência inválida: "${value}" (use um inteiro maior ou igual a 1 ou auto)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Converte um erro em um objeto simples, que pode ser enviado entre threads
+ * @param {Error} error - Erro original
+ * @returns {{name: string, code: (string|undefined), message: string, problems: (string[]|undefined)}} Erro serializado
+ */
+function serializeError(error) {
+  return { name: error.name, code: error.code, message: error.message, problems: error.problems };
+}
+
+/**
+ * Recria um erro serializado, com a classe tipada original quando ela existir
+ * @param {Object} data - Erro serializado (ver serializeError)
+ * @returns {Error} Erro
+ */
+function deserializeError(data) {
+  const ErrorClass = errors[data.name];
+  if (ErrorClass && ErrorClass.prototype instanceof errors.ImagesBatchError) {
+    return new ErrorClass(data.message, { code: data.code, problems: data.problems });
+  }
+
+  const error = new Error(data.message);
+  error.name = data.name;
+  return error;
+}
+
+/**
+ * Envia uma tarefa a um worker e espera a mensagem de conclusão ("done");
+ * as demais mensagens são repassadas a onMessage
+ * @param {Worker} worker - Worker ocioso
+ * @param {*} task - Dados da tarefa
+ * @param {Function} onMessage - Recebe as mensagens intermediárias
+ * @returns {Promise<*>} Resultado enviado pelo worker
+ */
+function runTask(worker, task, onMessage) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      worker.off('message', handleMessage);
+      worker.off('error', handleError);
+      worker.off('exit', handleExit);
+    };
+    const handleMessage = message => {
+      if (message.type === 'done') {
+        cleanup();
+        resolve(message.result);
+      } else {
+        onMessage(message);
+      }
+    };
+    const handleError = error => {
+      cleanup();
+      reject(error);
+    };
+    const handleExit = code => {
+      cleanup();
+      reject(new Error(`O worker terminou inesperadamente (código ${code})`));
+    };
+
+    worker.on('message', handleMessage);
+    worker.on('error', handleError);
+    worker.on('exit', handleExit);
+    worker.postMessage(task);
+  });
+}
+
+/**
+ * Executa as tarefas em um grupo de worker threads, no máximo `concurrency`
+ * ao mesmo tempo. Cada worker processa uma tarefa por vez; um worker que
+ * falhar é descartado e substituído para as tarefas seguintes.
+ * @param {string} workerPath - Script do worker (ver lib/csv-worker.js)
+ * @param {Array} tasks - Dados de cada tarefa, enviados com postMessage
+ * @param {Object} options - Opções
+ * @param {number} options.concurrency - Quantidade máxima de workers
+ * @param {Function} [options.onStart] - Chamada com o índice da tarefa ao iniciá-la
+ * @param {Function} [options.onMessage] - Chamada com o índice e cada mensagem intermediária
+ * @returns {Promise<Array<{result: *, error: (Error|undefined)}>>} Resultado de cada tarefa, na ordem original
+ */
+async function runInWorkers(workerPath, tasks, options) {
+  const { concurrency, onStart = () => {}, onMessage = () => {} } = options;
+  const outcomes = new Array(tasks.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    let worker = null;
+
+    try {
+      while (next < tasks.length) {
+        const index = next++;
+        worker = worker || new Worker(workerPath);
+        onStart(index);
+
+        try {
+          const result = await runTask(worker, tasks[index], message => onMessage(index, message));
+          outcomes[index] = { result };
+        } catch (error) {
+          outcomes[index] = { error };
+          await worker.terminate();
+          worker = null;
+        }
+      }
+    } finally {
+      if (worker) {
+        await worker.terminate();
+      }
+    }
+  };
+
+  const workerCount = Math.min(concurrency, tasks.length);
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return outcomes;
+}
+
+module.exports = {
+  parseConcurrency,
+  serializeError,
+  deserializeError,
+  runInWorkers
+};
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const { once } = require('events');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { ConversionError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { loadPdfImage } = require('./image-decode');
+const { readDpi } = require('./image-info');
+const { resolveLayout, computePlacement, parseDirection, PAGE_SIZES } = require('./layout');
+const { resolveMetadata, toPdfInfo } = require('./metadata');
+const { planPages, getTitlePageText, getChapterTitle } = require('./pages');
+const { resolveCompression, getDpiBounds, compressImage, sumCompression } = require('./compress');
+const { resolveTrim, findContentBox, describeTrim, toTrimEntry } = require('./trim');
+
+/**
+ * Resolve as configurações que podem variar por linha do CSV
+ * @param {Object} options - Opções
+ * @returns {{layout: Object, compression: (Object|null), trim: (Object|null)}} Configurações
+ */
+function resolveImageSettings(options) {
+  return { layout: resolveLayout(options), compression: resolveCompression(options), trim: resolveTrim(options) };
+}
+
+/**
+ * Adiciona uma página com a imagem, conforme o layout
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {Object} image - Imagem a ser adicionada
+ * @param {Object} settings - Configurações (ver resolveImageSettings)
+ * @param {Object} settings.layout - Layout resolvido (ver resolveLayout)
+ * @param {(Object|null)} settings.compression - Redução, recompressão e modo de cor (ver resolveCompression)
+ * @param {(Object|null)} settings.trim - Recorte automático das bordas (ver resolveTrim)
+ * @returns {Promise<{stats: (Object|null), box: (Object|null)}>} Bytes da imagem antes e depois da compressão,
+ *   se ativada, e a área mantida pelo recorte, se houve recorte
+ */
+async function addImagePage(doc, image, settings) {
+  const { layout, compression, trim } = settings;
+  // Formatos que o pdfkit não entende (BMP, GIF, WebP) são convertidos em memória
+  const prepared = await loadPdfImage(image.path);
+
+  // As dimensões vêm do próprio pdfkit, que já interpreta a imagem; assim o
+  // PDF não depende do image-size. O DPI embutido é lido do cabeçalho.
+  const original = doc.openImage(prepared.data);
+  let info = { width: original.width, height: original.height, type: prepared.type, dpi: readDpi(prepared.data, prepared.type) };
+
+  // O recorte vem antes do layout: a página segue o tamanho da área útil
+  const box = trim ? await findContentBox(prepared.data, trim) : null;
+  if (box) {
+    info = { ...info, width: box.width, height: box.height };
+  }
+  // A redução não muda o layout: o tamanho na página vem da imagem antes dela
+  const placement = computePlacement(info, layout);
+
+  let { data } = prepared;
+  let stats = null;
+  if (compression || box) {
+    const bounds = compression && compression.targetDpi ? getDpiBounds(placement, compression.targetDpi) : null;
+    const compressed = await compressImage(data, compression, { bounds, crop: box });
+    if (compression) {
+      stats = { originalBytes: data.length, outputBytes: compressed.data.length, changed: compressed.changed };
+    }
+    data = compressed.data;
+  }
+
+  // A imagem é aberta antes de criar a página para não deixar páginas em branco em caso de erro
+  const pdfImage = data === prepared.data ? original : doc.openImage(data);
+
+  doc.addPage({ size: [placement.pageWidth, placement.pageHeight], margin: 0 });
+
+  if (placement.clip) {
+    // Recorta o excedente (cover/actual) à área útil da página
+    doc.save();
+    doc.rect(placement.clip.x, placement.clip.y, placement.clip.width, placement.clip.height).clip();
+  }
+
+  doc.image(pdfImage, placement.x, placement.y, {
+    width: placement.width,
+    height: placement.height
+  });
+
+  if (placement.clip) {
+    doc.restore();
+  }
+  return { stats, box };
+}
+
+/**
+ * Tamanho das páginas de texto: o da página anterior ou, no início do
+ * documento, o tamanho fixo do layout (A4 quando a página segue a imagem)
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {Object} layout - Layout resolvido (ver resolveLayout)
+ * @returns {number[]} Largura e altura em pontos
+ */
+function getTextPageSize(doc, layout) {
+  if (doc.page) {
+    return [doc.page.width, doc.page.height];
+  }
+
+  const { pageSize, orientation } = layout;
+  const [width, height] = pageSize.mode === 'fixed' ? [pageSize.width, pageSize.height] : PAGE_SIZES.a4;
+  return orientation === 'landscape' ? [Math.max(width, height), Math.min(width, height)] : [width, height];
+}
+
+/**
+ * Adiciona uma página de texto centralizada. As fontes são proporcionais
+ * ao tamanho da página (a referência é uma página A4).
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {number[]} size - Largura e altura em pontos
+ * @param {Array<{text: string, size: number, bold: (boolean|undefined)}>} lines - Linhas, com o tamanho da fonte em A4
+ */
+function addTextPage(doc, size, lines) {
+  doc.addPage({ size, margin: 0 });
+
+  const [width, height] = size;
+  const scale = Math.min(width, height) / PAGE_SIZES.a4[0];
+  const margin = width * 0.1;
+  const textWidth = width - margin * 2;
+  const gap = 12 * scale;
+
+  const measure = line => {
+    doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.size * scale);
+    return doc.heightOfString(line.text, { width: textWidth, align: 'center' });
+  };
+  const blockHeight = lines.reduce((total, line) => total + measure(line), 0) + gap * (lines.length - 1);
+
+  // O bloco fica um pouco acima do centro, como em uma folha de rosto impressa
+  let y = Math.max((height - blockHeight) * 0.4, margin);
+  for (const line of lines) {
+    const lineHeight = measure(line);
+    doc.text(line.text, margin, y, { width: textWidth, align: 'center' });
+    y += lineHeight + gap;
+  }
+}
+
+/**
+ * Adiciona a folha de rosto: título, série, autor(es), editora e data
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {Object} metadata - Metadados (ver resolveMetadata)
+ * @param {Object} layout - Layout resolvido
+ */
+function addTitlePage(doc, metadata, layout) {
+  const text = getTitlePageText(metadata);
+  const lines = [
+    { text: text.title, size: 28, bold: true },
+    text.series && { text: text.series, size: 16 },
+    text.authors && { text: text.authors, size: 18 },
+    text.publisher && { text: text.publisher, size: 12 },
+    text.date && { text: text.date, size: 12 }
+  ].filter(Boolean);
+
+  addTextPage(doc, getTextPageSize(doc, layout), lines);
+}
+
+/**
+ * Grava o sentido de leitura nas preferências do visualizador (/ViewerPreferences /Direction).
+ * Visualizadores que respeitam a chave invertem a navegação e a ordem das páginas lado a lado.
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {string} direction - Sentido de leitura (ltr, rtl)
+ */
+function setReadingDirection(doc, direction) {
+  const root = doc._root.data;
+  if (!root.ViewerPreferences) {
+    root.ViewerPreferences = doc.ref({});
+  }
+  root.ViewerPreferences.data.Direction = direction === 'rtl' ? 'R2L' : 'L2R';
+}
+
+/**
+ * Escreve um PDF com uma página por imagem
+ * @param {Array<{path: string}>} images - Imagens na ordem das páginas
+ * @param {string} outputPath - Caminho de saída do PDF
+ * @param {Object} options - Opções
+ * @param {Object} options.logger - Logger
+ * @param {number} [options.progressEvery] - Intervalo de log de progresso (0 desativa)
+ * @param {(string|Object)} [options.pageSize] - Tamanho da página (image, a4, letter, 148x210mm, ...)
+ * @param {string} [options.orientation] - Orientação (portrait, landscape, auto)
+ * @param {(string|Object)} [options.margin] - Margens (ex.: 10, 10,20, 10mm)
+ * @param {string} [options.fit] - Encaixe da imagem (contain, cover, stretch, actual)
+ * @param {number} [options.dpi] - Resolução assumida das imagens
+ * @param {boolean} [options.useEmbeddedDpi] - Usa o DPI gravado nas imagens
+ * @param {string} [options.direction] - Sentido de leitura (ltr, rtl)
+ * @param {string} [options.title] - Título e demais metadados (author, publisher, rights, series, seriesIndex,
+ *   subject, keywords, description, date), gravados no dicionário Info; o idioma (language) vai no /Lang do catálogo
+ * @param {boolean} [options.outline] - Cria um marcador por pasta de origem (folderLabel ou folderName)
+ * @param {boolean} [options.pageBookmarks] - Com outline, cria também um marcador filho por página
+ * @param {boolean} [options.titlePage] - Adiciona a folha de rosto depois da capa
+ * @param {boolean} [options.chapterPages] - Adiciona uma página de abertura antes de cada pasta
+ * @param {number} [options.maxWidth] - Largura máxima das imagens, em pixels (ver resolveCompression)
+ * @param {number} [options.maxHeight] - Altura máxima das imagens, em pixels
+ * @param {number} [options.targetDpi] - Resolução máxima das imagens no tamanho em que aparecem na página
+ * @param {number} [options.jpegQuality] - Qualidade das imagens JPEG recomprimidas (1 a 100)
+ * @param {boolean} [options.pngToJpeg] - Converte PNGs sem transparência para JPEG
+ * @param {string} [options.colorMode] - Modo de cor das imagens (color, grayscale, bilevel)
+ * @param {number} [options.threshold] - Limiar do preto e branco (0 a 255)
+ * @param {boolean} [options.dither] - Preto e branco com pontilhado (Floyd-Steinberg)
+ * @param {boolean} [options.autoTrim] - Apara as bordas uniformes de cada imagem antes do layout
+ * @param {number} [options.trimTolerance] - Tolerância do recorte, em níveis de cinza (0 a 255)
+ * @returns {Promise<{pageCount: number, failedImages: Array, compression: (Object|null), trimmedImages: Array}>} Resultado
+ *   da geração (compression: totais de sumCompression, quando alguma opção de compressão ou modo de cor foi
+ *   informado; trimmedImages: recorte de cada imagem aparada, ver toTrimEntry)
+ */
+async function writePdf(images, outputPath, options) {
+  const { logger, progressEvery = 0 } = options;
+  const direction = parseDirection(options.direction);
+  const metadata = resolveMetadata(options);
+  const baseSettings = resolveImageSettings(options);
+  const baseLayout = baseSettings.layout;
+  const rowSettings = new Map();
+  const failedImages = [];
+  const compressedImages = [];
+  const trimmedImages = [];
+  let pageCount = 0;
+  let folderBookmark = null;
+  let bookmarkedFolder = null;
+
+  const doc = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    lang: metadata.language,
+    info: toPdfInfo(metadata)
+  });
+  doc.on('pageAdded', () => pageCount++);
+
+  if (direction === 'rtl') {
+    setReadingDirection(doc, direction);
+  }
+
+  const stream = fs.createWriteStream(outputPath);
+  let streamError = null;
+  let streamClosed = false;
+  stream.on('close', () => { streamClosed = true; });
+  const finished = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', error => {
+      streamError = streamError || error;
+      reject(error);
+    });
+  });
+  // Um erro na gravação (ex.: caminho de saída é uma pasta) interrompe o laço
+  // abaixo; sem este handler ele viraria uma rejeição não tratada
+  finished.catch(() => {});
+  doc.pipe(stream);
+
+  try {
+    let processed = 0;
+
+    // Processa cada página: imagens e páginas de texto geradas
+    for (const page of planPages(images, options)) {
+      if (streamError) {
+        throw streamError;
+      }
+
+      if (page.type === 'title') {
+        addTitlePage(doc, metadata, baseLayout);
+        continue;
+      }
+
+      if (page.type === 'chapter') {
+        const chapterTitle = getChapterTitle(page.image);
+        addTextPage(doc, getTextPageSize(doc, baseLayout), [{ text: chapterTitle, size: 24, bold: true }]);
+        if (options.outline) {
+          // O marcador da pasta aponta para a abertura
+          bookmarkedFolder = page.image.folderIndex;
+          folderBookmark = doc.outline.addItem(chapterTitle);
+        }
+        continue;
+      }
+
+      const { image } = page;
+      processed++;
+
+      try {
+        // Opções da linha do CSV (quando houver) sobrepõem as globais
+        let settings = baseSettings;
+        if (image.options) {
+          if (!rowSettings.has(image.options)) {
+            rowSettings.set(image.options, resolveImageSettings({ ...options, ...image.options }));
+          }
+          settings = rowSettings.get(image.options);
+        }
+
+        const { stats, box } = await addImagePage(doc, image, settings);
+        if (stats) {
+          compressedImages.push(stats);
+        }
+        if (box) {
+          trimmedImages.push(toTrimEntry(image.path, box));
+          logger.log(`   ✂️ ${path.basename(image.path)}: ${describeTrim(box)}`);
+        }
+
+        if (options.outline && image.folderIndex !== bookmarkedFolder) {
+          // O marcador da pasta aponta para a primeira página gerada com sucesso
+          bookmarkedFolder = image.folderIndex;
+          folderBookmark = doc.outline.addItem(image.folderLabel || image.folderName);
+        }
+
+        // Marcadores de página vêm dos metadados da pasta (bookmark) ou de --page-bookmarks
+        const pageLabel = image.bookmark || (options.outline && options.pageBookmarks ? `Página ${image.imageIndex}` : null);
+        if (pageLabel) {
+          (options.outline ? folderBookmark : doc.outline).addItem(pageLabel);
+        }
+      } catch (error) {
+        failedImages.push({ path: image.path, error: error.message });
+        logger.warn(`   ⚠️ Erro ao processar ${image.path}: ${error.message}`);
+      }
+
+      // Log de progresso a cada N imagens ou para a última
+      if (progressEvery && (processed % progressEvery === 0 || processed === images.length)) {
+        logger.log(`   📄 Processadas ${processed}/${images.length} imagens`);
+      }
+    }
+
+    doc.end();
+    await finished;
+  } catch (error) {
+    // Remove o arquivo incompleto, como o ZipWriter.abort do EPUB e do CBZ
+    if (!streamClosed) {
+      const closed = once(stream, 'close').catch(() => {});
+      stream.destroy();
+      await closed;
+    }
+    await fs.promises.rm(outputPath, { force: true }).catch(() => {});
+    throw new ConversionError(`Erro ao criar PDF: ${error.message}`, { cause: error });
+  }
+
+  const processedImages = baseSettings.compression || compressedImages.length > 0;
+  return {
+    pageCount,
+    failedImages,
+    compression: processedImages ? sumCompression(compressedImages) : null,
+    trimmedImages
+  };
+}
+
+/**
+ * Cria um documento PDF com as imagens
+ * @param {string[]} imagePaths - Lista de caminhos completos das imagens
+ * @param {string} outputPath - Caminho de saída do PDF
+ * @param {Object} [options] - Opções (logger, opções de layout, compressão, modo de cor, recorte e titlePage, ver writePdf)
+ * @param {Map<string, Object>} [options.pageOverrides] - Ajustes por caminho de imagem (bookmark), ver applySidecarPages
+ * @returns {Promise<{pageCount: number, failedImages: Array, compression: (Object|null), trimmedImages: Array}>} Resultado da geração
+ */
+function createPdf(imagePaths, outputPath, options = {}) {
+  const { pageOverrides } = options;
+  const images = imagePaths.map(imagePath => ({
+    path: imagePath,
+    ...(pageOverrides && pageOverrides.get(imagePath))
+  }));
+  // Uma pasta só não tem aberturas de capítulo
+  return writePdf(images, outputPath, { ...options, logger: resolveLogger(options), chapterPages: false });
+}
+
+/**
+ * Cria um documento PDF com todas as imagens coletadas de várias pastas,
+ * com um marcador (bookmark) por pasta de origem
+ * @param {Array} allImages - Array com informações de todas as imagens (ver collectAllImages)
+ * @param {string} outputPath - Caminho de saída do PDF
+ * @param {Object} [options] - Opções (logger, layout, compressão, modo de cor, recorte, pageBookmarks, titlePage e chapterPages, ver writePdf)
+ * @returns {Promise<{pageCount: number, failedImages: Array, compression: (Object|null), trimmedImages: Array}>} Resultado da geração
+ */
+function createMergedPdf(allImages, outputPath, options = {}) {
+  const logger = resolveLogger(options);
+  logger.log('\n📝 Criando PDF unificado...');
+  return writePdf(allImages, outputPath, { ...options, logger, progressEvery: 10, outline: true });
+}
+
+module.exports = {
+  createPdf,
+  createMergedPdf
+};
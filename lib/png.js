@@ -0,0 +1,150 @@
+const zlib = require('zlib');
+const { crc32 } = require('./crc32');
+
+/**
+ * Assinatura de 8 bytes de todo arquivo PNG
+ */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Tipo de cor PNG para cada quantidade de canais
+ */
+const COLOR_TYPES = { 1: 0, 2: 4, 3: 2, 4: 6 };
+
+/**
+ * Monta um chunk PNG (tamanho + tipo + dados + CRC)
+ * @param {string} type - Tipo do chunk (IHDR, IDAT, ...)
+ * @param {Buffer} data - Conteúdo
+ * @returns {Buffer} Chunk completo
+ */
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Preditor Paeth da especificação PNG
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Aplica a cada linha o filtro PNG que gera a menor soma de resíduos,
+ * o que costuma melhorar bastante a compressão de fotos e digitalizações
+ * @param {Buffer} data - Pixels brutos, linha a linha
+ * @param {number} height - Altura em pixels
+ * @param {number} stride - Bytes por linha
+ * @param {number} bpp - Bytes por pixel (mínimo 1)
+ * @returns {Buffer} Linhas filtradas, cada uma precedida pelo byte do filtro
+ */
+function filterRows(data, height, stride, bpp) {
+  const output = Buffer.alloc((stride + 1) * height);
+  const candidate = Buffer.alloc(stride);
+
+  for (let y = 0; y < height; y++) {
+    const row = data.subarray(y * stride, (y + 1) * stride);
+    const previous = y > 0 ? data.subarray((y - 1) * stride, y * stride) : null;
+    const target = output.subarray(y * (stride + 1));
+
+    let bestScore = Infinity;
+
+    for (let filter = 0; filter <= 4; filter++) {
+      if (filter >= 2 && !previous) break;
+      let score = 0;
+
+      for (let x = 0; x < stride; x++) {
+        const left = x >= bpp ? row[x - bpp] : 0;
+        const up = previous ? previous[x] : 0;
+        const upLeft = previous && x >= bpp ? previous[x - bpp] : 0;
+
+        let value;
+        switch (filter) {
+          case 1: value = row[x] - left; break;
+          case 2: value = row[x] - up; break;
+          case 3: value = row[x] - ((left + up) >> 1); break;
+          case 4: value = row[x] - paeth(left, up, upLeft); break;
+          default: value = row[x];
+        }
+
+        value &= 0xff;
+        candidate[x] = value;
+        score += value < 128 ? value : 256 - value;
+        if (score >= bestScore) break;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        target[0] = filter;
+        candidate.copy(target, 1);
+      }
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Codifica pixels brutos em PNG
+ * @param {Object} image - Imagem
+ * @param {number} image.width - Largura em pixels
+ * @param {number} image.height - Altura em pixels
+ * @param {number} image.channels - Canais por pixel (1 = cinza, 2 = cinza+alfa, 3 = RGB, 4 = RGBA)
+ * @param {Buffer} image.data - Pixels (8 bits por canal; ou 1 bit por pixel se bitDepth = 1)
+ * @param {number} [image.bitDepth=8] - Bits por canal (1 só é aceito em tons de cinza)
+ * @returns {Buffer} Arquivo PNG
+ */
+function encodePng({ width, height, channels, data, bitDepth = 8 }) {
+  const stride = bitDepth === 1 ? Math.ceil(width / 8) : width * channels;
+  const bpp = Math.max(1, (channels * bitDepth) >> 3);
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = COLOR_TYPES[channels];
+  header[10] = 0; // compressão deflate
+  header[11] = 0; // filtragem adaptativa
+  header[12] = 0; // sem entrelaçamento
+
+  const filtered = bitDepth === 1
+    ? filterNone(data, height, stride)
+    : filterRows(data, height, stride, bpp);
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(filtered, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Prefixa cada linha com o filtro "None" (usado em imagens de 1 bit)
+ * @param {Buffer} data - Linhas empacotadas
+ * @param {number} height - Altura em pixels
+ * @param {number} stride - Bytes por linha
+ * @returns {Buffer} Linhas com o byte de filtro
+ */
+function filterNone(data, height, stride) {
+  const output = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(output, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+  return output;
+}
+
+module.exports = {
+  PNG_SIGNATURE,
+  encodePng
+};
@@ -0,0 +1,121 @@
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { ImagesBatchError } = require('./errors');
+const { serializeError } = require('./parallel');
+
+/**
+ * Versão do formato do relatório; muda apenas se campos forem removidos ou alterados
+ */
+const REPORT_VERSION = 1;
+
+/**
+ * Situação de uma linha (ou pasta) no relatório, sem a lista de imagens
+ * @param {Object} row - Linha de convertCsv ou pasta de mergeFolders
+ * @returns {Object} Dados da linha em JSON
+ */
+function describeRow(row) {
+  return {
+    nome: row.nome,
+    caminho: row.caminho,
+    status: row.status,
+    outputPath: row.outputPath || null,
+    pageCount: row.pageCount || 0,
+    imageCount: row.imageCount !== undefined ? row.imageCount : (row.images || []).length,
+    skippedImages: row.skippedImages || [],
+    failedImages: row.failedImages || [],
+    warnings: row.warnings || [],
+    compression: row.compression || null,
+    trimmedImages: row.trimmedImages || [],
+    rebuildReason: row.rebuildReason || null,
+    durationMs: row.durationMs !== undefined ? row.durationMs : null,
+    error: row.error ? serializeError(row.error) : null
+  };
+}
+
+/**
+ * Situação de uma pasta analisada no relatório
+ * @param {Object} folder - Pasta de analyzeFolder (com report, ver inspectSource)
+ * @returns {Object} Dados da pasta em JSON
+ */
+function describeAnalyzedFolder(folder) {
+  const { report } = folder;
+  return {
+    nome: folder.nome,
+    caminho: folder.caminho,
+    status: report.ok ? 'ok' : 'issues',
+    imageCount: report.imageCount,
+    bytes: report.bytes,
+    formats: report.formats,
+    otherFiles: report.otherFiles,
+    anomalies: report.anomalies,
+    error: report.error
+  };
+}
+
+/**
+ * Monta o relatório de uma execução
+ * @param {Object} run - Dados da execução
+ * @param {string} run.command - Subcomando executado
+ * @param {string} run.status - success, partial, issues ou failure
+ * @param {number} run.exitCode - Código de saída
+ * @param {number} run.startedAt - Início, em milissegundos
+ * @param {boolean} [run.dryRun] - Se foi uma simulação
+ * @param {Error} [run.error] - Erro que interrompeu a execução
+ * @param {Object} [run.summary] - Totais (total, succeeded, skipped, failed, pageCount, compression)
+ * @param {Array} [run.rows] - Linhas convertidas (ver convertCsv)
+ * @param {Object} [run.output] - Arquivo unificado (ver mergeFolders)
+ * @param {Array} [run.folders] - Pastas de uma fusão (ver mergeFolders)
+ * @param {Object} [run.analysis] - Resultado da análise (ver analyzeFolder): pastas, avisos da busca e CSV
+ * @returns {Object} Relatório
+ */
+function createReport(run) {
+  const finishedAt = Date.now();
+  const report = {
+    version: REPORT_VERSION,
+    command: run.command,
+    status: run.status,
+    exitCode: run.exitCode,
+    dryRun: Boolean(run.dryRun),
+    startedAt: new Date(run.startedAt).toISOString(),
+    finishedAt: new Date(finishedAt).toISOString(),
+    durationMs: finishedAt - run.startedAt,
+    error: run.error ? serializeError(run.error) : null
+  };
+
+  if (run.summary) report.summary = run.summary;
+  if (run.output) report.output = run.output;
+  if (run.rows) report.rows = run.rows.map(describeRow);
+  if (run.folders) report.folders = run.folders.map(describeRow);
+  if (run.analysis) {
+    report.csvPath = run.analysis.csvPath;
+    report.problems = run.analysis.problems;
+    report.folders = run.analysis.folders.map(describeAnalyzedFolder);
+    report.warnings = run.analysis.warnings;
+  }
+  return report;
+}
+
+/**
+ * Grava o relatório em JSON
+ * @param {string} reportPath - Caminho do arquivo
+ * @param {Object} report - Relatório (ver createReport)
+ * @returns {Promise<string>} Caminho completo do arquivo gravado
+ */
+async function writeReport(reportPath, report) {
+  const fullPath = path.resolve(reportPath);
+  try {
+    await fsPromises.mkdir(path.dirname(fullPath), { recursive: true });
+    await fsPromises.writeFile(fullPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  } catch (error) {
+    throw new ImagesBatchError(`Erro ao gravar o relatório: ${error.message}`, { cause: error });
+  }
+  return fullPath;
+}
+
+module.exports = {
+  REPORT_VERSION,
+  describeRow,
+  describeAnalyzedFolder,
+  createReport,
+  writeReport
+};
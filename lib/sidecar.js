@@ -0,0 +1,354 @@
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { InvalidSourceError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { isArchivePath, getArchiveEntryPath, listArchiveEntries, readSourceFile } = require('./archive');
+const { parseDirection } = require('./layout');
+const { parseAuthors, parseKeywords, parseLanguage, parseSeriesIndex, parseDate } = require('./metadata');
+
+/**
+ * Arquivos de metadados reconhecidos dentro de cada pasta, em ordem de
+ * prioridade (campos do metadata.json prevalecem sobre o ComicInfo.xml)
+ */
+const SIDECAR_FILES = ['metadata.json', 'ComicInfo.xml'];
+
+/**
+ * Campos aceitos no metadata.json e a função que valida cada um
+ */
+const JSON_FIELDS = {
+  title: value => String(value),
+  author: parseAuthors,
+  authors: parseAuthors,
+  language: parseLanguage,
+  direction: parseDirection,
+  publisher: value => String(value),
+  rights: value => String(value),
+  series: value => String(value),
+  volume: parseSeriesIndex,
+  seriesIndex: parseSeriesIndex,
+  subject: value => String(value),
+  keywords: parseKeywords,
+  description: value => String(value),
+  date: parseDate
+};
+
+/**
+ * Nome da opção correspondente a cada campo do metadata.json
+ */
+const JSON_OPTION_NAMES = {
+  authors: 'author',
+  volume: 'seriesIndex'
+};
+
+/**
+ * Decodifica as entidades XML básicas e numéricas
+ * @param {string} text - Texto com entidades
+ * @returns {string} Texto decodificado
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lê o texto de um elemento simples do XML (ex.: <Title>...</Title>)
+ * @param {string} xml - Documento XML
+ * @param {string} name - Nome do elemento
+ * @returns {(string|undefined)} Texto do elemento, sem espaços extras
+ */
+function readXmlElement(xml, name) {
+  const match = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+  if (!match) return undefined;
+  const value = decodeXmlEntities(match[1]).trim();
+  return value === '' ? undefined : value;
+}
+
+/**
+ * Lê os atributos de uma tag XML
+ * @param {string} tag - Tag completa (ex.: <Page Image="0" Type="FrontCover"/>)
+ * @returns {Object<string, string>} Atributos
+ */
+function readXmlAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([A-Za-z_][\w.-]*)\s*=\s*"([^"]*)"/g)) {
+    attributes[name] = decodeXmlEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Aplica a validação de um campo, ignorando-o com um aviso se o valor for inválido
+ * @param {Object} target - Objeto que recebe o valor
+ * @param {string} key - Nome da opção
+ * @param {*} value - Valor bruto
+ * @param {Function} parse - Função de validação
+ * @param {string} file - Arquivo de origem, para o aviso
+ * @param {Object} logger - Logger
+ */
+function assignField(target, key, value, parse, file, logger) {
+  if (value === undefined || value === null || value === '') return;
+  try {
+    target[key] = parse(value);
+  } catch (error) {
+    logger.warn(`   ⚠️ Campo "${key}" ignorado em ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Interpreta um ComicInfo.xml (formato do ComicRack, usado por Kavita, Komga etc.)
+ * @param {string} xml - Conteúdo do arquivo
+ * @param {string} file - Caminho do arquivo, para mensagens
+ * @param {Object} logger - Logger
+ * @returns {{options: Object, pages: Array}} Opções e ajustes de páginas
+ */
+function parseComicInfo(xml, file, logger) {
+  if (!/<ComicInfo[\s>]/.test(xml)) {
+    throw new InvalidSourceError(`Arquivo ComicInfo.xml inválido: ${file}`);
+  }
+
+  const options = {};
+  const read = name => readXmlElement(xml, name);
+
+  assignField(options, 'title', read('Title'), String, file, logger);
+  assignField(options, 'series', read('Series'), String, file, logger);
+  assignField(options, 'seriesIndex', read('Volume') || read('Number'), parseSeriesIndex, file, logger);
+  assignField(options, 'language', read('LanguageISO'), parseLanguage, file, logger);
+  assignField(options, 'publisher', read('Publisher'), String, file, logger);
+  assignField(options, 'description', read('Summary'), String, file, logger);
+
+  // O ComicInfo separa os nomes com vírgula, um campo por função
+  const authors = ['Writer', 'Penciller', 'Inker', 'Colorist', 'Letterer', 'CoverArtist']
+    .flatMap(field => (read(field) || '').split(','))
+    .map(name => name.trim())
+    .filter((name, index, list) => name && list.indexOf(name) === index);
+  if (authors.length > 0) {
+    options.author = authors;
+  }
+
+  const keywords = [read('Genre'), read('Tags')].filter(Boolean).join(',');
+  assignField(options, 'keywords', keywords, parseKeywords, file, logger);
+
+  const year = read('Year');
+  if (year) {
+    const date = [year, read('Month'), read('Day')]
+      .filter(Boolean)
+      .map((part, index) => (index === 0 ? part : part.padStart(2, '0')))
+      .join('-');
+    assignField(options, 'date', date, parseDate, file, logger);
+  }
+
+  if (read('Manga') === 'YesAndRightToLeft') {
+    options.direction = 'rtl';
+  }
+
+  // <Page Image="0" Type="FrontCover" DoublePage="True" Bookmark="..."/>, índice a partir de 0
+  const pages = [];
+  for (const [tag] of xml.matchAll(/<Page\s[^>]*?\/?>/g)) {
+    const attributes = readXmlAttributes(tag);
+    const index = Number(attributes.Image);
+    if (!Number.isInteger(index) || index < 0) continue;
+
+    pages.push({
+      index,
+      skip: attributes.Type === 'Deleted',
+      cover: attributes.Type === 'FrontCover',
+      doublePage: /^true$/i.test(attributes.DoublePage || ''),
+      bookmark: attributes.Bookmark ? attributes.Bookmark.trim() || undefined : undefined
+    });
+  }
+
+  return { options, pages };
+}
+
+/**
+ * Interpreta um metadata.json
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} file - Caminho do arquivo, para mensagens
+ * @param {Object} logger - Logger
+ * @returns {{options: Object, pages: Array}} Opções e ajustes de páginas
+ */
+function parseMetadataJson(content, file, logger) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new InvalidSourceError(`Arquivo metadata.json inválido (${file}): ${error.message}`, { cause: error });
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new InvalidSourceError(`Arquivo metadata.json deve conter um objeto: ${file}`);
+  }
+
+  const options = {};
+  for (const [field, value] of Object.entries(data)) {
+    if (field === 'pages') continue;
+    const parse = JSON_FIELDS[field];
+    if (!parse) {
+      logger.warn(`   ⚠️ Campo desconhecido ignorado em ${file}: ${field}`);
+      continue;
+    }
+    assignField(options, JSON_OPTION_NAMES[field] || field, value, parse, file, logger);
+  }
+
+  // "pages": { "003.jpg": { "skip": true, "bookmark": "Capítulo 1", "doublePage": true, "cover": true } }
+  const pages = [];
+  if (data.pages && typeof data.pages === 'object') {
+    for (const [filename, page] of Object.entries(data.pages)) {
+      if (!page || typeof page !== 'object') continue;
+      pages.push({
+        filename,
+        skip: page.skip === true,
+        cover: page.cover === true,
+        doublePage: page.doublePage === true,
+        bookmark: typeof page.bookmark === 'string' && page.bookmark.trim() ? page.bookmark.trim() : undefined
+      });
+    }
+  }
+
+  return { options, pages };
+}
+
+/**
+ * Procura e interpreta os arquivos de metadados de uma pasta (metadata.json e ComicInfo.xml).
+ * Em arquivos ZIP/CBZ vale o arquivo de metadados mais próximo da raiz.
+ * Campos com valor inválido são ignorados com um aviso; arquivos malformados geram erro.
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.logger] - Logger para avisos
+ * @returns {Promise<(Object|null)>} { files, options, pages } ou null se a pasta não tiver metadados
+ */
+async function readSidecar(folderPath, options = {}) {
+  const logger = resolveLogger(options);
+
+  const archive = isArchivePath(folderPath);
+
+  let entries;
+  try {
+    entries = archive ? await listArchiveEntries(folderPath) : await fsPromises.readdir(folderPath);
+  } catch (error) {
+    if (error instanceof InvalidSourceError) throw error;
+    throw new InvalidSourceError(`Erro ao ler pasta: ${error.message}`, { cause: error });
+  }
+
+  const files = [];
+  const results = [];
+
+  // Lidos do menos para o mais prioritário, para que o último prevaleça
+  for (const name of [...SIDECAR_FILES].reverse()) {
+    const match = entries
+      .filter(entry => path.posix.basename(entry).toLowerCase() === name.toLowerCase())
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!match) continue;
+
+    const file = archive ? getArchiveEntryPath(folderPath, match) : path.join(folderPath, match);
+    let content;
+    try {
+      content = (await readSourceFile(file)).toString('utf8');
+    } catch (error) {
+      throw new InvalidSourceError(`Erro ao ler ${file}: ${error.message}`, { cause: error });
+    }
+
+    files.push(file);
+    results.push(name === 'metadata.json'
+      ? parseMetadataJson(content, file, logger)
+      : parseComicInfo(content, file, logger));
+  }
+
+  if (results.length === 0) {
+    return null;
+  }
+
+  return {
+    files,
+    options: Object.assign({}, ...results.map(result => result.options)),
+    pages: results.flatMap(result => result.pages)
+  };
+}
+
+/**
+ * Rótulo da pasta em marcadores e sumários: título, ou série e volume
+ * @param {(Object|null)} sidecar - Resultado de readSidecar
+ * @returns {(string|undefined)} Rótulo, se os metadados tiverem informação suficiente
+ */
+function getSidecarLabel(sidecar) {
+  if (!sidecar) return undefined;
+  const { title, series, seriesIndex } = sidecar.options;
+  if (title) return title;
+  if (series && seriesIndex !== undefined) return `${series} - Vol. ${seriesIndex}`;
+  return series;
+}
+
+/**
+ * Completa as opções com os valores do sidecar que não foram informados
+ * explicitamente (linha de comando ou coluna do CSV têm prioridade)
+ * @param {Object} options - Opções explícitas
+ * @param {(Object|null)} sidecar - Resultado de readSidecar
+ * @returns {Object} Opções combinadas
+ */
+function withSidecarDefaults(options = {}, sidecar) {
+  const merged = { ...options };
+  if (!sidecar) return merged;
+
+  for (const [key, value] of Object.entries(sidecar.options)) {
+    if (merged[key] === undefined) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Aplica os ajustes de páginas do sidecar à lista ordenada de imagens:
+ * remove as páginas marcadas para pular e devolve os demais ajustes por caminho
+ * @param {string[]} imagePaths - Caminhos completos das imagens, em ordem
+ * @param {(Object|null)} sidecar - Resultado de readSidecar
+ * @returns {{imagePaths: string[], pageOverrides: Map<string, Object>}} Imagens mantidas e ajustes (bookmark, doublePage, cover)
+ */
+function applySidecarPages(imagePaths, sidecar) {
+  const pageOverrides = new Map();
+  if (!sidecar || sidecar.pages.length === 0) {
+    return { imagePaths, pageOverrides };
+  }
+
+  const skipped = new Set();
+
+  for (const page of sidecar.pages) {
+    const imagePath = page.filename !== undefined
+      ? imagePaths.find(candidate => path.basename(candidate) === page.filename)
+      : imagePaths[page.index];
+    if (!imagePath) continue;
+
+    if (page.skip) {
+      skipped.add(imagePath);
+      continue;
+    }
+
+    const override = { ...pageOverrides.get(imagePath) };
+    if (page.bookmark) override.bookmark = page.bookmark;
+    if (page.doublePage) override.doublePage = true;
+    if (page.cover) override.cover = true;
+    pageOverrides.set(imagePath, override);
+  }
+
+  return {
+    imagePaths: imagePaths.filter(imagePath => !skipped.has(imagePath)),
+    pageOverrides
+  };
+}
+
+module.exports = {
+  SIDECAR_FILES,
+  parseComicInfo,
+  parseMetadataJson,
+  readSidecar,
+  getSidecarLabel,
+  withSidecarDefaults,
+  applySidecarPages
+};
@@ -0,0 +1,268 @@
+const path = require('path');
+const { InvalidArgumentError, InvalidSourceError } = require('./errors');
+const { resolveLogger } = require('./logger');
+const { readExifDate } = require('./exif');
+const { isArchivePath, getArchiveEntryPath, readSourceFile, getSourceModifiedTime } = require('./archive');
+
+/**
+ * Estratégias de ordenação das imagens de uma pasta
+ * - natural: números em qualquer parte do nome (page_2 antes de page_10, cap2-p10)
+ * - numeric: apenas o número do início do nome (comportamento anterior)
+ * - mtime: data de modificação do arquivo
+ * - exif: data de captura gravada na imagem (EXIF DateTimeOriginal)
+ * - regex: trecho do nome capturado por uma expressão regular (--sort-pattern)
+ * - order: ordem explícita listada no arquivo order.txt da pasta
+ */
+const SORT_STRATEGIES = ['natural', 'numeric', 'mtime', 'exif', 'regex', 'order'];
+
+/**
+ * Estratégia usada quando nenhuma é informada
+ */
+const DEFAULT_SORT = 'natural';
+
+/**
+ * Estratégias que seguem os números dos nomes dos arquivos; nas demais a
+ * numeração não indica a ordem das páginas
+ */
+const NAME_SORT_STRATEGIES = ['natural', 'numeric', 'regex'];
+
+/**
+ * Arquivo com a ordem explícita das imagens (um nome por linha)
+ */
+const ORDER_FILE = 'order.txt';
+
+/**
+ * Bytes lidos do início de cada imagem para encontrar o EXIF
+ */
+const EXIF_HEADER_SIZE = 128 * 1024;
+
+/**
+ * Comparação natural: trechos numéricos são comparados como números
+ */
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Valida a estratégia de ordenação
+ * @param {string} value - Valor informado
+ * @returns {string} Estratégia
+ */
+function parseSortStrategy(value) {
+  const strategy = String(value).trim().toLowerCase();
+  if (!SORT_STRATEGIES.includes(strategy)) {
+    throw new InvalidArgumentError(`Ordenação inválida: "${value}" (use ${SORT_STRATEGIES.join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Estratégia efetiva das opções: a informada, regex se houver apenas
+ * o padrão, ou a padrão
+ * @param {Object} [options] - Opções com sort e sortPattern
+ * @returns {string} Estratégia
+ */
+function resolveSortStrategy(options = {}) {
+  return parseSortStrategy(options.sort || (options.sortPattern ? 'regex' : DEFAULT_SORT));
+}
+
+/**
+ * Valida a expressão regular da ordenação por regex
+ * @param {string} value - Expressão informada
+ * @returns {string} Expressão
+ */
+function parseSortPattern(value) {
+  try {
+    new RegExp(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`Expressão regular inválida: "${value}" (${error.message})`, { cause: error });
+  }
+  return value;
+}
+
+/**
+ * Compara as subpastas de dois nomes (entradas de ZIP/CBZ), em ordem natural
+ * @param {string} a - Nome
+ * @param {string} b - Nome
+ * @returns {number} Resultado da comparação (0 na mesma subpasta)
+ */
+function compareFolders(a, b) {
+  const dirA = path.posix.dirname(a);
+  const dirB = path.posix.dirname(b);
+  return dirA === dirB ? 0 : collator.compare(dirA, dirB) || (dirA < dirB ? -1 : 1);
+}
+
+/**
+ * Compara dois nomes em ordem natural, agrupando as entradas de subpastas (ZIP/CBZ)
+ * @param {string} a - Nome
+ * @param {string} b - Nome
+ * @returns {number} Resultado da comparação
+ */
+function compareNatural(a, b) {
+  const folderResult = compareFolders(a, b);
+  if (folderResult !== 0) {
+    return folderResult;
+  }
+
+  const baseA = path.posix.basename(a, path.extname(a));
+  const baseB = path.posix.basename(b, path.extname(b));
+  return collator.compare(baseA, baseB) || collator.compare(a, b) || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+/**
+ * Ordena pelos valores calculados para cada imagem; as imagens sem valor
+ * vão para o final, e empates seguem a ordem natural
+ * @param {Array<{name: string}>} items - Imagens
+ * @param {Map<Object, *>} keys - Valor de cada imagem (número ou texto)
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.grouped=true] - Mantém as imagens de cada subpasta juntas
+ * @returns {Array} Imagens ordenadas
+ */
+function sortByKeys(items, keys, options = {}) {
+  const { grouped = true } = options;
+
+  return [...items].sort((a, b) => {
+    const folderResult = grouped ? compareFolders(a.name, b.name) : 0;
+    if (folderResult !== 0) return folderResult;
+
+    const keyA = keys.get(a);
+    const keyB = keys.get(b);
+
+    if (keyA == null || keyB == null) {
+      if (keyA != null) return -1;
+      if (keyB != null) return 1;
+      return compareNatural(a.name, b.name);
+    }
+
+    let result;
+    if (typeof keyA === 'number' && typeof keyB === 'number') {
+      result = keyA - keyB;
+    } else {
+      result = collator.compare(String(keyA), String(keyB));
+    }
+    return result || compareNatural(a.name, b.name);
+  });
+}
+
+/**
+ * Lê a ordem explícita do order.txt: um nome de arquivo por linha;
+ * linhas vazias e iniciadas por # são ignoradas
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @returns {Promise<string[]>} Nomes na ordem desejada
+ */
+async function readOrderFile(folderPath) {
+  const orderPath = isArchivePath(folderPath)
+    ? getArchiveEntryPath(folderPath, ORDER_FILE)
+    : path.join(folderPath, ORDER_FILE);
+
+  let content;
+  try {
+    content = (await readSourceFile(orderPath)).toString('utf8');
+  } catch (error) {
+    throw new InvalidSourceError(`Ordenação "order" exige o arquivo ${ORDER_FILE} em: ${folderPath}`, { cause: error });
+  }
+
+  return content
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Ordena as imagens de uma pasta pela estratégia escolhida
+ * @param {string} folderPath - Caminho da pasta ou do ZIP/CBZ
+ * @param {Array<{name: string, path: string}>} items - Imagens: nome relativo à pasta e caminho completo
+ * @param {Object} [options] - Opções
+ * @param {string} [options.sort] - Estratégia (padrão: natural; regex se só sortPattern for informado)
+ * @param {string} [options.sortPattern] - Expressão regular da estratégia regex (usa o 1º grupo de captura)
+ * @param {Object} [options.logger] - Logger para avisos
+ * @returns {Promise<Array<{name: string, path: string}>>} Imagens ordenadas
+ */
+async function sortImages(folderPath, items, options = {}) {
+  const logger = resolveLogger(options);
+  const strategy = resolveSortStrategy(options);
+  const keys = new Map();
+
+  switch (strategy) {
+    case 'natural':
+      return [...items].sort((a, b) => compareNatural(a.name, b.name));
+
+    case 'numeric':
+      // Mesmo critério de sortFilesNumerically: número inicial, senão ordem alfabética
+      return [...items].sort((a, b) => {
+        const folderResult = compareFolders(a.name, b.name);
+        if (folderResult !== 0) return folderResult;
+
+        const numA = parseInt(path.posix.basename(a.name, path.extname(a.name)));
+        const numB = parseInt(path.posix.basename(b.name, path.extname(b.name)));
+        if (isNaN(numA) || isNaN(numB)) return a.name.localeCompare(b.name);
+        return numA - numB;
+      });
+
+    case 'mtime':
+      for (const item of items) {
+        keys.set(item, await getSourceModifiedTime(item.path));
+      }
+      return sortByKeys(items, keys);
+
+    case 'exif': {
+      for (const item of items) {
+        const header = await readSourceFile(item.path, { maxBytes: EXIF_HEADER_SIZE }).catch(() => null);
+        keys.set(item, header ? readExifDate(header) : null);
+      }
+      const missing = items.filter(item => keys.get(item) == null);
+      if (missing.length > 0) {
+        logger.warn(`   ⚠️ ${missing.length} imagem(ns) sem data EXIF (DateTimeOriginal) ficam no final: ${missing.map(item => item.name).join(', ')}`);
+      }
+      return sortByKeys(items, keys);
+    }
+
+    case 'regex': {
+      if (!options.sortPattern) {
+        throw new InvalidArgumentError('Ordenação "regex" exige --sort-pattern <expressão>');
+      }
+      const pattern = new RegExp(parseSortPattern(options.sortPattern));
+      for (const item of items) {
+        const match = pattern.exec(path.posix.basename(item.name));
+        const value = match ? (match[1] !== undefined ? match[1] : match[0]) : null;
+        // Capturas numéricas são comparadas como números (2 antes de 10)
+        keys.set(item, value !== null && /^\d+(\.\d+)?$/.test(value) ? Number(value) : value);
+      }
+      const missing = items.filter(item => keys.get(item) == null);
+      if (missing.length > 0) {
+        logger.warn(`   ⚠️ ${missing.length} imagem(ns) fora do padrão ${options.sortPattern} ficam no final: ${missing.map(item => item.name).join(', ')}`);
+      }
+      return sortByKeys(items, keys);
+    }
+
+    case 'order': {
+      const order = await readOrderFile(folderPath);
+      order.forEach((name, index) => {
+        const item = items.find(candidate => candidate.name === name);
+        if (item && !keys.has(item)) keys.set(item, index);
+      });
+
+      const unknown = order.filter(name => !items.some(item => item.name === name));
+      if (unknown.length > 0) {
+        logger.warn(`   ⚠️ ${ORDER_FILE} cita arquivo(s) inexistente(s): ${unknown.join(', ')}`);
+      }
+      const missing = items.filter(item => !keys.has(item));
+      if (missing.length > 0) {
+        logger.warn(`   ⚠️ ${missing.length} imagem(ns) fora do ${ORDER_FILE} ficam no final: ${missing.map(item => item.name).join(', ')}`);
+      }
+      // A ordem explícita vale inclusive entre subpastas
+      return sortByKeys(items, keys, { grouped: false });
+    }
+  }
+}
+
+module.exports = {
+  SORT_STRATEGIES,
+  DEFAULT_SORT,
+  NAME_SORT_STRATEGIES,
+  ORDER_FILE,
+  parseSortStrategy,
+  resolveSortStrategy,
+  parseSortPattern,
+  compareNatural,
+  sortImages
+};
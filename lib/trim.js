@@ -0,0 +1,239 @@
+const path = require('path');
+const { InvalidArgumentError, ConversionError } = require('./errors');
+const { loadSharp, loadPdfImage } = require('./image-decode');
+
+/**
+ * Diferença máxima padrão, em níveis de cinza, entre um pixel e a cor da borda
+ */
+const DEFAULT_TRIM_TOLERANCE = 10;
+
+/**
+ * Fração dos pixels de uma linha (ou coluna) que precisa estar na cor da
+ * borda para que ela seja aparada; o restante tolera sujeira e poeira do scanner
+ */
+const BORDER_COVERAGE = 0.99;
+
+/**
+ * Fração mínima da largura e da altura originais que o recorte mantém; abaixo
+ * disso o resultado é tratado como engano e a imagem fica como está
+ */
+const MIN_CONTENT_FRACTION = 0.05;
+
+/**
+ * Valida a tolerância do recorte automático
+ * @param {(string|number)} value - Valor informado
+ * @returns {number} Tolerância de 0 a 255
+ */
+function parseTrimTolerance(value) {
+  const tolerance = Number(value);
+  if (!Number.isInteger(tolerance) || tolerance < 0 || tolerance > 255) {
+    throw new InvalidArgumentError(`Tolerância de recorte inválida: "${value}" (esperado um inteiro de 0 a 255)`);
+  }
+  return tolerance;
+}
+
+/**
+ * Resolve o recorte automático das bordas a partir das opções
+ * @param {Object} [options] - Opções (autoTrim, trimTolerance)
+ * @returns {(Object|null)} Tolerância do recorte, ou null se desativado
+ */
+function resolveTrim(options = {}) {
+  if (!options.autoTrim) {
+    return null;
+  }
+  if (!loadSharp()) {
+    throw new ConversionError('Para aparar as bordas das imagens instale a dependência opcional "sharp" (npm install sharp)');
+  }
+  return {
+    tolerance: options.trimTolerance !== undefined ? parseTrimTolerance(options.trimTolerance) : DEFAULT_TRIM_TOLERANCE
+  };
+}
+
+/**
+ * Valor mediano de uma linha de pixels, usado como cor da borda
+ * @param {Uint8Array} values - Pixels em tons de cinza
+ * @returns {number} Mediana
+ */
+function median(values) {
+  // A ordenação de um Uint8Array já é numérica; a cópia preserva a imagem
+  const sorted = Uint8Array.from(values).sort();
+  return sorted[sorted.length >> 1];
+}
+
+/**
+ * Conta quantas linhas (ou colunas) seguidas, a partir da borda, têm a cor
+ * uniforme da primeira. Cada lado tem a sua cor: bordas brancas de um lado e
+ * pretas de outro (tampa aberta, sombra da lombada) são aparadas juntas.
+ * @param {Function} readLine - Recebe o índice e devolve os pixels da linha (Uint8Array)
+ * @param {number} count - Quantidade de linhas até o lado oposto
+ * @param {number} tolerance - Diferença máxima em relação à cor da borda
+ * @param {number[]} borderColors - Cores das bordas externas da imagem; faixas
+ *   de outra cor já são conteúdo (moldura, bloco liso) e não são aparadas
+ * @returns {number} Linhas de borda
+ */
+function countBorderLines(readLine, count, tolerance, borderColors) {
+  const reference = median(readLine(0));
+  if (!borderColors.some(color => Math.abs(color - reference) <= tolerance)) {
+    return 0;
+  }
+  let lines = 0;
+
+  while (lines < count) {
+    const pixels = readLine(lines);
+    let matching = 0;
+    for (let i = 0; i < pixels.length; i++) {
+      if (Math.abs(pixels[i] - reference) <= tolerance) matching++;
+    }
+    if (matching < pixels.length * BORDER_COVERAGE) break;
+    lines++;
+  }
+  return lines;
+}
+
+/**
+ * Encontra a área útil de uma imagem, sem as margens uniformes
+ * @param {Buffer} buffer - Imagem JPEG ou PNG
+ * @param {Object} settings - Tolerância (ver resolveTrim)
+ * @returns {Promise<(Object|null)>} Área útil (left, top, width, height, no formato do extract do sharp),
+ *   com as margens removidas de cada lado em `trimmed` e o tamanho original; null se não houver borda,
+ *   se a imagem for toda de uma cor (página em branco) ou se sobraria só uma faixa estreita
+ */
+async function findContentBox(buffer, settings) {
+  const sharp = loadSharp();
+  const { data, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .greyscale()
+    .raw({ depth: 'uchar' })
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const { tolerance } = settings;
+
+  // As linhas são vistas sobre o buffer, sem cópia; as colunas são copiadas
+  // para um buffer reaproveitado, lido antes da próxima coluna
+  const row = (y, from, to) => data.subarray(y * width + from, y * width + to);
+  const columnBuffer = new Uint8Array(height);
+  const column = (x, from, to) => {
+    const pixels = columnBuffer.subarray(0, to - from);
+    for (let y = from; y < to; y++) pixels[y - from] = data[y * width + x];
+    return pixels;
+  };
+
+  // Só as cores das quatro bordas externas (papel, tampa, lombada) são aparadas
+  const borderColors = [
+    median(row(0, 0, width)),
+    median(row(height - 1, 0, width)),
+    median(column(0, 0, height)),
+    median(column(width - 1, 0, height))
+  ];
+
+  // Uma imagem de uma cor só é página em branco
+  if (countBorderLines(index => row(index, 0, width), height, tolerance, borderColors) === height) {
+    return null;
+  }
+
+  // Um lado que chegaria ao oposto é conteúdo liso (um bloco de cor), não borda
+  const trimSide = (readLine, available) => {
+    const lines = countBorderLines(readLine, available, tolerance, borderColors);
+    return lines < available ? lines : 0;
+  };
+
+  // Cada volta apara uma faixa por lado; repete para margens em camadas
+  // (sombra preta da tampa seguida da margem branca da folha), mas só nas
+  // cores das bordas externas, para nunca avançar sobre o conteúdo
+  const box = { top: 0, bottom: height, left: 0, right: width };
+  let changed = true;
+  while (changed) {
+    const previous = { ...box };
+    box.top += trimSide(index => row(box.top + index, box.left, box.right), box.bottom - box.top);
+    box.bottom -= trimSide(index => row(box.bottom - 1 - index, box.left, box.right), box.bottom - box.top);
+    // As colunas são comparadas só na faixa que sobrou depois do topo e da base
+    box.left += trimSide(index => column(box.left + index, box.top, box.bottom), box.right - box.left);
+    box.right -= trimSide(index => column(box.right - 1 - index, box.top, box.bottom), box.right - box.left);
+    changed = Object.keys(box).some(side => box[side] !== previous[side]);
+  }
+
+  const { top, bottom, left, right } = box;
+  if (top === 0 && left === 0 && bottom === height && right === width) {
+    return null;
+  }
+  // Uma faixa estreita (ou de 1 pixel) não é uma página: melhor não aparar
+  if (right - left < width * MIN_CONTENT_FRACTION || bottom - top < height * MIN_CONTENT_FRACTION) {
+    return null;
+  }
+
+  return {
+    left,
+    top,
+    width: right - left,
+    height: bottom - top,
+    trimmed: { top, right: width - right, bottom: height - bottom, left },
+    originalWidth: width,
+    originalHeight: height
+  };
+}
+
+/**
+ * Descreve o recorte de uma imagem para o log (ex.: topo 120, direita 40,
+ * base 118, esquerda 36 px; área -12%)
+ * @param {Object} box - Área útil (ver findContentBox)
+ * @returns {string} Descrição
+ */
+function describeTrim(box) {
+  const { top, right, bottom, left } = box.trimmed;
+  const area = 1 - (box.width * box.height) / (box.originalWidth * box.originalHeight);
+  return `topo ${top}, direita ${right}, base ${bottom}, esquerda ${left} px; área -${Math.round(area * 100)}%`;
+}
+
+/**
+ * Registro do recorte de uma imagem para os resultados e o relatório
+ * @param {string} imagePath - Caminho da imagem
+ * @param {Object} box - Área útil (ver findContentBox)
+ * @returns {{path: string, top: number, right: number, bottom: number, left: number, originalWidth: number, originalHeight: number}} Recorte
+ */
+function toTrimEntry(imagePath, box) {
+  return { path: imagePath, ...box.trimmed, originalWidth: box.originalWidth, originalHeight: box.originalHeight };
+}
+
+/**
+ * Simula o recorte (--dry-run): mostra quanto seria aparado de cada imagem,
+ * sem gerar nada. Imagens que não podem ser lidas ficam de fora da prévia.
+ * @param {Array<{path: string, options: (Object|undefined)}>} images - Imagens; options são as da linha do CSV
+ * @param {Object} options - Opções (autoTrim, trimTolerance)
+ * @param {Object} logger - Logger de progresso
+ * @param {string} indent - Recuo das mensagens
+ * @returns {Promise<Array>} Recorte de cada imagem que seria aparada (ver toTrimEntry)
+ */
+async function previewTrim(images, options, logger, indent) {
+  const trimmedImages = [];
+  const rowTrim = new Map();
+
+  for (const image of images) {
+    if (!rowTrim.has(image.options)) {
+      rowTrim.set(image.options, resolveTrim({ ...options, ...image.options }));
+    }
+    const trim = rowTrim.get(image.options);
+    if (!trim) continue;
+
+    try {
+      const { data } = await loadPdfImage(image.path);
+      const box = await findContentBox(data, trim);
+      if (box) {
+        trimmedImages.push(toTrimEntry(image.path, box));
+        logger.log(`${indent}✂️ ${path.basename(image.path)}: ${describeTrim(box)}`);
+      }
+    } catch (error) {
+      logger.warn(`${indent}⚠️ Erro ao analisar ${image.path}: ${error.message}`);
+    }
+  }
+  return trimmedImages;
+}
+
+module.exports = {
+  DEFAULT_TRIM_TOLERANCE,
+  parseTrimTolerance,
+  resolveTrim,
+  findContentBox,
+  describeTrim,
+  toTrimEntry,
+  previewTrim
+};
@@ -0,0 +1,596 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline, Readable, Transform } = require('stream');
+const { crc32 } = require('./crc32');
+const { ConversionError, InvalidSourceError } = require('./errors');
+
+/**
+ * Assinaturas dos registros ZIP
+ */
+const SIGNATURES = {
+  LOCAL_FILE: 0x04034b50,
+  DATA_DESCRIPTOR: 0x08074b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  ZIP64_END_OF_CENTRAL_DIRECTORY: 0x06064b50,
+  ZIP64_LOCATOR: 0x07064b50
+};
+
+/**
+ * Métodos de compressão
+ */
+const METHODS = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+/**
+ * Flags de uso geral: bit 3 = tamanhos no descritor após os dados, bit 11 = nomes em UTF-8
+ */
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * Limites do formato ZIP sem extensões ZIP64
+ */
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+/**
+ * Tamanho do registro de fim do diretório central sem comentário, e o maior
+ * trecho do fim do arquivo onde ele pode estar (comentário de até 64 KB)
+ */
+const END_RECORD_SIZE = 22;
+const END_RECORD_SEARCH = END_RECORD_SIZE + 0xffff;
+
+/**
+ * Identificador do campo extra com os valores de 64 bits (ZIP64)
+ */
+const ZIP64_EXTRA_ID = 0x0001;
+
+/**
+ * Converte uma data para o formato MS-DOS usado no ZIP
+ * @param {Date} date - Data de modificação
+ * @returns {{time: number, date: number}} Hora e data DOS
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Escritor de arquivos ZIP em streaming: cada entrada é gravada direto no destino,
+ * sem diretório temporário. Entradas de arquivos em disco são lidas e comprimidas
+ * em pedaços, com CRC e tamanhos gravados em um descritor após os dados.
+ */
+class ZipWriter {
+  /**
+   * @param {string} outputPath - Caminho do arquivo ZIP a ser criado
+   */
+  constructor(outputPath) {
+    this.outputPath = outputPath;
+    this.stream = fs.createWriteStream(outputPath);
+    this.offset = 0;
+    this.entries = [];
+    this.names = new Set();
+    this.closed = false;
+    this.streamClosed = false;
+    this.error = null;
+
+    this.stream.on('error', (error) => {
+      this.error = error;
+    });
+    this.stream.on('close', () => {
+      this.streamClosed = true;
+    });
+  }
+
+  /**
+   * Grava bytes no destino respeitando o backpressure do stream
+   * @param {Buffer} buffer - Bytes a gravar
+   */
+  async write(buffer) {
+    if (this.error) throw this.wrapError(this.error);
+
+    this.offset += buffer.length;
+    if (!this.stream.write(buffer)) {
+      // once() rejeita se o stream emitir 'error' enquanto espera o 'drain'
+      await once(this.stream, 'drain').catch(error => { throw this.wrapError(error); });
+    }
+  }
+
+  /**
+   * Converte erros de E/S em ConversionError
+   * @param {Error} error - Erro original
+   * @returns {ConversionError} Erro tipado
+   */
+  wrapError(error) {
+    if (error instanceof ConversionError) return error;
+    return new ConversionError(`Erro ao gravar arquivo ZIP ${this.outputPath}: ${error.message}`, { cause: error });
+  }
+
+  /**
+   * Valida o nome da entrada e registra para evitar duplicatas
+   * @param {string} name - Caminho da entrada dentro do ZIP
+   * @returns {Buffer} Nome codificado em UTF-8
+   */
+  reserveName(name) {
+    if (this.closed) {
+      throw new ConversionError(`Arquivo ZIP já finalizado: ${this.outputPath}`);
+    }
+    if (!name || name.startsWith('/') || name.includes('\\')) {
+      throw new ConversionError(`Nome de entrada ZIP inválido: ${name}`);
+    }
+    if (this.names.has(name)) {
+      throw new ConversionError(`Entrada ZIP duplicada: ${name}`);
+    }
+    if (this.entries.length >= MAX_ENTRIES) {
+      throw new ConversionError(`Limite de ${MAX_ENTRIES} entradas do formato ZIP excedido`);
+    }
+    this.names.add(name);
+    return Buffer.from(name, 'utf8');
+  }
+
+  /**
+   * Monta o cabeçalho local de uma entrada
+   */
+  localHeader(entry) {
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(SIGNATURES.LOCAL_FILE, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.dosTime.time, 10);
+    header.writeUInt16LE(entry.dosTime.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28);
+    return Buffer.concat([header, entry.nameBuffer]);
+  }
+
+  /**
+   * Cria o registro de uma entrada nova
+   */
+  createEntry(name, options) {
+    const nameBuffer = this.reserveName(name);
+    return {
+      nameBuffer,
+      method: options.store ? METHODS.STORE : METHODS.DEFLATE,
+      flags: FLAG_UTF8,
+      dosTime: toDosDateTime(options.date || new Date()),
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      offset: this.offset
+    };
+  }
+
+  /**
+   * Garante que a entrada cabe no formato ZIP sem ZIP64
+   */
+  checkLimits(entry) {
+    if (entry.size > MAX_UINT32 || entry.compressedSize > MAX_UINT32 || this.offset > MAX_UINT32) {
+      throw new ConversionError(`Arquivo ZIP excede o limite de 4 GB: ${this.outputPath}`);
+    }
+  }
+
+  /**
+   * Adiciona uma entrada a partir de conteúdo em memória
+   * @param {string} name - Caminho da entrada dentro do ZIP
+   * @param {(Buffer|string)} content - Conteúdo (strings são gravadas em UTF-8)
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.store] - Grava sem compressão
+   * @param {Date} [options.date] - Data de modificação
+   */
+  async addBuffer(name, content, options = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const entry = this.createEntry(name, options);
+    const compressed = entry.method === METHODS.STORE ? data : zlib.deflateRawSync(data);
+
+    entry.crc = crc32(data);
+    entry.size = data.length;
+    entry.compressedSize = compressed.length;
+
+    await this.write(this.localHeader(entry));
+    await this.write(compressed);
+    this.checkLimits(entry);
+    this.entries.push(entry);
+  }
+
+  /**
+   * Adiciona uma entrada lendo um arquivo do disco em streaming
+   * @param {string} name - Caminho da entrada dentro do ZIP
+   * @param {string} filePath - Arquivo de origem
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.store] - Grava sem compressão
+   * @param {Date} [options.date] - Data de modificação
+   */
+  addFile(name, filePath, options = {}) {
+    return this.addStream(name, () => fs.createReadStream(filePath), options, filePath);
+  }
+
+  /**
+   * Adiciona uma entrada a partir de um stream, comprimindo em pedaços
+   * @param {string} name - Caminho da entrada dentro do ZIP
+   * @param {Function} openStream - Função (pode ser assíncrona) que abre o stream de origem;
+   *   só é chamada depois que a entrada é validada, para não deixar streams abertos
+   * @param {Object} [options] - Opções
+   * @param {boolean} [options.store] - Grava sem compressão
+   * @param {Date} [options.date] - Data de modificação
+   * @param {string} [label] - Identificação da origem nas mensagens de erro
+   */
+  async addStream(name, openStream, options = {}, label = name) {
+    const entry = this.createEntry(name, options);
+    entry.flags |= FLAG_DATA_DESCRIPTOR;
+
+    await this.write(this.localHeader(entry));
+    const dataStart = this.offset;
+
+    try {
+      // O CRC é calculado sobre os bytes originais, antes da compressão
+      const checksum = new Transform({
+        transform(chunk, encoding, callback) {
+          entry.crc = crc32(chunk, entry.crc);
+          entry.size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      const streams = [await openStream(), checksum];
+      if (entry.method === METHODS.DEFLATE) {
+        streams.push(zlib.createDeflateRaw());
+      }
+      // Erros de qualquer etapa chegam ao for await pelo último stream
+      const output = pipeline(...streams, () => {});
+
+      for await (const chunk of output) {
+        await this.write(chunk);
+      }
+    } catch (error) {
+      if (error instanceof ConversionError) throw error;
+      throw new ConversionError(`Erro ao adicionar ${label} ao ZIP: ${error.message}`, { cause: error });
+    }
+
+    entry.compressedSize = this.offset - dataStart;
+    this.checkLimits(entry);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(SIGNATURES.DATA_DESCRIPTOR, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  /**
+   * Grava o diretório central e fecha o arquivo
+   */
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    const centralStart = this.offset;
+
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(SIGNATURES.CENTRAL_DIRECTORY, 0);
+      record.writeUInt16LE(20, 4); // versão que criou
+      record.writeUInt16LE(20, 6); // versão necessária
+      record.writeUInt16LE(entry.flags, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.dosTime.time, 12);
+      record.writeUInt16LE(entry.dosTime.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([record, entry.nameBuffer]));
+    }
+
+    const centralSize = this.offset - centralStart;
+    if (this.offset > MAX_UINT32) {
+      throw new ConversionError(`Arquivo ZIP excede o limite de 4 GB: ${this.outputPath}`);
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(SIGNATURES.END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(centralStart, 16);
+    await this.write(end);
+
+    this.stream.end();
+    try {
+      await once(this.stream, 'finish');
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  /**
+   * Interrompe a escrita e remove o arquivo incompleto
+   */
+  async abort() {
+    this.closed = true;
+    if (!this.streamClosed) {
+      const closed = once(this.stream, 'close').catch(() => {});
+      this.stream.destroy();
+      await closed;
+    }
+    await fs.promises.rm(this.outputPath, { force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Decodifica o nome de uma entrada: UTF-8 quando sinalizado ou quando os bytes
+ * são UTF-8 válido (muitos compactadores não marcam o flag), senão Latin-1
+ * @param {Buffer} buffer - Nome em bytes
+ * @param {number} flags - Flags de uso geral da entrada
+ * @returns {string} Nome da entrada
+ */
+function decodeEntryName(buffer, flags) {
+  if (flags & FLAG_UTF8) {
+    return buffer.toString('utf8');
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    return buffer.toString('latin1');
+  }
+}
+
+/**
+ * Leitor de arquivos ZIP (e CBZ): lê apenas o diretório central ao abrir e
+ * descompacta cada entrada em streaming, sem extrair nada para o disco.
+ * Suporta entradas armazenadas ou comprimidas com deflate e extensões ZIP64.
+ */
+class ZipReader {
+  /**
+   * @param {string} archivePath - Caminho do arquivo ZIP
+   * @param {Array<Object>} entries - Entradas lidas do diretório central
+   */
+  constructor(archivePath, entries) {
+    this.archivePath = archivePath;
+    this.entries = entries;
+    this.entriesByName = new Map(entries.map(entry => [entry.name, entry]));
+  }
+
+  /**
+   * Abre um arquivo ZIP e lê seu diretório central
+   * @param {string} archivePath - Caminho do arquivo ZIP
+   * @returns {Promise<ZipReader>} Leitor do arquivo
+   */
+  static async open(archivePath) {
+    let handle;
+    try {
+      handle = await fs.promises.open(archivePath, 'r');
+      const { size } = await handle.stat();
+      const { offset, length } = await ZipReader.readEndRecord(handle, size, archivePath);
+
+      if (offset + length > size) {
+        throw new InvalidSourceError(`Arquivo ZIP truncado ou corrompido: ${archivePath}`);
+      }
+
+      const central = Buffer.alloc(length);
+      await handle.read(central, 0, length, offset);
+      return new ZipReader(archivePath, ZipReader.parseCentralDirectory(central, archivePath));
+    } catch (error) {
+      if (error instanceof InvalidSourceError) throw error;
+      throw new InvalidSourceError(`Erro ao abrir arquivo ZIP ${archivePath}: ${error.message}`, { cause: error });
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * Localiza o diretório central a partir do registro de fim (ou do registro ZIP64)
+   * @returns {Promise<{offset: number, length: number}>} Posição e tamanho do diretório central
+   */
+  static async readEndRecord(handle, size, archivePath) {
+    const tailLength = Math.min(size, END_RECORD_SEARCH);
+    const tail = Buffer.alloc(tailLength);
+    await handle.read(tail, 0, tailLength, size - tailLength);
+
+    let position = -1;
+    for (let i = tailLength - END_RECORD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+        position = i;
+        break;
+      }
+    }
+    if (position < 0) {
+      throw new InvalidSourceError(`O arquivo não é um ZIP válido: ${archivePath}`);
+    }
+
+    const entryCount = tail.readUInt16LE(position + 10);
+    const length = tail.readUInt32LE(position + 12);
+    const offset = tail.readUInt32LE(position + 16);
+
+    if (entryCount !== MAX_ENTRIES && length !== MAX_UINT32 && offset !== MAX_UINT32) {
+      return { offset, length };
+    }
+
+    // ZIP64: o localizador fica imediatamente antes do registro de fim
+    const locatorPosition = position - 20;
+    if (locatorPosition < 0 || tail.readUInt32LE(locatorPosition) !== SIGNATURES.ZIP64_LOCATOR) {
+      return { offset, length };
+    }
+
+    const record = Buffer.alloc(56);
+    await handle.read(record, 0, record.length, Number(tail.readBigUInt64LE(locatorPosition + 8)));
+    if (record.readUInt32LE(0) !== SIGNATURES.ZIP64_END_OF_CENTRAL_DIRECTORY) {
+      throw new InvalidSourceError(`Registro ZIP64 inválido: ${archivePath}`);
+    }
+
+    return {
+      length: Number(record.readBigUInt64LE(40)),
+      offset: Number(record.readBigUInt64LE(48))
+    };
+  }
+
+  /**
+   * Interpreta os registros do diretório central, ignorando as pastas
+   * @param {Buffer} central - Conteúdo do diretório central
+   * @param {string} archivePath - Caminho do arquivo (para mensagens de erro)
+   * @returns {Array<Object>} Entradas de arquivos
+   */
+  static parseCentralDirectory(central, archivePath) {
+    const entries = [];
+    let position = 0;
+
+    while (position + 46 <= central.length && central.readUInt32LE(position) === SIGNATURES.CENTRAL_DIRECTORY) {
+      const flags = central.readUInt16LE(position + 8);
+      const nameLength = central.readUInt16LE(position + 28);
+      const extraLength = central.readUInt16LE(position + 30);
+      const commentLength = central.readUInt16LE(position + 32);
+      const nameStart = position + 46;
+      const extraStart = nameStart + nameLength;
+
+      if (extraStart + extraLength > central.length) {
+        throw new InvalidSourceError(`Diretório central corrompido: ${archivePath}`);
+      }
+
+      const entry = {
+        name: decodeEntryName(central.subarray(nameStart, extraStart), flags),
+        flags,
+        method: central.readUInt16LE(position + 10),
+        dosTime: {
+          time: central.readUInt16LE(position + 12),
+          date: central.readUInt16LE(position + 14)
+        },
+        crc: central.readUInt32LE(position + 16),
+        compressedSize: central.readUInt32LE(position + 20),
+        size: central.readUInt32LE(position + 24),
+        offset: central.readUInt32LE(position + 42)
+      };
+
+      // Valores de 32 bits saturados são substituídos pelos do campo extra ZIP64, nesta ordem
+      const extra = central.subarray(extraStart, extraStart + extraLength);
+      for (let i = 0; i + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(i);
+        const size = extra.readUInt16LE(i + 2);
+        if (id === ZIP64_EXTRA_ID) {
+          let field = i + 4;
+          for (const key of ['size', 'compressedSize', 'offset']) {
+            if (entry[key] === MAX_UINT32 && field + 8 <= i + 4 + size) {
+              entry[key] = Number(extra.readBigUInt64LE(field));
+              field += 8;
+            }
+          }
+        }
+        i += 4 + size;
+      }
+
+      if (!entry.name.endsWith('/')) {
+        entries.push(entry);
+      }
+      position = extraStart + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Busca uma entrada pelo nome
+   * @param {string} name - Caminho da entrada dentro do ZIP
+   * @returns {(Object|undefined)} Entrada
+   */
+  getEntry(name) {
+    return this.entriesByName.get(name);
+  }
+
+  /**
+   * Abre o conteúdo descompactado de uma entrada como stream.
+   * O CRC e o tamanho são conferidos ao final da leitura.
+   * @param {Object} entry - Entrada (ver getEntry)
+   * @returns {Promise<stream.Readable>} Conteúdo da entrada
+   */
+  async createReadStream(entry) {
+    const label = `${entry.name} (${this.archivePath})`;
+
+    if (entry.flags & FLAG_ENCRYPTED) {
+      throw new ConversionError(`Entrada criptografada não suportada: ${label}`);
+    }
+    if (entry.method !== METHODS.STORE && entry.method !== METHODS.DEFLATE) {
+      throw new ConversionError(`Método de compressão ${entry.method} não suportado: ${label}`);
+    }
+
+    // O tamanho do campo extra do cabeçalho local pode diferir do diretório central
+    const header = Buffer.alloc(30);
+    const handle = await fs.promises.open(this.archivePath, 'r');
+    try {
+      await handle.read(header, 0, header.length, entry.offset);
+    } finally {
+      await handle.close();
+    }
+    if (header.readUInt32LE(0) !== SIGNATURES.LOCAL_FILE) {
+      throw new ConversionError(`Cabeçalho local inválido: ${label}`);
+    }
+
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const streams = [entry.compressedSize > 0
+      ? fs.createReadStream(this.archivePath, { start, end: start + entry.compressedSize - 1 })
+      : Readable.from([])];
+
+    if (entry.method === METHODS.DEFLATE) {
+      streams.push(zlib.createInflateRaw());
+    }
+
+    let crc = 0;
+    let size = 0;
+    streams.push(new Transform({
+      transform(chunk, encoding, callback) {
+        crc = crc32(chunk, crc);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (size !== entry.size || crc !== entry.crc) {
+          callback(new Error(`conteúdo corrompido (CRC ou tamanho não confere): ${label}`));
+          return;
+        }
+        callback();
+      }
+    }));
+
+    // Erros de qualquer etapa chegam a quem consome o último stream
+    return pipeline(...streams, () => {});
+  }
+
+  /**
+   * Lê o conteúdo descompactado de uma entrada
+   * @param {Object} entry - Entrada (ver getEntry)
+   * @param {number} [maxBytes] - Lê apenas o início da entrada
+   * @returns {Promise<Buffer>} Conteúdo
+   */
+  async readEntry(entry, maxBytes) {
+    const chunks = [];
+    let length = 0;
+
+    for await (const chunk of await this.createReadStream(entry)) {
+      chunks.push(chunk);
+      length += chunk.length;
+      // Interromper o for await encerra a leitura do restante
+      if (maxBytes && length >= maxBytes) break;
+    }
+
+    const buffer = Buffer.concat(chunks);
+    return maxBytes ? buffer.subarray(0, maxBytes) : buffer;
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  ZipReader
+};
@@ -0,0 +1,51 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { analyzeFolder, renderAnalysisTable } = require('../lib/analyzer');
+const { createTempDir, removeTempDir, createImageFolder, createPng } = require('./helpers');
+
+/**
+ * Lê o CSV gerado pela análise como objetos (coluna → valor)
+ * @param {string} csvPath - Arquivo CSV
+ * @returns {Object[]} Linhas
+ */
+function readReportCsv(csvPath) {
+  const [header, ...lines] = fs.readFileSync(csvPath, 'utf8').trim().split('\n');
+  const columns = header.split(';');
+  return lines.map(line => Object.fromEntries(line.split(';').map((value, index) => [columns[index], value])));
+}
+
+describe('relatório de pré-conversão (lib/analyzer.js)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('grava no CSV a mesma situação mostrada na tabela', async () => {
+    createImageFolder(dir, 'a-ok', 2);
+    const gap = createImageFolder(dir, 'b-lacuna', 1);
+    fs.writeFileSync(path.join(gap, '4.png'), createPng(4, 4));
+    fs.mkdirSync(path.join(dir, 'c-vazia'));
+    fs.writeFileSync(path.join(dir, 'c-vazia', 'leia-me.txt'), 'sem páginas');
+
+    const csvPath = path.join(dir, 'csv', 'lista.csv');
+    const { folders, problems } = await analyzeFolder(dir, { csvPath });
+    const rows = readReportCsv(csvPath);
+    const table = renderAnalysisTable(folders);
+
+    assert.equal(problems, 2);
+    assert.deepEqual(rows.map(row => [row.nome, row.imagens, row.anomalias]), [
+      ['a-ok', '2', ''],
+      ['b-lacuna', '2', 'faltando 2-3'],
+      ['c-vazia', '0', 'sem imagens']
+    ]);
+    assert.equal(rows[2]['outros-arquivos'], 'leia-me.txt');
+    assert.match(table, /c-vazia .*❌ sem imagens/);
+    assert.match(table, /b-lacuna .*⚠️ faltando 2-3/);
+  });
+});
@@ -0,0 +1,189 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const api = require('..');
+const { createTempDir, removeTempDir, createImageFolder, createMemoryLogger } = require('./helpers');
+
+describe('API (index.js)', () => {
+  let dir;
+  let chapter1;
+  let chapter2;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    chapter1 = createImageFolder(dir, 'cap1', 3);
+    chapter2 = createImageFolder(dir, 'cap2', 2);
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  describe('convertFolderTo*', () => {
+    it('gera um PDF com uma página por imagem', async () => {
+      const result = await api.convertFolderToPdf(chapter1, path.join(dir, 'out', 'cap1'));
+
+      assert.equal(result.outputPath, path.join(dir, 'out', 'cap1.pdf'));
+      assert.equal(result.pageCount, 3);
+      assert.deepEqual(result.images.map(image => path.basename(image)), ['1.png', '2.png', '3.png']);
+      assert.deepEqual(result.failedImages, []);
+      assert.equal(fs.readFileSync(result.outputPath).subarray(0, 5).toString(), '%PDF-');
+    });
+
+    it('gera EPUB e CBZ como arquivos ZIP', async () => {
+      const epub = await api.convertFolderToEpub(chapter1, path.join(dir, 'cap1.epub'));
+      const cbz = await api.convertFolderToCbz(chapter1, path.join(dir, 'cap1'));
+
+      assert.equal(epub.pageCount, 3);
+      assert.equal(cbz.outputPath, path.join(dir, 'cap1.cbz'));
+      for (const outputPath of [epub.outputPath, cbz.outputPath]) {
+        assert.equal(fs.readFileSync(outputPath).subarray(0, 2).toString(), 'PK');
+      }
+    });
+
+    it('não escreve no console sem logger e usa o logger informado', async () => {
+      const original = console.log;
+      const calls = [];
+      console.log = (...args) => calls.push(args);
+      try {
+        await api.convertFolderToPdf(chapter1, path.join(dir, 'silent'));
+      } finally {
+        console.log = original;
+      }
+      assert.equal(calls.length, 0);
+
+      const logger = createMemoryLogger();
+      await api.convertFolderToPdf(chapter1, path.join(dir, 'verbose'), { logger });
+      assert.ok(logger.messages.some(message => message.includes('3 arquivo(s) de imagem')));
+    });
+
+    it('não grava nada com dryRun', async () => {
+      const result = await api.convertFolderToPdf(chapter1, path.join(dir, 'dry'), { dryRun: true });
+
+      assert.equal(result.dryRun, true);
+      assert.equal(result.pageCount, 3);
+      assert.equal(fs.existsSync(result.outputPath), false);
+    });
+
+    it('lança erros tipados para entradas inválidas', async () => {
+      fs.mkdirSync(path.join(dir, 'vazia'));
+      fs.writeFileSync(path.join(dir, 'nota.txt'), 'texto');
+
+      await assert.rejects(api.convertFolderToPdf(chapter1, ''), api.InvalidArgumentError);
+      await assert.rejects(api.convertFolderToPdf(path.join(dir, 'nao-existe'), path.join(dir, 'x')), api.SourceNotFoundError);
+      await assert.rejects(api.convertFolderToPdf(path.join(dir, 'nota.txt'), path.join(dir, 'x')), api.InvalidSourceError);
+      await assert.rejects(api.convertFolderToPdf(path.join(dir, 'vazia'), path.join(dir, 'x')), error => {
+        assert.ok(error instanceof api.NoImagesError);
+        assert.equal(error.code, 'NO_IMAGES');
+        return true;
+      });
+    });
+
+    it('rejeita formatos de saída desconhecidos', async () => {
+      const { convertFolder } = require('../lib/convert');
+      await assert.rejects(convertFolder('docx', chapter1, path.join(dir, 'x')), api.InvalidArgumentError);
+    });
+  });
+
+  describe('convertCsvTo*', () => {
+    it('gera um arquivo por linha e continua após uma linha com erro', async () => {
+      const outputDir = path.join(dir, 'pdf');
+      const result = await api.convertCsvToPdf([
+        { nome: 'Capítulo 1', caminho: chapter1 },
+        { nome: 'Perdido', caminho: path.join(dir, 'nao-existe') },
+        { nome: 'Capítulo 2', caminho: chapter2 }
+      ], { outputDir });
+
+      assert.equal(result.total, 3);
+      assert.equal(result.succeeded, 2);
+      assert.equal(result.failed, 1);
+      assert.equal(result.pageCount, 5);
+      assert.deepEqual(result.rows.map(row => row.status), ['success', 'failed', 'success']);
+      assert.ok(result.rows[1].error instanceof api.SourceNotFoundError);
+      assert.ok(fs.existsSync(path.join(outputDir, 'Capítulo 1.pdf')));
+      assert.ok(fs.existsSync(path.join(outputDir, 'Capítulo 2.pdf')));
+    });
+
+    it('lê as entradas de um arquivo CSV e pula arquivos atualizados', async () => {
+      const csvPath = path.join(dir, 'lista.csv');
+      fs.writeFileSync(csvPath, `nome;caminho\ncap1;${chapter1}\ncap2;${chapter2}\n`);
+      const outputDir = path.join(dir, 'cbz');
+
+      const first = await api.convertCsvToCbz(csvPath, { outputDir });
+      const second = await api.convertCsvToCbz(csvPath, { outputDir });
+
+      assert.equal(first.succeeded, 2);
+      assert.equal(second.skipped, 2);
+      assert.equal(second.succeeded, 0);
+    });
+
+    it('lança CsvError para um CSV inexistente e InvalidArgumentError para lista vazia', async () => {
+      await assert.rejects(api.convertCsvToEpub(path.join(dir, 'nao-existe.csv')), api.CsvError);
+      await assert.rejects(api.convertCsvToEpub([]), api.InvalidArgumentError);
+    });
+  });
+
+  describe('mergeFoldersTo*', () => {
+    it('junta as imagens de todas as pastas em um único arquivo', async () => {
+      const entries = [
+        { nome: 'cap1', caminho: chapter1 },
+        { nome: 'cap2', caminho: chapter2 }
+      ];
+      const result = await api.mergeFoldersToPdf(entries, 'volume', { outputDir: dir });
+
+      assert.equal(result.outputPath, path.join(dir, 'volume.pdf'));
+      assert.equal(result.pageCount, 5);
+      assert.deepEqual(result.folders.map(folder => folder.imageCount), [3, 2]);
+      assert.equal(result.skipped, false);
+
+      const epub = await api.mergeFoldersToEpub(entries, 'volume', { outputDir: dir });
+      const cbz = await api.mergeFoldersToCbz(entries, 'volume', { outputDir: dir });
+      assert.equal(epub.pageCount, 5);
+      assert.equal(cbz.pageCount, 5);
+    });
+
+    it('pula pastas sem imagens e falha quando nenhuma tem imagens', async () => {
+      fs.mkdirSync(path.join(dir, 'vazia'));
+      const result = await api.mergeFoldersToCbz([
+        { nome: 'vazia', caminho: path.join(dir, 'vazia') },
+        { nome: 'cap2', caminho: chapter2 }
+      ], 'parcial', { outputDir: dir });
+
+      assert.equal(result.pageCount, 2);
+      assert.deepEqual(result.folders.map(folder => folder.status), ['skipped', 'success']);
+
+      await assert.rejects(
+        api.mergeFoldersToCbz([{ nome: 'vazia', caminho: path.join(dir, 'vazia') }], 'nada', { outputDir: dir }),
+        api.NoImagesError
+      );
+      await assert.rejects(api.mergeFoldersToPdf([{ nome: 'cap1', caminho: chapter1 }], ''), api.InvalidArgumentError);
+    });
+  });
+
+  describe('analyzeFolder', () => {
+    it('lista as pastas filhas e grava o CSV de controle', async () => {
+      const csvPath = path.join(dir, 'csv', 'lista.csv');
+      const result = await api.analyzeFolder(dir, { csvPath });
+
+      assert.equal(result.csvPath, csvPath);
+      assert.deepEqual(result.folders.map(folder => folder.nome), ['cap1', 'cap2']);
+      assert.deepEqual(result.folders.map(folder => folder.report.imageCount), [3, 2]);
+      assert.equal(result.problems, 0);
+
+      const rows = await api.readCsvFile(csvPath);
+      assert.deepEqual(rows.map(row => [row.nome, row.caminho]), [['cap1', chapter1], ['cap2', chapter2]]);
+    });
+
+    it('não grava o CSV com dryRun', async () => {
+      const csvPath = path.join(dir, 'csv', 'lista.csv');
+      const result = await api.analyzeFolder(dir, { csvPath, dryRun: true });
+
+      assert.equal(result.csvPath, csvPath);
+      assert.equal(fs.existsSync(csvPath), false);
+    });
+
+    it('lança SourceNotFoundError para uma pasta inexistente', async () => {
+      await assert.rejects(api.analyzeFolder(path.join(dir, 'nao-existe'), { writeCsv: false }), api.SourceNotFoundError);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { decodeBmp } = require('../lib/bmp');
+const { loadPdfImage } = require('../lib/image-decode');
+const { ConversionError } = require('../lib/errors');
+const { createTempDir, removeTempDir } = require('./helpers');
+
+/**
+ * Monta um BMP a partir de uma matriz de pixels (linhas de cima para baixo)
+ * @param {Object} spec - Descrição do arquivo
+ * @param {number} spec.bitCount - Bits por pixel
+ * @param {Array<Array>} spec.rows - Índices da paleta, [r, g, b] (24 bits) ou valores brutos (16/32 bits)
+ * @param {number[][]} [spec.palette] - Cores [r, g, b] das imagens indexadas
+ * @param {boolean} [spec.topDown] - Grava as linhas de cima para baixo (altura negativa)
+ * @param {number} [spec.compression] - Tipo de compressão do cabeçalho
+ * @param {number[]} [spec.masks] - Máscaras r, g, b (e a) gravadas após o cabeçalho
+ * @param {boolean} [spec.os2] - Usa o cabeçalho OS/2 de 12 bytes
+ * @returns {Buffer} Arquivo BMP
+ */
+function buildBmp({ bitCount, rows, palette = [], topDown = false, compression = 0, masks = [], os2 = false }) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const stride = Math.floor((bitCount * width + 31) / 32) * 4;
+  const headerSize = os2 ? 12 : 40;
+  const entrySize = os2 ? 3 : 4;
+  const dataOffset = 14 + headerSize + masks.length * 4 + palette.length * entrySize;
+  const buffer = Buffer.alloc(dataOffset + stride * height);
+
+  buffer.write('BM', 0, 'latin1');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(dataOffset, 10);
+  buffer.writeUInt32LE(headerSize, 14);
+  if (os2) {
+    buffer.writeUInt16LE(width, 18);
+    buffer.writeInt16LE(height, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt16LE(bitCount, 24);
+  } else {
+    buffer.writeInt32LE(width, 18);
+    buffer.writeInt32LE(topDown ? -height : height, 22);
+    buffer.writeUInt16LE(1, 26);
+    buffer.writeUInt16LE(bitCount, 28);
+    buffer.writeUInt32LE(compression, 30);
+    buffer.writeUInt32LE(palette.length, 46);
+  }
+
+  let offset = 14 + headerSize;
+  for (const mask of masks) {
+    buffer.writeUInt32LE(mask, offset);
+    offset += 4;
+  }
+  for (const [r, g, b] of palette) {
+    buffer[offset] = b;
+    buffer[offset + 1] = g;
+    buffer[offset + 2] = r;
+    offset += entrySize;
+  }
+
+  rows.forEach((row, y) => {
+    const rowOffset = dataOffset + (topDown ? y : height - 1 - y) * stride;
+    row.forEach((value, x) => {
+      if (bitCount === 24) {
+        buffer[rowOffset + x * 3] = value[2];
+        buffer[rowOffset + x * 3 + 1] = value[1];
+        buffer[rowOffset + x * 3 + 2] = value[0];
+      } else if (bitCount === 32) {
+        buffer.writeUInt32LE(value, rowOffset + x * 4);
+      } else if (bitCount === 16) {
+        buffer.writeUInt16LE(value, rowOffset + x * 2);
+      } else if (bitCount === 8) {
+        buffer[rowOffset + x] = value;
+      } else if (bitCount === 4) {
+        buffer[rowOffset + (x >> 1)] |= x & 1 ? value : value << 4;
+      } else {
+        buffer[rowOffset + (x >> 3)] |= value << (7 - (x & 7));
+      }
+    });
+  });
+
+  return buffer;
+}
+
+/**
+ * Lê os pixels decodificados como matriz de [r, g, b(, a)]
+ * @param {{width: number, height: number, channels: number, data: Buffer}} image - Resultado de decodeBmp
+ * @returns {number[][][]} Linhas de pixels
+ */
+function toRows({ width, height, channels, data }) {
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * channels;
+      row.push(Array.from(data.subarray(offset, offset + channels)));
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+describe('decodificador BMP (lib/bmp.js)', () => {
+  const red = [255, 0, 0];
+  const green = [0, 255, 0];
+  const blue = [0, 0, 255];
+  const white = [255, 255, 255];
+  // Largura 3 força o preenchimento de cada linha até múltiplos de 4 bytes
+  const colorRows = [[red, green, blue], [white, blue, red]];
+
+  it('decodifica 24 bits gravados de baixo para cima (padrão)', () => {
+    const image = decodeBmp(buildBmp({ bitCount: 24, rows: colorRows }));
+
+    assert.equal(image.width, 3);
+    assert.equal(image.height, 2);
+    assert.equal(image.channels, 3);
+    assert.deepEqual(toRows(image), colorRows);
+  });
+
+  it('decodifica linhas gravadas de cima para baixo (altura negativa)', () => {
+    const image = decodeBmp(buildBmp({ bitCount: 24, rows: colorRows, topDown: true }));
+    assert.deepEqual(toRows(image), colorRows);
+  });
+
+  it('decodifica o cabeçalho OS/2 de 12 bytes', () => {
+    const image = decodeBmp(buildBmp({ bitCount: 24, rows: colorRows, os2: true }));
+    assert.deepEqual(toRows(image), colorRows);
+  });
+
+  it('decodifica paletas de 8, 4 e 1 bit', () => {
+    const palette = [white, red, green, blue];
+    const indexed = [[0, 1, 2, 3, 1], [3, 2, 1, 0, 2]];
+    const expected = indexed.map(row => row.map(index => palette[index]));
+
+    for (const bitCount of [8, 4]) {
+      assert.deepEqual(toRows(decodeBmp(buildBmp({ bitCount, rows: indexed, palette }))), expected, `${bitCount} bits`);
+    }
+
+    const bilevel = [[0, 1, 1, 0, 1, 0, 0, 1, 1], [1, 0, 0, 1, 0, 1, 1, 0, 0]];
+    const image = decodeBmp(buildBmp({ bitCount: 1, rows: bilevel, palette: [[0, 0, 0], white] }));
+    assert.deepEqual(toRows(image), bilevel.map(row => row.map(bit => (bit ? white : [0, 0, 0]))));
+  });
+
+  it('decodifica 16 bits no formato 5-5-5 padrão', () => {
+    const image = decodeBmp(buildBmp({ bitCount: 16, rows: [[0x7c00, 0x03e0, 0x001f, 0x7fff]] }));
+    assert.deepEqual(toRows(image), [[red, green, blue, white]]);
+  });
+
+  it('decodifica 16 bits 5-6-5 com máscaras explícitas (BITFIELDS)', () => {
+    const image = decodeBmp(buildBmp({
+      bitCount: 16,
+      compression: 3,
+      masks: [0xf800, 0x07e0, 0x001f],
+      rows: [[0xf800, 0x07e0, 0x001f]]
+    }));
+    assert.deepEqual(toRows(image), [[red, green, blue]]);
+  });
+
+  it('ignora o byte extra de 32 bits sem máscara de alfa', () => {
+    const image = decodeBmp(buildBmp({ bitCount: 32, rows: [[0xffff0000, 0x0000ff00]] }));
+
+    assert.equal(image.channels, 3);
+    assert.deepEqual(toRows(image), [[red, green]]);
+  });
+
+  it('mantém o canal alfa de 32 bits com máscara de alfa', () => {
+    const image = decodeBmp(buildBmp({
+      bitCount: 32,
+      compression: 6,
+      masks: [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000],
+      rows: [[0x80ff0000, 0xff0000ff]]
+    }));
+
+    assert.equal(image.channels, 4);
+    assert.deepEqual(toRows(image), [[[255, 0, 0, 128], [0, 0, 255, 255]]]);
+  });
+
+  it('rejeita arquivos inválidos, truncados e com compressão RLE', () => {
+    const valid = buildBmp({ bitCount: 24, rows: colorRows });
+    const rle = Buffer.from(valid);
+    rle.writeUInt32LE(1, 30);
+    const deep = Buffer.from(valid);
+    deep.writeUInt16LE(2, 28);
+
+    assert.throws(() => decodeBmp(Buffer.from('GIF89a não é BMP')), ConversionError);
+    assert.throws(() => decodeBmp(valid.subarray(0, valid.length - 4)), /truncado/);
+    assert.throws(() => decodeBmp(rle), /Compressão BMP não suportada/);
+    assert.throws(() => decodeBmp(deep), /Profundidade de cor BMP não suportada/);
+  });
+
+  it('é convertido em PNG para o PDF sem dependências opcionais', async () => {
+    const dir = createTempDir();
+    try {
+      const bmpPath = path.join(dir, '1.bmp');
+      fs.writeFileSync(bmpPath, buildBmp({ bitCount: 24, rows: colorRows }));
+      const image = await loadPdfImage(bmpPath);
+
+      assert.equal(image.originalType, 'bmp');
+      assert.equal(image.type, 'png');
+      assert.equal(image.converted, true);
+    } finally {
+      removeTempDir(dir);
+    }
+  });
+});
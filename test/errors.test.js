@@ -0,0 +1,53 @@
+const assert = require('assert').strict;
+const errors = require('../lib/errors');
+
+describe('erros tipados (lib/errors.js)', () => {
+  const cases = [
+    ['InvalidArgumentError', 'INVALID_ARGUMENT'],
+    ['SourceNotFoundError', 'SOURCE_NOT_FOUND'],
+    ['InvalidSourceError', 'INVALID_SOURCE'],
+    ['NoImagesError', 'NO_IMAGES'],
+    ['NumberingError', 'NUMBERING_ERROR'],
+    ['CsvError', 'CSV_ERROR'],
+    ['ConversionError', 'CONVERSION_FAILED']
+  ];
+
+  for (const [name, code] of cases) {
+    it(`${name} herda de ImagesBatchError com o código ${code}`, () => {
+      const error = new errors[name]('falhou');
+
+      assert.ok(error instanceof Error);
+      assert.ok(error instanceof errors.ImagesBatchError);
+      assert.equal(error.name, name);
+      assert.equal(error.code, code);
+      assert.equal(error.message, 'falhou');
+    });
+  }
+
+  it('ImagesBatchError usa o código genérico por padrão', () => {
+    const error = new errors.ImagesBatchError('falhou');
+    assert.equal(error.code, 'IMAGES_BATCH_ERROR');
+    assert.equal('cause' in error, false);
+  });
+
+  it('guarda o erro original em cause', () => {
+    const cause = new Error('ENOENT');
+    const error = new errors.SourceNotFoundError('Pasta não encontrada', { cause });
+    assert.equal(error.cause, cause);
+    assert.equal(error.code, 'SOURCE_NOT_FOUND');
+  });
+
+  it('NumberingError carrega a lista de problemas', () => {
+    const problems = [{ type: 'gap', message: 'faltam 3 a 4' }];
+    assert.deepEqual(new errors.NumberingError('irregular', { problems }).problems, problems);
+    assert.deepEqual(new errors.NumberingError('irregular').problems, []);
+  });
+
+  it('são exportados pela API principal', () => {
+    const api = require('..');
+    for (const [name] of cases) {
+      assert.equal(api[name], errors[name]);
+    }
+    assert.equal(api.ImagesBatchError, errors.ImagesBatchError);
+  });
+});
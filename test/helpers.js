@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { encodePng } = require('../lib/png');
+
+/**
+ * Cria uma pasta temporária para o teste
+ * @returns {string} Caminho da pasta criada
+ */
+function createTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'images-batch-test-'));
+}
+
+/**
+ * Remove uma pasta temporária e todo o seu conteúdo
+ * @param {string} dir - Pasta criada por createTempDir
+ */
+function removeTempDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Gera um PNG RGB de cor sólida
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @param {number[]} [color] - Cor [r, g, b]
+ * @returns {Buffer} Arquivo PNG
+ */
+function createPng(width, height, color = [200, 40, 40]) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < data.length; i += 3) {
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+  }
+  return encodePng({ width, height, channels: 3, data });
+}
+
+/**
+ * Cria uma pasta com imagens PNG numeradas (1.png, 2.png, ...)
+ * @param {string} parent - Pasta onde a nova pasta será criada
+ * @param {string} name - Nome da pasta
+ * @param {number} count - Quantidade de imagens
+ * @returns {string} Caminho da pasta criada
+ */
+function createImageFolder(parent, name, count) {
+  const folder = path.join(parent, name);
+  fs.mkdirSync(folder, { recursive: true });
+  for (let i = 1; i <= count; i++) {
+    fs.writeFileSync(path.join(folder, `${i}.png`), createPng(8 + i, 6));
+  }
+  return folder;
+}
+
+/**
+ * Logger que guarda as mensagens em memória
+ * @returns {{log: Function, warn: Function, error: Function, messages: string[]}} Logger
+ */
+function createMemoryLogger() {
+  const messages = [];
+  const push = (...args) => messages.push(args.join(' '));
+  return { log: push, warn: push, error: push, messages };
+}
+
+module.exports = {
+  createTempDir,
+  removeTempDir,
+  createPng,
+  createImageFolder,
+  createMemoryLogger
+};
@@ -0,0 +1,53 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { convertFolderToPdf, InvalidArgumentError } = require('..');
+const { PAGE_SIZES, resolveLayout, computePlacement } = require('../lib/layout');
+const { createTempDir, removeTempDir, createImageFolder } = require('./helpers');
+
+describe('layout das páginas (lib/layout.js)', () => {
+  const wide = { width: 1200, height: 600, dpi: { x: 300, y: 300 } };
+
+  it('mantém Carta como padrão, centralizando a imagem com faixas', () => {
+    const placement = computePlacement(wide, resolveLayout());
+
+    assert.equal(placement.pageWidth, PAGE_SIZES.letter[0]);
+    assert.equal(placement.pageHeight, PAGE_SIZES.letter[1]);
+    assert.equal(placement.width, PAGE_SIZES.letter[0]);
+    assert.ok(placement.y > 0);
+  });
+
+  it('com pageSize image a página tem o tamanho da imagem mais as margens', () => {
+    assert.deepEqual(computePlacement(wide, resolveLayout({ pageSize: 'image' })), {
+      pageWidth: 1200, pageHeight: 600, x: 0, y: 0, width: 1200, height: 600, clip: null
+    });
+
+    const withMargin = computePlacement(wide, resolveLayout({ pageSize: 'image', margin: '1in' }));
+    assert.equal(withMargin.pageWidth, 1200 + 144);
+    assert.equal(withMargin.x, 72);
+  });
+
+  it('usa o DPI informado ou o embutido na imagem', () => {
+    assert.equal(computePlacement(wide, resolveLayout({ pageSize: 'image', dpi: 150 })).pageWidth, 576);
+    assert.equal(computePlacement(wide, resolveLayout({ pageSize: 'image', useEmbeddedDpi: true })).pageWidth, 288);
+  });
+
+  it('rejeita tamanhos de página inválidos', () => {
+    assert.throws(() => resolveLayout({ pageSize: 'a9' }), InvalidArgumentError);
+  });
+
+  it('grava cada página do PDF no tamanho da sua imagem', async () => {
+    const dir = createTempDir();
+    try {
+      const folder = createImageFolder(dir, 'scans', 2);
+      const result = await convertFolderToPdf(folder, path.join(dir, 'scans'), { pageSize: 'image' });
+      const pdf = fs.readFileSync(result.outputPath, 'latin1');
+
+      // createImageFolder gera imagens de 9x6 e 10x6 pixels
+      assert.ok(pdf.includes('/MediaBox [0 0 9 6]'));
+      assert.ok(pdf.includes('/MediaBox [0 0 10 6]'));
+    } finally {
+      removeTempDir(dir);
+    }
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { convertFolderToEpub, convertFolderToPdf, convertCsvToEpub } = require('..');
+const { ZipReader } = require('../lib/zip');
+const { resolveMetadata, toPdfInfo } = require('../lib/metadata');
+const { createTempDir, removeTempDir, createImageFolder } = require('./helpers');
+
+/**
+ * Lê o content.opf de um EPUB
+ * @param {string} epubPath - Arquivo EPUB
+ * @returns {Promise<string>} Conteúdo do content.opf
+ */
+async function readContentOpf(epubPath) {
+  const reader = await ZipReader.open(epubPath);
+  const entry = reader.entries.find(item => item.name.endsWith('.opf'));
+  return (await reader.readEntry(entry)).toString('utf8');
+}
+
+describe('metadados do documento (lib/metadata.js)', () => {
+  let dir;
+  let folder;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    folder = createImageFolder(dir, 'cap1', 1);
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  for (const fixedLayout of [false, true]) {
+    const label = fixedLayout ? 'EPUB 3' : 'EPUB 2';
+
+    it(`${label}: não grava autor, editora nem direitos genéricos`, async () => {
+      const { outputPath } = await convertFolderToEpub(folder, path.join(dir, 'livro'), { fixedLayout });
+      const opf = await readContentOpf(outputPath);
+
+      assert.doesNotMatch(opf, /<dc:creator/);
+      assert.doesNotMatch(opf, /<dc:publisher/);
+      assert.doesNotMatch(opf, /<dc:rights/);
+      assert.match(opf, /<dc:title>livro<\/dc:title>/);
+    });
+
+    it(`${label}: grava autor, editora e direitos informados`, async () => {
+      const { outputPath } = await convertFolderToEpub(folder, path.join(dir, 'livro'), {
+        fixedLayout,
+        author: 'Fulano & Beltrano',
+        publisher: 'Editora <Exemplo>',
+        rights: '© 2024 Editora'
+      });
+      const opf = await readContentOpf(outputPath);
+
+      assert.equal((opf.match(/<dc:creator/g) || []).length, 2);
+      assert.match(opf, /<dc:publisher>Editora &lt;Exemplo&gt;<\/dc:publisher>/);
+      assert.match(opf, /<dc:rights>© 2024 Editora<\/dc:rights>/);
+    });
+  }
+
+  it('lê os direitos da coluna rights do CSV e do metadata.json', async () => {
+    const other = createImageFolder(dir, 'cap2', 1);
+    fs.writeFileSync(path.join(other, 'metadata.json'), JSON.stringify({ rights: 'Domínio público' }));
+    const csvPath = path.join(dir, 'lista.csv');
+    fs.writeFileSync(csvPath, `nome;caminho;rights\ncap1;${folder};CC BY 4.0\ncap2;${other};\n`);
+
+    const result = await convertCsvToEpub(csvPath, { outputDir: path.join(dir, 'epub') });
+    const [first, second] = await Promise.all(result.rows.map(row => readContentOpf(row.outputPath)));
+
+    assert.match(first, /<dc:rights>CC BY 4.0<\/dc:rights>/);
+    assert.match(second, /<dc:rights>Domínio público<\/dc:rights>/);
+  });
+
+  it('grava os direitos no dicionário Info do PDF', async () => {
+    assert.deepEqual(toPdfInfo(resolveMetadata({ rights: 'CC BY 4.0' }, 'Livro')), {
+      Title: 'Livro',
+      Creator: 'Images Batch PDF',
+      Rights: 'CC BY 4.0'
+    });
+
+    const { outputPath } = await convertFolderToPdf(folder, path.join(dir, 'livro'), { rights: 'CC BY 4.0' });
+    const pdf = fs.readFileSync(outputPath, 'latin1');
+    assert.match(pdf, /\/Rights \d+ 0 R/);
+    assert.ok(pdf.includes('(CC BY 4.0)'));
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert').strict;
+const zlib = require('zlib');
+const { encodePng } = require('../lib/png');
+const { crc32 } = require('../lib/crc32');
+
+/**
+ * Lê um PNG gerado por encodePng (sem entrelaçamento), conferindo o CRC de cada chunk
+ * @param {Buffer} buffer - Arquivo PNG
+ * @returns {{width: number, height: number, bitDepth: number, colorType: number, rows: Buffer[], filters: number[]}} Conteúdo
+ */
+function readPng(buffer) {
+  assert.deepEqual(Array.from(buffer.subarray(0, 8)), [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  const chunks = {};
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const body = buffer.subarray(offset + 4, offset + 8 + length);
+    assert.equal(buffer.readUInt32BE(offset + 8 + length), crc32(body), 'CRC do chunk');
+    chunks[body.toString('latin1', 0, 4)] = body.subarray(4);
+    offset += 12 + length;
+  }
+
+  const header = chunks.IHDR;
+  const width = header.readUInt32BE(0);
+  const height = header.readUInt32BE(4);
+  const bitDepth = header[8];
+  const colorType = header[9];
+  const channels = { 0: 1, 2: 3, 4: 2, 6: 4 }[colorType];
+  const stride = Math.ceil((width * channels * bitDepth) / 8);
+  const bpp = Math.max(1, (channels * bitDepth) >> 3);
+  const raw = zlib.inflateSync(chunks.IDAT);
+
+  const rows = [];
+  const filters = [];
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = Buffer.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? row[x - bpp] : 0;
+      const b = previous[x];
+      const c = x >= bpp ? previous[x - bpp] : 0;
+      let predictor = 0;
+      if (filter === 1) predictor = a;
+      else if (filter === 2) predictor = b;
+      else if (filter === 3) predictor = (a + b) >> 1;
+      else if (filter === 4) {
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      row[x] = (row[x] + predictor) & 0xff;
+    }
+    rows.push(row);
+    filters.push(filter);
+    previous = row;
+  }
+
+  return { width, height, bitDepth, colorType, rows, filters };
+}
+
+describe('codificador PNG (lib/png.js)', () => {
+  it('grava pixels RGB que voltam iguais após decodificar', () => {
+    // Gradiente com ruído: as linhas acabam usando filtros diferentes
+    const width = 17;
+    const height = 9;
+    const data = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (i * 7 + (i % 5) * 31) & 0xff;
+    }
+
+    const png = readPng(encodePng({ width, height, channels: 3, data }));
+
+    assert.equal(png.width, width);
+    assert.equal(png.height, height);
+    assert.equal(png.bitDepth, 8);
+    assert.equal(png.colorType, 2);
+    assert.deepEqual(Buffer.concat(png.rows), data);
+    assert.ok(png.filters.every(filter => filter >= 0 && filter <= 4));
+  });
+
+  it('usa o tipo de cor de cada quantidade de canais', () => {
+    for (const [channels, colorType] of [[1, 0], [2, 4], [3, 2], [4, 6]]) {
+      const data = Buffer.from(Array.from({ length: 4 * 3 * channels }, (_, i) => (i * 13) & 0xff));
+      const png = readPng(encodePng({ width: 4, height: 3, channels, data }));
+
+      assert.equal(png.colorType, colorType, `${channels} canal(is)`);
+      assert.deepEqual(Buffer.concat(png.rows), data);
+    }
+  });
+
+  it('grava imagens de 1 bit com as linhas empacotadas, sem filtro', () => {
+    // 10 pixels por linha ocupam 2 bytes
+    const data = Buffer.from([0b10110011, 0b01000000, 0b01001100, 0b10000000]);
+    const png = readPng(encodePng({ width: 10, height: 2, channels: 1, data, bitDepth: 1 }));
+
+    assert.equal(png.bitDepth, 1);
+    assert.equal(png.colorType, 0);
+    assert.deepEqual(png.filters, [0, 0]);
+    assert.deepEqual(Buffer.concat(png.rows), data);
+  });
+});
@@ -0,0 +1,77 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { getCommand } = require('../lib/cli/commands');
+const { EXIT_CODES } = require('../lib/cli/exit-codes');
+const { createTempDir, removeTempDir, createImageFolder, createPng } = require('./helpers');
+
+describe('relatório da execução (lib/report.js)', () => {
+  let dir;
+  let warn;
+
+  beforeEach(() => {
+    dir = createTempDir();
+    // Com --quiet os avisos continuam indo para o console
+    warn = console.warn;
+    console.warn = () => {};
+  });
+
+  afterEach(() => {
+    console.warn = warn;
+    removeTempDir(dir);
+  });
+
+  /**
+   * Executa o analyze com --report e lê o relatório gravado
+   */
+  async function analyzeWithReport(target, options = {}) {
+    const reportPath = path.join(dir, 'logs', 'analise.json');
+    const exitCode = await getCommand('analyze').run({
+      options: { output: path.join(dir, 'lista.csv'), report: reportPath, quiet: true, ...options },
+      positionals: [target]
+    });
+    return { exitCode, report: JSON.parse(fs.readFileSync(reportPath, 'utf8')) };
+  }
+
+  it('analyze: grava a situação de cada pasta, com o código de saída de problemas', async () => {
+    const source = path.join(dir, 'escaneados');
+    fs.mkdirSync(source);
+    createImageFolder(source, 'a-ok', 2);
+    const gap = createImageFolder(source, 'b-lacuna', 1);
+    fs.writeFileSync(path.join(gap, '4.png'), createPng(4, 4));
+    fs.mkdirSync(path.join(source, 'c-vazia'));
+
+    const { exitCode, report } = await analyzeWithReport(source);
+
+    assert.equal(exitCode, EXIT_CODES.ISSUES);
+    assert.equal(report.command, 'analyze');
+    assert.equal(report.status, 'issues');
+    assert.equal(report.exitCode, EXIT_CODES.ISSUES);
+    assert.equal(report.csvPath, path.join(dir, 'lista.csv'));
+    assert.equal(report.problems, 2);
+    assert.deepEqual(report.warnings, []);
+    assert.deepEqual(report.folders.map(folder => [folder.nome, folder.status, folder.imageCount, folder.anomalies]), [
+      ['a-ok', 'ok', 2, []],
+      ['b-lacuna', 'issues', 2, ['faltando 2-3']],
+      ['c-vazia', 'issues', 0, ['sem imagens']]
+    ]);
+    assert.deepEqual(report.folders[0].formats, ['png']);
+  });
+
+  it('analyze: grava o relatório na simulação e quando a análise falha', async () => {
+    const source = path.join(dir, 'escaneados');
+    createImageFolder(source, 'cap1', 1);
+
+    const dryRun = await analyzeWithReport(source, { dryRun: true });
+    assert.equal(dryRun.exitCode, EXIT_CODES.SUCCESS);
+    assert.equal(dryRun.report.status, 'success');
+    assert.equal(dryRun.report.dryRun, true);
+    assert.equal(fs.existsSync(path.join(dir, 'lista.csv')), false);
+
+    await assert.rejects(analyzeWithReport(path.join(dir, 'nao-existe')));
+    const failed = JSON.parse(fs.readFileSync(path.join(dir, 'logs', 'analise.json'), 'utf8'));
+    assert.equal(failed.status, 'failure');
+    assert.equal(failed.folders, undefined);
+    assert.ok(failed.error.message);
+  });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { sortImages, sortFilesNumerically, convertFolderToCbz, InvalidArgumentError, InvalidSourceError } = require('..');
+const { createTempDir, removeTempDir, createPng } = require('./helpers');
+
+/**
+ * Monta a lista de imagens esperada por sortImages
+ * @param {string} folder - Pasta das imagens
+ * @param {string[]} names - Nomes relativos
+ * @returns {Array<{name: string, path: string}>} Imagens
+ */
+function toItems(folder, names) {
+  return names.map(name => ({ name, path: path.join(folder, name) }));
+}
+
+/**
+ * Ordena e devolve apenas os nomes
+ */
+async function sortNames(folder, names, options) {
+  return (await sortImages(folder, toItems(folder, names), options)).map(item => item.name);
+}
+
+describe('ordenação das imagens (lib/sort.js)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  it('usa a ordem natural por padrão, com números em qualquer parte do nome', async () => {
+    const names = ['page_10.jpg', 'page_2.jpg', 'cap2-p10.png', 'cap2-p9.png', 'IMG_0042.jpg', 'IMG_7.jpg'];
+
+    assert.deepEqual(await sortNames(dir, names), [
+      'cap2-p9.png', 'cap2-p10.png', 'IMG_7.jpg', 'IMG_0042.jpg', 'page_2.jpg', 'page_10.jpg'
+    ]);
+  });
+
+  it('mantém na estratégia numeric o critério de sortFilesNumerically', async () => {
+    const names = ['10.jpg', '2.jpg', '1.jpg', 'b/1.jpg', 'a/3.jpg', 'a/20.jpg', 'p_10.jpg', 'p_2.jpg'];
+
+    const numeric = await sortNames(dir, names, { sort: 'numeric' });
+    assert.deepEqual(numeric, sortFilesNumerically([...names]));
+    // Sem número no início, vale a ordem alfabética (p_10 antes de p_2)
+    assert.deepEqual(numeric, ['1.jpg', '2.jpg', '10.jpg', 'p_10.jpg', 'p_2.jpg', 'a/3.jpg', 'a/20.jpg', 'b/1.jpg']);
+  });
+
+  it('ordena pelo trecho capturado por sortPattern, que implica regex', async () => {
+    const names = ['x-p10-a.jpg', 'y-p2-b.jpg', 'sem-padrao.jpg'];
+    assert.deepEqual(await sortNames(dir, names, { sortPattern: 'p(\\d+)' }), ['y-p2-b.jpg', 'x-p10-a.jpg', 'sem-padrao.jpg']);
+  });
+
+  it('segue o order.txt da pasta e deixa as imagens ausentes no final', async () => {
+    fs.writeFileSync(path.join(dir, 'order.txt'), '# capa primeiro\ncapa.jpg\n\n3.jpg\n1.jpg\n');
+    assert.deepEqual(await sortNames(dir, ['1.jpg', '2.jpg', '3.jpg', 'capa.jpg'], { sort: 'order' }), ['capa.jpg', '3.jpg', '1.jpg', '2.jpg']);
+
+    fs.rmSync(path.join(dir, 'order.txt'));
+    await assert.rejects(sortNames(dir, ['1.jpg'], { sort: 'order' }), InvalidSourceError);
+  });
+
+  it('rejeita estratégias e expressões inválidas', async () => {
+    await assert.rejects(sortNames(dir, ['1.jpg'], { sort: 'tamanho' }), InvalidArgumentError);
+    await assert.rejects(sortNames(dir, ['1.jpg'], { sort: 'regex' }), InvalidArgumentError);
+    await assert.rejects(sortNames(dir, ['1.jpg'], { sortPattern: '(' }), InvalidArgumentError);
+  });
+
+  it('é aplicada às conversões, globalmente', async () => {
+    const folder = path.join(dir, 'scans');
+    fs.mkdirSync(folder);
+    for (const name of ['page_1.png', 'page_2.png', 'page_10.png']) {
+      fs.writeFileSync(path.join(folder, name), createPng(4, 4));
+    }
+
+    const natural = await convertFolderToCbz(folder, path.join(dir, 'natural'), { dryRun: true });
+    const numeric = await convertFolderToCbz(folder, path.join(dir, 'numeric'), { dryRun: true, sort: 'numeric' });
+
+    assert.deepEqual(natural.images.map(image => path.basename(image)), ['page_1.png', 'page_2.png', 'page_10.png']);
+    assert.deepEqual(numeric.images.map(image => path.basename(image)), ['page_1.png', 'page_10.png', 'page_2.png']);
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert').strict;
+const { encodePng } = require('../lib/png');
+const { findContentBox, parseTrimTolerance, DEFAULT_TRIM_TOLERANCE } = require('../lib/trim');
+const { InvalidArgumentError } = require('../lib/errors');
+
+const settings = { tolerance: DEFAULT_TRIM_TOLERANCE };
+
+/**
+ * Monta uma página em tons de cinza: fundo de uma cor e retângulos pintados por cima
+ * @param {number} width - Largura em pixels
+ * @param {number} height - Altura em pixels
+ * @param {number} background - Cor do fundo
+ * @param {Array<{left: number, top: number, width: number, height: number, color: (number|Function)}>} areas
+ *   Retângulos; color pode ser uma função (x, y) para desenhar conteúdo variado
+ * @returns {Buffer} Arquivo PNG
+ */
+function createPage(width, height, background, areas = []) {
+  const data = Buffer.alloc(width * height, background);
+  for (const area of areas) {
+    for (let y = area.top; y < area.top + area.height; y++) {
+      for (let x = area.left; x < area.left + area.width; x++) {
+        data[y * width + x] = typeof area.color === 'function' ? area.color(x, y) : area.color;
+      }
+    }
+  }
+  return encodePng({ width, height, channels: 1, data });
+}
+
+/**
+ * Conteúdo quadriculado, que nunca é confundido com borda
+ */
+const checkered = (x, y) => ((x >> 1) + (y >> 1)) % 2 ? 30 : 180;
+
+describe('recorte automático das bordas (lib/trim.js)', () => {
+  it('apara as margens brancas de cada lado', async () => {
+    const page = createPage(60, 50, 255, [{ left: 6, top: 10, width: 46, height: 28, color: checkered }]);
+    const box = await findContentBox(page, settings);
+
+    assert.deepEqual(box, {
+      left: 6,
+      top: 10,
+      width: 46,
+      height: 28,
+      trimmed: { top: 10, right: 8, bottom: 12, left: 6 },
+      originalWidth: 60,
+      originalHeight: 50
+    });
+  });
+
+  it('apara margens em camadas, tolerando poeira do scanner', async () => {
+    const page = createPage(300, 200, 250, [
+      // Sombra preta da lombada seguida da margem branca da folha
+      { left: 0, top: 0, width: 5, height: 200, color: 0 },
+      { left: 20, top: 15, width: 260, height: 170, color: checkered },
+      // Um pixel de sujeira na margem de cima
+      { left: 150, top: 3, width: 1, height: 1, color: 0 }
+    ]);
+    const box = await findContentBox(page, settings);
+
+    assert.deepEqual(box.trimmed, { top: 15, right: 20, bottom: 15, left: 20 });
+  });
+
+  it('não apara páginas em branco, conteúdo que toca a borda nem faixas estreitas', async () => {
+    assert.equal(await findContentBox(createPage(40, 40, 255), settings), null);
+    assert.equal(await findContentBox(createPage(40, 40, 255, [{ left: 0, top: 0, width: 40, height: 40, color: checkered }]), settings), null);
+    assert.equal(await findContentBox(createPage(200, 200, 255, [{ left: 100, top: 10, width: 2, height: 180, color: 0 }]), settings), null);
+  });
+
+  it('mantém blocos lisos de outra cor, que já são conteúdo', async () => {
+    const page = createPage(60, 60, 255, [
+      { left: 10, top: 10, width: 40, height: 40, color: 90 },
+      { left: 20, top: 20, width: 20, height: 20, color: checkered }
+    ]);
+    const box = await findContentBox(page, settings);
+
+    assert.deepEqual(box.trimmed, { top: 10, right: 10, bottom: 10, left: 10 });
+  });
+
+  it('valida a tolerância', () => {
+    assert.equal(parseTrimTolerance('0'), 0);
+    assert.equal(parseTrimTolerance(255), 255);
+    for (const value of ['-1', '256', '1.5', 'muito']) {
+      assert.throws(() => parseTrimTolerance(value), InvalidArgumentError);
+    }
+  });
+});
@@ -0,0 +1,207 @@
+const assert = require('assert').strict;
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { ZipWriter, ZipReader } = require('../lib/zip');
+const { crc32 } = require('../lib/crc32');
+const { convertFolderToEpub, ConversionError, InvalidSourceError } = require('..');
+const { createTempDir, removeTempDir, createImageFolder } = require('./helpers');
+
+/**
+ * Monta um ZIP64 com uma entrada armazenada: tamanhos e posição saturados
+ * (0xffffffff) no cabeçalho e no diretório central, com os valores reais no
+ * campo extra, e o registro de fim ZIP64 com o seu localizador
+ * @param {string} name - Nome da entrada
+ * @param {Buffer} data - Conteúdo
+ * @returns {Buffer} Arquivo ZIP64
+ */
+function buildZip64(name, data) {
+  const nameBuffer = Buffer.from(name, 'utf8');
+  const extra = Buffer.alloc(28);
+  extra.writeUInt16LE(0x0001, 0);
+  extra.writeUInt16LE(24, 2);
+  extra.writeBigUInt64LE(BigInt(data.length), 4);
+  extra.writeBigUInt64LE(BigInt(data.length), 12);
+  extra.writeBigUInt64LE(0n, 20);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(45, 4);
+  local.writeUInt32LE(crc32(data), 14);
+  local.writeUInt32LE(0xffffffff, 18);
+  local.writeUInt32LE(0xffffffff, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+  // No cabeçalho local o campo extra traz só os tamanhos
+  const localExtra = Buffer.from(extra.subarray(0, 20));
+  localExtra.writeUInt16LE(16, 2);
+  local.writeUInt16LE(localExtra.length, 28);
+  const localPart = Buffer.concat([local, nameBuffer, localExtra, data]);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(45, 4);
+  central.writeUInt16LE(45, 6);
+  central.writeUInt32LE(crc32(data), 16);
+  central.writeUInt32LE(0xffffffff, 20);
+  central.writeUInt32LE(0xffffffff, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  central.writeUInt16LE(extra.length, 30);
+  central.writeUInt32LE(0xffffffff, 42);
+  const centralPart = Buffer.concat([central, nameBuffer, extra]);
+
+  const zip64End = Buffer.alloc(56);
+  zip64End.writeUInt32LE(0x06064b50, 0);
+  zip64End.writeBigUInt64LE(44n, 4);
+  zip64End.writeBigUInt64LE(1n, 24);
+  zip64End.writeBigUInt64LE(1n, 32);
+  zip64End.writeBigUInt64LE(BigInt(centralPart.length), 40);
+  zip64End.writeBigUInt64LE(BigInt(localPart.length), 48);
+
+  const locator = Buffer.alloc(20);
+  locator.writeUInt32LE(0x07064b50, 0);
+  locator.writeBigUInt64LE(BigInt(localPart.length + centralPart.length), 8);
+  locator.writeUInt32LE(1, 16);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(0xffff, 8);
+  end.writeUInt16LE(0xffff, 10);
+  end.writeUInt32LE(0xffffffff, 12);
+  end.writeUInt32LE(0xffffffff, 16);
+
+  return Buffer.concat([localPart, centralPart, zip64End, locator, end]);
+}
+
+describe('CRC-32 (lib/crc32.js)', () => {
+  it('confere com o valor de referência', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it('continua o cálculo a partir de um CRC anterior', () => {
+    const data = Buffer.from('imagens em lote para PDF, EPUB e CBZ');
+    assert.equal(crc32(data.subarray(10), crc32(data.subarray(0, 10))), crc32(data));
+  });
+});
+
+describe('ZIP (lib/zip.js)', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createTempDir();
+  });
+
+  afterEach(() => {
+    removeTempDir(dir);
+  });
+
+  /**
+   * Grava um ZIP com mimetype armazenado, texto em memória e um arquivo em streaming
+   */
+  async function writeSample(zipPath, content) {
+    const sourcePath = path.join(dir, 'pagina.xhtml');
+    fs.writeFileSync(sourcePath, content);
+
+    const writer = new ZipWriter(zipPath);
+    await writer.addBuffer('mimetype', 'application/epub+zip', { store: true });
+    await writer.addBuffer('OEBPS/conteúdo.opf', content);
+    await writer.addFile('OEBPS/pagina.xhtml', sourcePath);
+    await writer.addStream('OEBPS/vazio.txt', () => Readable.from([]));
+    await writer.close();
+  }
+
+  it('lê de volta as entradas gravadas, na ordem', async () => {
+    const zipPath = path.join(dir, 'livro.epub');
+    const content = '<p>página</p>\n'.repeat(200);
+    await writeSample(zipPath, content);
+
+    const reader = await ZipReader.open(zipPath);
+    assert.deepEqual(reader.entries.map(entry => entry.name), ['mimetype', 'OEBPS/conteúdo.opf', 'OEBPS/pagina.xhtml', 'OEBPS/vazio.txt']);
+    assert.equal((await reader.readEntry(reader.getEntry('mimetype'))).toString(), 'application/epub+zip');
+    assert.equal((await reader.readEntry(reader.getEntry('OEBPS/conteúdo.opf'))).toString(), content);
+    assert.equal((await reader.readEntry(reader.getEntry('OEBPS/pagina.xhtml'))).toString(), content);
+    assert.equal((await reader.readEntry(reader.getEntry('OEBPS/vazio.txt'))).length, 0);
+    assert.equal((await reader.readEntry(reader.getEntry('OEBPS/pagina.xhtml'), 3)).toString(), '<p>');
+  });
+
+  it('grava o mimetype primeiro e sem compressão', async () => {
+    const zipPath = path.join(dir, 'livro.epub');
+    await writeSample(zipPath, 'conteúdo');
+
+    // O leitor de EPUB confere os bytes fixos do início do arquivo
+    const raw = fs.readFileSync(zipPath);
+    assert.equal(raw.readUInt32LE(0), 0x04034b50);
+    assert.equal(raw.readUInt16LE(8), 0);
+    assert.equal(raw.readUInt16LE(28), 0);
+    assert.equal(raw.toString('latin1', 30, 58), 'mimetypeapplication/epub+zip');
+  });
+
+  it('comprime as demais entradas com deflate', async () => {
+    const zipPath = path.join(dir, 'livro.epub');
+    await writeSample(zipPath, 'abc'.repeat(1000));
+
+    const reader = await ZipReader.open(zipPath);
+    for (const name of ['OEBPS/conteúdo.opf', 'OEBPS/pagina.xhtml']) {
+      const entry = reader.getEntry(name);
+      assert.equal(entry.method, 8, name);
+      assert.equal(entry.size, 3000);
+      assert.ok(entry.compressedSize < 100, `${name} comprimido em ${entry.compressedSize} bytes`);
+    }
+  });
+
+  it('gera EPUBs com o mimetype como primeira entrada armazenada', async () => {
+    const folder = createImageFolder(dir, 'cap1', 2);
+    const { outputPath } = await convertFolderToEpub(folder, path.join(dir, 'cap1'));
+
+    const reader = await ZipReader.open(outputPath);
+    assert.equal(reader.entries[0].name, 'mimetype');
+    assert.equal(reader.entries[0].method, 0);
+    assert.equal(fs.readFileSync(outputPath).toString('latin1', 30, 58), 'mimetypeapplication/epub+zip');
+  });
+
+  it('rejeita uma entrada com o CRC divergente', async () => {
+    const zipPath = path.join(dir, 'corrompido.zip');
+    const writer = new ZipWriter(zipPath);
+    await writer.addBuffer('dados.txt', 'conteúdo original', { store: true });
+    await writer.close();
+
+    const raw = fs.readFileSync(zipPath);
+    raw[30 + 'dados.txt'.length] ^= 0xff;
+    fs.writeFileSync(zipPath, raw);
+
+    const reader = await ZipReader.open(zipPath);
+    await assert.rejects(reader.readEntry(reader.getEntry('dados.txt')), /CRC ou tamanho não confere/);
+  });
+
+  it('lê arquivos ZIP64', async () => {
+    const zipPath = path.join(dir, 'grande.zip');
+    const data = Buffer.from('conteúdo de um ZIP64');
+    fs.writeFileSync(zipPath, buildZip64('pasta/1.txt', data));
+
+    const reader = await ZipReader.open(zipPath);
+    const [entry] = reader.entries;
+    assert.equal(reader.entries.length, 1);
+    assert.equal(entry.name, 'pasta/1.txt');
+    assert.equal(entry.size, data.length);
+    assert.equal(entry.offset, 0);
+    assert.deepEqual(await reader.readEntry(entry), data);
+  });
+
+  it('rejeita arquivos que não são ZIP', async () => {
+    const notZip = path.join(dir, 'texto.cbz');
+    fs.writeFileSync(notZip, 'isto não é um ZIP');
+
+    await assert.rejects(ZipReader.open(notZip), InvalidSourceError);
+    await assert.rejects(ZipReader.open(path.join(dir, 'nao-existe.zip')), InvalidSourceError);
+  });
+
+  it('rejeita nomes duplicados e remove o arquivo incompleto com abort', async () => {
+    const zipPath = path.join(dir, 'incompleto.zip');
+    const writer = new ZipWriter(zipPath);
+    await writer.addBuffer('a.txt', 'a');
+
+    await assert.rejects(writer.addBuffer('a.txt', 'b'), ConversionError);
+    await writer.abort();
+    assert.equal(fs.existsSync(zipPath), false);
+  });
+});